@@ -3,61 +3,1926 @@
  * Vanilla JavaScript - No libraries required!
  */
 
+// ============================================
+// Localization
+// UI text comes from the catalogs in locales/ (see i18n.js). index.html carries the English
+// text, marked with data-i18n="key" (and data-i18n-<attribute> for attributes); translatePage()
+// swaps it for the catalog's once the catalogs have loaded.
+// ============================================
+const LOCALE_STORAGE_KEY = 'pwa-getstarted-locale';
+const TRANSLATED_ATTRIBUTES = ['title', 'placeholder', 'aria-label', 'content'];
+
+/**
+ * ?lang= first (shareable links), then the language picked on this device, then the browser's
+ */
+function getPreferredLocale() {
+    return I18n.matchLocale(new URLSearchParams(location.search).get(I18n.LOCALE_PARAM))
+        || I18n.matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY))
+        || I18n.negotiateLocale(navigator.languages || [navigator.language]);
+}
+
+const APP_LOCALE = getPreferredLocale();
+// Replaced by loadTranslations(); until then every key comes back as is
+let t = I18n.createTranslator(APP_LOCALE, []);
+
+// Set before anything reads the page: RTL styles apply at once, and the manifest link points at
+// this locale's manifest (server/i18n.js) before the playground captures it
+document.documentElement.lang = APP_LOCALE;
+document.documentElement.dir = I18n.getDirection(APP_LOCALE);
+document.querySelector('link[rel="manifest"]')?.setAttribute('href', I18n.getManifestPath(APP_LOCALE));
+
+async function fetchCatalog(locale) {
+    const response = await fetch(I18n.getCatalogPath(locale));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Load this locale's catalog, and English for any key it hasn't translated
+ */
+async function loadTranslations() {
+    const locales = APP_LOCALE === I18n.DEFAULT_LOCALE ? [APP_LOCALE] : [APP_LOCALE, I18n.DEFAULT_LOCALE];
+    const catalogs = await Promise.all(locales.map((locale) => fetchCatalog(locale).catch((error) => {
+        console.warn(`Could not load the ${locale} catalog:`, error.message);
+        return null;
+    })));
+    t = I18n.createTranslator(APP_LOCALE, catalogs);
+}
+
+/**
+ * Replace the English in index.html. Keys no catalog has keep the page's own text.
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        if (t.has(element.dataset.i18n)) {
+            element.textContent = t(element.dataset.i18n);
+        }
+    });
+    TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            if (t.has(key)) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+}
+
+/**
+ * Dates and times in the page's locale
+ */
+function formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return new Date(value).toLocaleString(APP_LOCALE, options);
+}
+
+/**
+ * The worker caches this locale's catalog and manifest, and writes notifications in it (sw/locale.js)
+ */
+async function shareLocaleWithWorker() {
+    const registration = await navigator.serviceWorker.ready;
+    // Caching the shell can take a while on a slow connection
+    const result = await askServiceWorker(registration.active, { type: 'SET_LOCALE', locale: APP_LOCALE }, 15000);
+    if (result.error) {
+        console.warn('Worker could not cache the locale:', result.error);
+    }
+}
+
+function setupLanguageSwitcher() {
+    const languageSelect = document.getElementById('languageSelect');
+    if (!languageSelect) {
+        return;
+    }
+    languageSelect.replaceChildren(...Object.entries(I18n.LOCALES).map(([locale, { name }]) => {
+        const option = new Option(name, locale);
+        option.lang = locale;
+        return option;
+    }));
+    languageSelect.value = APP_LOCALE;
+
+    // Text rendered so far is in the old language: start over in the new one
+    languageSelect.addEventListener('change', () => {
+        trackEvent('locale_switch', { from: APP_LOCALE, to: languageSelect.value });
+        localStorage.setItem(LOCALE_STORAGE_KEY, languageSelect.value);
+        const url = new URL(location.href);
+        if (url.searchParams.has(I18n.LOCALE_PARAM)) {
+            // ?lang= would win over the new choice
+            url.searchParams.delete(I18n.LOCALE_PARAM);
+            location.assign(url.href);
+        } else {
+            location.reload();
+        }
+    });
+}
+
 // ============================================
 // Service Worker Registration
 // ============================================
-async function registerServiceWorker() {
-    const swIcon = document.getElementById('swIcon');
-    const swTitle = document.getElementById('swTitle');
-    const swStatus = document.getElementById('swStatus');
-    const swDetails = document.getElementById('swDetails');
+async function registerServiceWorker() {
+    const swIcon = document.getElementById('swIcon');
+    const swTitle = document.getElementById('swTitle');
+    const swStatus = document.getElementById('swStatus');
+    const swDetails = document.getElementById('swDetails');
+
+    if ('serviceWorker' in navigator) {
+        try {
+            // sw-workbox.js unless the switcher says otherwise; sw.js if Workbox can't install
+            const registration = await registerPreferredWorker();
+
+            console.log('ServiceWorker registration successful:', registration.scope);
+
+            // Update UI
+            swIcon.textContent = '✅';
+            swTitle.textContent = t('sw.active_title');
+            swStatus.textContent = t('sw.active_text');
+            swDetails.textContent = t('sw.scope', { scope: registration.scope });
+
+            // Listen for updates
+            setupUpdateFlow(registration);
+            trackWorkerLifecycle(registration);
+
+            updateChecklistItem('check-sw', 'success', '✅');
+            // Registration alone doesn't mean offline works; ask the worker what it cached
+            verifyOfflineReadiness();
+
+            setupPushNotifications(registration);
+            requestOutboxStatus();
+            setupNavigationTiming(registration);
+            setupAssetUpdates();
+            setupWhatsNew();
+            setupImplementationSwitcher();
+            shareLocaleWithWorker().catch((error) => console.warn('Could not share the locale:', error.message));
+
+        } catch (error) {
+            console.error('ServiceWorker registration failed:', error);
+            swIcon.textContent = '❌';
+            swTitle.textContent = t('sw.failed_title');
+            swStatus.textContent = error.message;
+            updateChecklistItem('check-sw', 'error', '❌');
+            updateChecklistItem('check-offline', 'error', '❌');
+        }
+    } else {
+        swIcon.textContent = '⚠️';
+        swTitle.textContent = t('sw.unsupported_title');
+        swStatus.textContent = t('sw.unsupported_text');
+        updateChecklistItem('check-sw', 'warning', '⚠️');
+        updateChecklistItem('check-offline', 'warning', '⚠️');
+    }
+}
+
+// ============================================
+// Service Worker Implementation
+// sw-workbox.js and sw.js do the same job in two ways; the switcher in the
+// service worker card picks one, so both can be compared on the same device
+// ============================================
+const SERVICE_WORKER_IMPLEMENTATIONS = {
+    'workbox': { script: './sw-workbox.js', labelKey: 'implementation.workbox' },
+    'workbox-cdn': { script: './sw-workbox.js?workbox=cdn', labelKey: 'implementation.workbox_cdn' },
+    'vanilla': { script: './sw.js', labelKey: 'implementation.vanilla' }
+};
+const DEFAULT_IMPLEMENTATION = 'workbox';
+const IMPLEMENTATION_STORAGE_KEY = 'pwa-getstarted-sw-implementation';
+const swImplementation = document.getElementById('swImplementation');
+const swImplementationSelect = document.getElementById('swImplementationSelect');
+const swImplementationStatus = document.getElementById('swImplementationStatus');
+const swImplementationCaches = document.getElementById('swImplementationCaches');
+
+// Why sw.js is running instead of the Workbox worker on this page load, if it is
+let workboxFallbackReason = null;
+
+function getPreferredImplementation() {
+    const stored = localStorage.getItem(IMPLEMENTATION_STORAGE_KEY);
+    return SERVICE_WORKER_IMPLEMENTATIONS[stored] ? stored : DEFAULT_IMPLEMENTATION;
+}
+
+function isVanillaWorker(scriptURL) {
+    return new URL(scriptURL).pathname.endsWith('/sw.js');
+}
+
+/**
+ * Resolves to false when the worker being installed ends up redundant instead of installed
+ */
+function waitForInstall(registration) {
+    const worker = registration.installing;
+    if (!worker) {
+        return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'redundant') {
+                resolve(false);
+            } else if (worker.state !== 'installing') {
+                resolve(true);
+            }
+        });
+    });
+}
+
+/**
+ * Register the worker picked in the switcher. When the Workbox worker can't install
+ * (Workbox loaded from neither source, or its precache failed) and no earlier Workbox
+ * worker is still running, sw.js is registered instead so the app keeps working offline.
+ */
+async function registerPreferredWorker() {
+    const implementation = getPreferredImplementation();
+    const { script } = SERVICE_WORKER_IMPLEMENTATIONS[implementation];
+    if (implementation === 'vanilla') {
+        return navigator.serviceWorker.register(script, { scope: './' });
+    }
+
+    let registration = null;
+    let reason;
+    try {
+        registration = await navigator.serviceWorker.register(script, { scope: './' });
+        if (await waitForInstall(registration)) {
+            return registration;
+        }
+        reason = 'the worker failed to install';
+    } catch (error) {
+        // The script threw while loading, e.g. Workbox came from neither this origin nor the CDN
+        reason = error.message;
+        registration = await navigator.serviceWorker.getRegistration('./');
+    }
+
+    // A failed update leaves the previous Workbox worker in charge, and that one still works
+    if (registration && registration.active && !isVanillaWorker(registration.active.scriptURL)) {
+        console.warn('Workbox worker update failed, keeping the active one:', reason);
+        return registration;
+    }
+
+    console.warn('Workbox worker failed, falling back to sw.js:', reason);
+    workboxFallbackReason = reason;
+    trackEvent('sw_fallback', { from: script, reason });
+    return navigator.serviceWorker.register(SERVICE_WORKER_IMPLEMENTATIONS.vanilla.script, { scope: './' });
+}
+
+function renderWorkerCaches(info) {
+    swImplementationCaches.replaceChildren(...info.caches.map((cache) => {
+        const li = document.createElement('li');
+        const name = document.createElement('code');
+        name.textContent = cache.name;
+        li.append(name, ' ', cache.exists ? t('implementation.entries', { count: cache.count }) : t('implementation.not_created'));
+        return li;
+    }));
+}
+
+async function renderWorkerImplementation() {
+    let info;
+    try {
+        // On a first visit the worker only becomes active after registration
+        const registration = await navigator.serviceWorker.ready;
+        info = await askServiceWorker(registration.active, { type: 'GET_WORKER_INFO' });
+    } catch (error) {
+        swImplementationStatus.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    if (info.error) {
+        swImplementationStatus.textContent = `⚠️ ${info.error}`;
+        return;
+    }
+
+    const file = new URL(info.scriptURL).pathname.split('/').pop();
+    const library = info.workbox
+        ? t(info.workbox.source === 'cdn' ? 'implementation.library_cdn' : 'implementation.library_local', { version: info.workbox.version })
+        : t('implementation.no_library');
+    let status = t('implementation.running', { file, library });
+    if (workboxFallbackReason) {
+        status += ` ${t('implementation.fell_back', { reason: workboxFallbackReason })}`;
+    }
+    swImplementationStatus.textContent = status;
+    renderWorkerCaches(info);
+}
+
+/**
+ * Unregister the current worker and delete its caches, then reload so the
+ * page starts uncontrolled and registers the newly picked implementation
+ */
+async function switchImplementation(implementation) {
+    trackEvent('sw_implementation_switch', { from: getPreferredImplementation(), to: implementation });
+    localStorage.setItem(IMPLEMENTATION_STORAGE_KEY, implementation);
+    swImplementationSelect.disabled = true;
+    swImplementationStatus.textContent = t('implementation.switching', { name: t(SERVICE_WORKER_IMPLEMENTATIONS[implementation].labelKey) });
+    try {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations.map((registration) => registration.unregister()));
+        // Both workers name their caches pwa-getstarted-*, and share the runtime cache names
+        await clearAppCaches();
+    } finally {
+        location.reload();
+    }
+}
+
+function setupImplementationSwitcher() {
+    if (!swImplementation) {
+        return;
+    }
+    swImplementation.hidden = false;
+    swImplementationSelect.value = getPreferredImplementation();
+    swImplementationSelect.addEventListener('change', () => switchImplementation(swImplementationSelect.value));
+    renderWorkerImplementation();
+}
+
+// ============================================
+// Service Worker Updates
+// ============================================
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const updateBanner = document.getElementById('updateBanner');
+const updateReloadBtn = document.getElementById('updateReloadBtn');
+const updateDismissBtn = document.getElementById('updateDismissBtn');
+
+// Lets every open tab show the prompt and follow along when one of them accepts it
+const updateChannel = 'BroadcastChannel' in window ? new BroadcastChannel('pwa-getstarted-updates') : null;
+
+// A page that was uncontrolled at load gets its first controller from clients.claim();
+// that's not an update, so only pages that already had a controller reload
+const hadControllerAtLoad = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+let isReloading = false;
+
+function showUpdateBanner(registration) {
+    if (!updateBanner || !registration.waiting) {
+        return;
+    }
+    updateBanner.classList.remove('updating');
+    updateBanner.classList.add('show');
+    updateReloadBtn.disabled = false;
+}
+
+function hideUpdateBanner() {
+    if (updateBanner) {
+        updateBanner.classList.remove('show');
+    }
+}
+
+function markUpdating() {
+    if (updateBanner) {
+        updateBanner.classList.add('show', 'updating');
+        updateReloadBtn.disabled = true;
+    }
+}
+
+function activateWaitingWorker(registration) {
+    if (!registration.waiting) {
+        return;
+    }
+    markUpdating();
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    if (updateChannel) {
+        updateChannel.postMessage({ type: 'UPDATE_ACCEPTED' });
+    }
+}
+
+function trackInstallingWorker(registration, worker) {
+    worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            console.log('New version installed and waiting');
+            showUpdateBanner(registration);
+            if (updateChannel) {
+                updateChannel.postMessage({ type: 'UPDATE_AVAILABLE' });
+            }
+        }
+    });
+}
+
+function checkForUpdate(registration) {
+    registration.update().catch((error) => {
+        console.warn('Update check failed:', error);
+    });
+    // Files can change without a new worker; the worker refreshes just those (sw/delta-update.js)
+    if (navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'CHECK_ASSET_UPDATES' });
+    }
+}
+
+function setupUpdateFlow(registration) {
+    // A worker may already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration);
+    }
+
+    if (registration.installing) {
+        trackInstallingWorker(registration, registration.installing);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        console.log('New service worker installing...');
+        trackInstallingWorker(registration, registration.installing);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadControllerAtLoad || isReloading) {
+            return;
+        }
+        isReloading = true;
+        window.location.reload();
+    });
+
+    if (updateReloadBtn) {
+        updateReloadBtn.addEventListener('click', () => activateWaitingWorker(registration));
+    }
+    if (updateDismissBtn) {
+        updateDismissBtn.addEventListener('click', hideUpdateBanner);
+    }
+
+    if (updateChannel) {
+        updateChannel.addEventListener('message', (event) => {
+            if (event.data.type === 'UPDATE_AVAILABLE') {
+                showUpdateBanner(registration);
+            } else if (event.data.type === 'UPDATE_ACCEPTED') {
+                // Another tab activated the new worker; controllerchange will reload us too
+                markUpdating();
+            }
+        });
+    }
+
+    // Keep checking while the app stays open, and whenever it comes back into view
+    setInterval(() => checkForUpdate(registration), UPDATE_CHECK_INTERVAL);
+    let lastCheck = Date.now();
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && Date.now() - lastCheck > UPDATE_CHECK_INTERVAL / 4) {
+            lastCheck = Date.now();
+            checkForUpdate(registration);
+        }
+    });
+}
+
+// ============================================
+// Service Worker Messages
+// ============================================
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'OUTBOX_STATUS':
+        case 'OUTBOX_QUEUED':
+        case 'OUTBOX_REPLAYED':
+        case 'OUTBOX_DROPPED':
+            renderOutboxStatus(message);
+            break;
+
+        case 'WHATS_NEW':
+            // The worker refreshed the feed, maybe from a periodic sync
+            renderWhatsNew(message);
+            break;
+
+        case 'ASSET_UPDATES':
+            // A delta update finished, started by the worker or by us
+            renderAssetUpdates(message);
+            break;
+
+        case 'NOTES_SYNCED':
+            // The worker synced notes in the background
+            lastNotesSync = message;
+            if (notesPanel && !notesPanel.hidden) {
+                renderNotes();
+            }
+            break;
+
+        case 'NOTIFICATION_CLICK':
+            console.log('Notification clicked:', message.action || 'body', message.url);
+            // The worker focused this window; jump to the section the notification points at
+            if (new URL(message.url).hash) {
+                location.hash = new URL(message.url).hash;
+            }
+            break;
+    }
+}
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+}
+
+/**
+ * Send a message to a worker and wait for its reply on a MessageChannel
+ */
+function askServiceWorker(worker, message, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error(t('sw.no_answer'))), timeout);
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+// ============================================
+// Offline Readiness Probe
+// ============================================
+async function getManifestStartUrl() {
+    const manifestLink = document.querySelector('link[rel="manifest"]');
+    if (!manifestLink) {
+        return new URL('./', location.href).href;
+    }
+    const response = await fetch(manifestLink.href);
+    const manifest = await response.json();
+    return new URL(manifest.start_url || './', manifestLink.href).href;
+}
+
+// clients.claim() runs during activation, so a first visit gets its controller shortly after registering
+function waitForController(timeout = 5000) {
+    if (navigator.serviceWorker.controller) {
+        return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeout);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            clearTimeout(timer);
+            resolve(true);
+        }, { once: true });
+    });
+}
+
+function describeOfflineStatus(status, isControlled) {
+    const issues = [];
+    const path = (url) => new URL(url).pathname + new URL(url).search;
+
+    if (status.error) {
+        issues.push({ severity: 'error', member: '', message: t('offline.probe_failed', { error: status.error }) });
+        return issues;
+    }
+
+    if (!isControlled) {
+        issues.push({ severity: 'warning', member: '', message: t('offline.not_controlled') });
+    }
+
+    status.missing.forEach((url) => {
+        issues.push({ severity: 'error', member: path(url), message: t('offline.missing') });
+    });
+
+    const startMessages = {
+        'precache': null,
+        'runtime-cache': { severity: 'info', message: t('offline.start_runtime_cache') },
+        'offline-fallback': { severity: 'info', message: t('offline.start_fallback') }
+    };
+    const startIssue = status.startUrlServedBy
+        ? startMessages[status.startUrlServedBy]
+        : { severity: 'error', message: t('offline.start_uncached') };
+    if (startIssue) {
+        issues.push({ ...startIssue, member: `start_url ${path(status.startUrl)}` });
+    }
+
+    if (status.failed) {
+        status.failed.forEach(({ url, error }) => {
+            issues.push({ severity: 'error', member: path(url), message: t('offline.repair_failed', { error }) });
+        });
+    }
+
+    return issues;
+}
+
+function renderOfflineStatus(status, isControlled, onRepair) {
+    const issues = describeOfflineStatus(status, isControlled);
+    const statusName = statusForIssues(issues);
+    updateChecklistItem('check-offline', statusName, CHECK_ICONS[statusName]);
+    renderChecklistIssues('check-offline', issues);
+
+    const item = document.getElementById('check-offline');
+    const description = item.querySelector('.check-content p');
+    if (!status.error) {
+        description.textContent = t('offline.cached', { cached: status.cached.length, count: status.total, cacheName: status.cacheName });
+    }
+
+    let repairBtn = item.querySelector('.check-repair');
+    if (status.missing && status.missing.length > 0) {
+        if (!repairBtn) {
+            repairBtn = document.createElement('button');
+            repairBtn.className = 'btn btn-small check-repair';
+            repairBtn.textContent = t('offline.repair');
+            item.querySelector('.check-content').appendChild(repairBtn);
+        }
+        repairBtn.disabled = false;
+        repairBtn.onclick = () => {
+            repairBtn.disabled = true;
+            repairBtn.textContent = t('offline.repairing');
+            onRepair();
+        };
+    } else if (repairBtn) {
+        repairBtn.remove();
+    }
+}
+
+/**
+ * Ask the active worker which precached files are really in Cache Storage.
+ * With `repair`, it re-fetches the missing ones first.
+ */
+async function verifyOfflineReadiness({ repair = false } = {}) {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const isControlled = await waitForController();
+        const status = await askServiceWorker(registration.active, {
+            type: repair ? 'REPAIR_PRECACHE' : 'GET_OFFLINE_STATUS',
+            startUrl: await getManifestStartUrl()
+        }, repair ? 30000 : 5000);
+
+        if (repair) {
+            console.log(`Precache repair: ${status.repaired} file(s) re-fetched`, status.failed || []);
+        }
+        renderOfflineStatus(status, isControlled, () => verifyOfflineReadiness({ repair: true }));
+    } catch (error) {
+        console.error('Offline readiness probe failed:', error);
+        renderOfflineStatus({ error: error.message }, false);
+    }
+}
+
+// ============================================
+// Background Sync Outbox (sw.js)
+// ============================================
+const syncStatus = document.getElementById('syncStatus');
+
+function renderOutboxStatus(message) {
+    switch (message.type) {
+        case 'OUTBOX_QUEUED':
+            console.log('Request queued for background sync:', message.entry.method, message.entry.url);
+            break;
+        case 'OUTBOX_REPLAYED':
+            console.log('Queued request replayed:', message.entry.method, message.entry.url, message.status);
+            break;
+        case 'OUTBOX_DROPPED':
+            console.warn('Queued request dropped:', message.entry.url, message.reason);
+            break;
+    }
+
+    if (!syncStatus) {
+        return;
+    }
+
+    if (message.type === 'OUTBOX_DROPPED') {
+        syncStatus.textContent = `⚠️ ${t('outbox.dropped', {
+            method: message.entry.method,
+            path: new URL(message.entry.url).pathname,
+            reason: message.reason
+        })}`;
+    } else if (message.pending > 0) {
+        syncStatus.textContent = `⏳ ${t('outbox.pending', { count: message.pending })}`;
+    } else if (message.type === 'OUTBOX_REPLAYED') {
+        syncStatus.textContent = `✅ ${t('outbox.synced')}`;
+    } else {
+        syncStatus.textContent = '';
+    }
+}
+
+function requestOutboxStatus() {
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'GET_OUTBOX_STATUS' });
+    }
+}
+
+// Without the Background Sync API the worker can't wake itself up, so nudge it when we're back online
+window.addEventListener('online', () => {
+    if (navigator.serviceWorker && navigator.serviceWorker.controller && !('SyncManager' in window)) {
+        navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_OUTBOX' });
+    }
+});
+
+// ============================================
+// Periodic Sync - "What's New" & App Badge
+// The worker fetches the feed and sets the badge (sw/whats-new.js)
+// ============================================
+const WHATS_NEW_SYNC_TAG = 'whats-new';
+const WHATS_NEW_SYNC_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours, a hint: the browser decides
+const WHATS_NEW_VISIBLE_INTERVAL = 30 * 60 * 1000; // without periodic sync: refresh on return after 30 minutes
+const periodicSyncStatus = document.getElementById('periodicSyncStatus');
+const whatsNew = document.getElementById('whatsNew');
+const whatsNewCount = document.getElementById('whatsNewCount');
+const whatsNewList = document.getElementById('whatsNewList');
+let whatsNewState = null;
+let periodicSyncState = null;
+
+/**
+ * Register the periodic sync. Browsers only grant the permission to installed apps.
+ * Resolves to 'registered', 'not-granted' or 'unsupported'.
+ */
+async function registerPeriodicSync(registration) {
+    if (!('periodicSync' in registration)) {
+        return 'unsupported';
+    }
+    try {
+        const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (state !== 'granted') {
+            return 'not-granted';
+        }
+        await registration.periodicSync.register(WHATS_NEW_SYNC_TAG, { minInterval: WHATS_NEW_SYNC_INTERVAL });
+        return 'registered';
+    } catch (error) {
+        console.warn('Could not register periodic sync:', error);
+        return 'unsupported';
+    }
+}
+
+function renderPeriodicSyncStatus() {
+    if (!periodicSyncState) {
+        return;
+    }
+    const how = {
+        'registered': `🔁 ${t('whats_new.background')}`,
+        'not-granted': `📅 ${t('whats_new.not_granted')}`,
+        'unsupported': `📅 ${t('whats_new.unsupported')}`
+    }[periodicSyncState];
+    const checkedAt = whatsNewState && whatsNewState.checkedAt;
+    periodicSyncStatus.textContent = checkedAt
+        ? `${how}. ${t('whats_new.last_check', { time: formatDateTime(checkedAt) })}`
+        : how;
+}
+
+function renderWhatsNew(result) {
+    if (!whatsNew) {
+        return;
+    }
+    if (result.error) {
+        console.warn('News feed refresh failed:', result.error);
+        return;
+    }
+    whatsNewState = result;
+    renderPeriodicSyncStatus();
+
+    whatsNew.hidden = result.items.length === 0;
+    whatsNewCount.textContent = result.unread > 0 ? `(${t('whats_new.unread', { count: result.unread })})` : '';
+    whatsNewList.replaceChildren(...result.items.map((item) => {
+        const li = document.createElement('li');
+        li.classList.toggle('unread', !result.readAt || Date.parse(item.publishedAt) > result.readAt);
+        const link = document.createElement('a');
+        link.href = item.url || './';
+        link.textContent = item.title;
+        const date = document.createElement('span');
+        date.className = 'whats-new-date';
+        date.textContent = formatDateTime(item.publishedAt, { dateStyle: 'medium' });
+        li.append(link, date, item.summary || '');
+        return li;
+    }));
+}
+
+function refreshWhatsNew(worker) {
+    return askServiceWorker(worker, { type: 'REFRESH_WHATS_NEW' }, 15000)
+        .then(renderWhatsNew)
+        .catch((error) => console.warn('News feed refresh failed:', error));
+}
+
+function isWhatsNewStale() {
+    return !whatsNewState || !whatsNewState.checkedAt || Date.now() - whatsNewState.checkedAt > WHATS_NEW_VISIBLE_INTERVAL;
+}
+
+async function setupWhatsNew() {
+    if (!whatsNew) {
+        return;
+    }
+    let registration;
+    try {
+        // On a first visit the worker only becomes active after registration
+        registration = await navigator.serviceWorker.ready;
+        periodicSyncState = await registerPeriodicSync(registration);
+        renderWhatsNew(await askServiceWorker(registration.active, { type: 'GET_WHATS_NEW' }));
+    } catch (error) {
+        console.warn('Could not read the news feed:', error);
+        return;
+    }
+
+    // Opening the app counts as a check; without periodic sync, so does coming back to it
+    if (isWhatsNewStale()) {
+        refreshWhatsNew(registration.active);
+    }
+    if (periodicSyncState !== 'registered') {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && isWhatsNewStale() && registration.active) {
+                refreshWhatsNew(registration.active);
+            }
+        });
+    }
+
+    // Opening the list reads it: clear the count and the badge, but keep the highlights until next time
+    whatsNew.addEventListener('toggle', async () => {
+        if (!whatsNew.open || !whatsNewState || whatsNewState.unread === 0) {
+            return;
+        }
+        whatsNewCount.textContent = '';
+        try {
+            whatsNewState = await askServiceWorker(registration.active, { type: 'MARK_WHATS_NEW_READ' });
+        } catch (error) {
+            console.warn('Could not mark the news feed as read:', error);
+        }
+    });
+}
+
+// ============================================
+// Delta Updates
+// ============================================
+const assetUpdateStatus = document.getElementById('assetUpdateStatus');
+const assetUpdateBtn = document.getElementById('assetUpdateBtn');
+
+function renderAssetUpdates(result) {
+    if (!assetUpdateStatus) {
+        return;
+    }
+    if (result.never) {
+        assetUpdateStatus.textContent = `⏳ ${t('delta.never')}`;
+        return;
+    }
+
+    const when = result.at ? ` (${formatDateTime(result.at, { timeStyle: 'medium' })})` : '';
+    if (result.error) {
+        assetUpdateStatus.textContent = `⚠️ ${t('delta.failed', { error: result.error })}${when}`;
+        return;
+    }
+    const changes = result.updated.length + result.deleted.length;
+    let text = changes === 0
+        ? `✅ ${t('delta.current', { count: result.checked })}`
+        : `🔄 ${t('delta.changed', { updated: result.updated.length, deleted: result.deleted.length, size: formatBytes(result.bytes) })}`;
+    if (result.failed.length) {
+        text += `, ${t('delta.not_fetched', { count: result.failed.length })}`;
+    }
+    assetUpdateStatus.textContent = text + when;
+}
+
+async function checkAssetUpdates(registration) {
+    assetUpdateBtn.disabled = true;
+    assetUpdateStatus.textContent = `⏳ ${t('delta.checking')}`;
+    try {
+        // Downloads can take a while on a slow connection
+        renderAssetUpdates(await askServiceWorker(registration.active, { type: 'CHECK_ASSET_UPDATES' }, 60000));
+    } catch (error) {
+        assetUpdateStatus.textContent = `❌ ${error.message}`;
+    } finally {
+        assetUpdateBtn.disabled = false;
+    }
+}
+
+async function setupAssetUpdates() {
+    if (!assetUpdateStatus) {
+        return;
+    }
+    let registration;
+    try {
+        // On a first visit the worker only becomes active after registration
+        registration = await navigator.serviceWorker.ready;
+        renderAssetUpdates(await askServiceWorker(registration.active, { type: 'GET_ASSET_UPDATES' }));
+    } catch (error) {
+        console.warn('Could not read the last delta update:', error);
+        return;
+    }
+    assetUpdateBtn.style.display = '';
+    assetUpdateBtn.addEventListener('click', () => checkAssetUpdates(registration));
+}
+
+// ============================================
+// Navigation Preload Timing
+// ============================================
+const navigationStatus = document.getElementById('navigationStatus');
+const navigationTiming = document.getElementById('navigationTiming');
+const navigationModeBtn = document.getElementById('navigationModeBtn');
+const NAVIGATION_TIMING_KEY = 'pwa-getstarted-navigation-timing';
+
+/**
+ * How this page load went, from its navigation timing entry.
+ * The workers tag their answer with `Server-Timing: sw-navigation;desc="..."` (sw/navigation.js).
+ */
+function measureNavigation() {
+    const [entry] = performance.getEntriesByType('navigation');
+    if (!entry) {
+        return null;
+    }
+    const tag = (entry.serverTiming || []).find((timing) => timing.name === 'sw-navigation');
+    const paint = performance.getEntriesByName('first-contentful-paint')[0];
+    return {
+        servedBy: tag ? tag.description : (navigator.serviceWorker && navigator.serviceWorker.controller ? 'service worker' : 'network'),
+        firstByte: Math.round(entry.responseStart),
+        firstPaint: paint ? Math.round(paint.startTime) : null,
+        domReady: Math.round(entry.domContentLoadedEventEnd),
+        measuredAt: Date.now()
+    };
+}
+
+function formatMs(ms) {
+    return ms === null ? '–' : new Intl.NumberFormat(APP_LOCALE, { style: 'unit', unit: 'millisecond' }).format(ms);
+}
+
+// Keeps the last load in each mode, so switching modes shows the difference
+function renderNavigationTiming(mode, timing) {
+    let history = {};
+    try {
+        history = JSON.parse(localStorage.getItem(NAVIGATION_TIMING_KEY)) || {};
+        history[mode] = timing;
+        localStorage.setItem(NAVIGATION_TIMING_KEY, JSON.stringify(history));
+    } catch (error) {
+        history = { [mode]: timing };
+    }
+
+    const labels = { full: t('navigation.full_page'), stream: t('navigation.streamed_shell') };
+    navigationTiming.tBodies[0].replaceChildren(...Object.keys(labels)
+        .filter((key) => history[key])
+        .map((key) => {
+            const row = document.createElement('tr');
+            const cells = [labels[key], history[key].servedBy, formatMs(history[key].firstByte),
+                formatMs(history[key].firstPaint), formatMs(history[key].domReady)];
+            cells.forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    navigationTiming.hidden = false;
+}
+
+async function switchNavigationMode(registration, mode) {
+    navigationModeBtn.disabled = true;
+    try {
+        const result = await askServiceWorker(registration.active, { type: 'SET_NAVIGATION_MODE', mode });
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        // The new mode applies from the next navigation
+        location.reload();
+    } catch (error) {
+        console.error('Could not change the navigation mode:', error);
+        navigationStatus.textContent = `❌ ${error.message}`;
+        navigationModeBtn.disabled = false;
+    }
+}
+
+async function setupNavigationTiming(registration) {
+    if (!navigationStatus) {
+        return;
+    }
+
+    // First paint and DOM ready are only known once the page has loaded
+    if (document.readyState !== 'complete') {
+        await new Promise((resolve) => window.addEventListener('load', resolve, { once: true }));
+    }
+    const timing = measureNavigation();
+
+    let state;
+    try {
+        // On a first visit the worker only becomes active after registration
+        registration = await navigator.serviceWorker.ready;
+        state = await askServiceWorker(registration.active, { type: 'GET_NAVIGATION_MODE' });
+    } catch (error) {
+        console.warn('Could not read the navigation mode:', error);
+        return;
+    }
+    if (state.error || !state.supported) {
+        navigationStatus.textContent = `⚠️ ${t('navigation.unsupported')}`;
+        return;
+    }
+
+    navigationStatus.textContent = state.enabled
+        ? `⚡ ${t(state.mode === 'stream' ? 'navigation.enabled_stream' : 'navigation.enabled_full')}`
+        : `⏳ ${t('navigation.pending')}`;
+    if (timing) {
+        console.log('Navigation timing:', timing);
+        renderNavigationTiming(state.mode, timing);
+    }
+
+    const nextMode = state.mode === 'stream' ? 'full' : 'stream';
+    navigationModeBtn.textContent = t(nextMode === 'stream' ? 'navigation.stream' : 'navigation.full');
+    navigationModeBtn.style.display = 'inline-flex';
+    navigationModeBtn.addEventListener('click', () => switchNavigationMode(registration, nextMode));
+}
+
+// ============================================
+// Cache Storage Inspector
+// ============================================
+const cacheInspector = document.getElementById('cacheInspector');
+const cacheInspectorBtn = document.getElementById('cacheInspectorBtn');
+const cacheRefreshBtn = document.getElementById('cacheRefreshBtn');
+const storagePersistBtn = document.getElementById('storagePersistBtn');
+const cacheSummary = document.getElementById('cacheSummary');
+const storageMeterBar = document.getElementById('storageMeterBar');
+const cacheList = document.getElementById('cacheList');
+
+function formatBytes(bytes) {
+    const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+    const exponent = bytes ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+    return new Intl.NumberFormat(APP_LOCALE, {
+        style: 'unit',
+        unit: units[exponent],
+        unitDisplay: 'short',
+        maximumFractionDigits: exponent === 0 ? 0 : 1
+    }).format(bytes / 1024 ** exponent);
+}
+
+// Inspector data comes from the active worker, so it reflects the worker's own view of Cache Storage
+async function askCacheInspector(message) {
+    const registration = await navigator.serviceWorker.ready;
+    const result = await askServiceWorker(registration.active, message, 15000);
+    if (result.error) {
+        throw new Error(result.error);
+    }
+    return result;
+}
+
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+}
+
+function formatCachedAt(entry) {
+    if (!entry.cachedAt) {
+        return '—';
+    }
+    const time = formatDateTime(entry.cachedAt);
+    // Without a stored timestamp all we know is when the server made the response
+    return entry.cachedAtSource === 'date-header' ? t('inspector.server_date', { time }) : time;
+}
+
+function renderCacheGroup(cache, openCaches) {
+    const group = document.createElement('details');
+    group.className = 'cache-group';
+    group.dataset.cacheName = cache.name;
+    group.open = openCaches.has(cache.name);
+
+    const summary = document.createElement('summary');
+    const name = document.createElement('span');
+    name.textContent = cache.name;
+    const kind = document.createElement('span');
+    kind.className = 'cache-kind';
+    kind.textContent = cache.kind;
+    const meta = document.createElement('span');
+    meta.className = 'cache-meta';
+    meta.textContent = `${t('inspector.entries', { count: cache.count })} · ${formatBytes(cache.size)}`;
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn btn-small btn-outline';
+    clearBtn.textContent = t('inspector.clear');
+    clearBtn.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (confirm(t('inspector.confirm_clear', { name: cache.name }))) {
+            runInspectorAction({ type: 'CLEAR_CACHE', cacheName: cache.name });
+        }
+    });
+    summary.append(name, kind, meta, clearBtn);
+
+    const table = document.createElement('table');
+    table.className = 'inspector-table';
+    const head = document.createElement('tr');
+    [t('inspector.url'), t('inspector.size'), t('inspector.type'), t('inspector.cached'), ''].forEach((label) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    cache.entries.forEach((entry) => {
+        const row = document.createElement('tr');
+        const url = new URL(entry.url);
+        const deleteCell = document.createElement('td');
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-icon-only';
+        deleteBtn.title = t('inspector.delete_entry');
+        deleteBtn.textContent = '✕';
+        deleteBtn.addEventListener('click', () => {
+            runInspectorAction({ type: 'DELETE_CACHE_ENTRY', cacheName: cache.name, url: entry.url });
+        });
+        deleteCell.appendChild(deleteBtn);
+
+        row.append(
+            createCell(url.origin === location.origin ? url.pathname + url.search : entry.url, 'url'),
+            createCell(formatBytes(entry.size)),
+            createCell(entry.contentType.split(';')[0]),
+            createCell(formatCachedAt(entry)),
+            deleteCell
+        );
+        table.appendChild(row);
+    });
+
+    const wrap = document.createElement('div');
+    wrap.className = 'inspector-table-wrap';
+    wrap.appendChild(table);
+    group.append(summary, wrap);
+    return group;
+}
+
+function renderCacheInspector(result) {
+    const openCaches = new Set(Array.from(cacheList.querySelectorAll('.cache-group[open]'), (group) => group.dataset.cacheName));
+    const { totals, storage } = result;
+
+    let summaryText = [
+        t('inspector.caches', { count: totals.caches }),
+        t('inspector.entries', { count: totals.entries }),
+        formatBytes(totals.size)
+    ].join(' · ');
+    if (storage) {
+        summaryText += ` · ${t('inspector.usage', { usage: formatBytes(storage.usage), quota: formatBytes(storage.quota) })}`;
+        summaryText += storage.persisted ? ` · 🔒 ${t('inspector.persistent')}` : ` · ${t('inspector.best_effort')}`;
+        storageMeterBar.style.width = `${Math.min(100, (storage.usage / storage.quota) * 100).toFixed(2)}%`;
+        storagePersistBtn.style.display = storage.persisted ? 'none' : 'inline-flex';
+    }
+    cacheSummary.textContent = summaryText;
+
+    if (result.caches.length === 0) {
+        cacheList.textContent = t('inspector.empty');
+        return;
+    }
+    cacheList.replaceChildren(...result.caches.map((cache) => renderCacheGroup(cache, openCaches)));
+}
+
+async function refreshCacheInspector() {
+    try {
+        renderCacheInspector(await askCacheInspector({ type: 'LIST_CACHES' }));
+    } catch (error) {
+        console.error('Cache inspector failed:', error);
+        cacheSummary.textContent = `❌ ${error.message}`;
+    }
+}
+
+async function runInspectorAction(message) {
+    try {
+        await askCacheInspector(message);
+    } catch (error) {
+        console.error('Cache inspector action failed:', error);
+    }
+    await refreshCacheInspector();
+}
+
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        cacheSummary.textContent = `⚠️ ${t('inspector.persist_unsupported')}`;
+        return;
+    }
+    const persisted = await navigator.storage.persist();
+    console.log('Persistent storage', persisted ? 'granted' : 'denied');
+    await refreshCacheInspector();
+}
+
+function setupCacheInspector() {
+    if (!cacheInspector || !cacheInspectorBtn) {
+        return;
+    }
+
+    if (!('serviceWorker' in navigator) || !('caches' in window)) {
+        cacheInspectorBtn.disabled = true;
+        cacheInspectorBtn.textContent = t('common.not_supported');
+        return;
+    }
+
+    cacheInspectorBtn.addEventListener('click', () => {
+        cacheInspector.hidden = !cacheInspector.hidden;
+        cacheInspectorBtn.textContent = t(cacheInspector.hidden ? 'try.caches_button' : 'inspector.close');
+        if (!cacheInspector.hidden) {
+            refreshCacheInspector();
+            cacheInspector.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+    cacheRefreshBtn.addEventListener('click', refreshCacheInspector);
+    storagePersistBtn.addEventListener('click', requestPersistentStorage);
+}
+
+// ============================================
+// Service Worker Diagnostics
+// The workers' structured event log (sw/logger.js): read over a MessageChannel,
+// then followed live on its BroadcastChannel while the panel is open
+// ============================================
+const SW_LOG_CHANNEL = 'pwa-getstarted-sw-log';
+const SW_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_LOG_ENTRIES = 1000;
+const MAX_SHOWN_LOG_ENTRIES = 200;
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+const diagnosticsLevel = document.getElementById('diagnosticsLevel');
+const diagnosticsType = document.getElementById('diagnosticsType');
+const diagnosticsUrl = document.getElementById('diagnosticsUrl');
+const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+const diagnosticsLog = document.getElementById('diagnosticsLog');
+let swLogEntries = [];
+let swLogChannel = null;
+
+async function askLogWorker(type) {
+    const registration = await navigator.serviceWorker.ready;
+    const result = await askServiceWorker(registration.active, { type });
+    if (result.error) {
+        throw new Error(result.error);
+    }
+    return result.entries;
+}
+
+function filterLogEntries() {
+    const minLevel = SW_LOG_LEVELS.indexOf(diagnosticsLevel.value);
+    const type = diagnosticsType.value;
+    const url = diagnosticsUrl.value.trim().toLowerCase();
+    return swLogEntries.filter((entry) => SW_LOG_LEVELS.indexOf(entry.level) >= minLevel
+        && (!type || entry.type === type)
+        && (!url || (entry.url || '').toLowerCase().includes(url)));
+}
+
+// Offer every event type seen so far, keeping the current choice
+function renderLogTypes() {
+    const types = [...new Set(swLogEntries.map((entry) => entry.type))].sort();
+    const selected = diagnosticsType.value;
+    diagnosticsType.replaceChildren(new Option(t('diagnostics.all_events'), ''), ...types.map((type) => new Option(type, type)));
+    diagnosticsType.value = types.includes(selected) ? selected : '';
+}
+
+function renderLogEntry(entry) {
+    const row = document.createElement('tr');
+    row.className = `log-level-${entry.level}`;
+    row.title = entry.message || '';
+    const cells = [
+        formatDateTime(entry.time, { timeStyle: 'medium' }),
+        entry.level,
+        entry.type,
+        entry.url ? new URL(entry.url).pathname : (entry.message || ''),
+        entry.strategy || '',
+        entry.outcome || ''
+    ];
+    cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 3) {
+            cell.className = 'url';
+        }
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function renderDiagnostics() {
+    const shown = filterLogEntries();
+    const workers = [...new Set(swLogEntries.map((entry) => entry.worker))].join(', ');
+    if (swLogEntries.length === 0) {
+        diagnosticsSummary.textContent = t('diagnostics.empty');
+    } else {
+        diagnosticsSummary.textContent = t('diagnostics.summary', { shown: shown.length, count: swLogEntries.length })
+            + (workers ? ` ${t('diagnostics.from', { workers })}` : '')
+            + (shown.length > MAX_SHOWN_LOG_ENTRIES ? `, ${t('diagnostics.newest', { count: MAX_SHOWN_LOG_ENTRIES })}` : '');
+    }
+    diagnosticsLog.replaceChildren(...shown.slice(-MAX_SHOWN_LOG_ENTRIES).reverse().map(renderLogEntry));
+}
+
+function followLiveLog() {
+    if (swLogChannel || !('BroadcastChannel' in window)) {
+        return;
+    }
+    swLogChannel = new BroadcastChannel(SW_LOG_CHANNEL);
+    swLogChannel.addEventListener('message', (event) => {
+        if (event.data.type !== 'SW_LOG_ENTRY') {
+            return;
+        }
+        const { entry } = event.data;
+        swLogEntries.push(entry);
+        // The worker keeps the same number (MAX_LOG_ENTRIES in sw/logger.js)
+        if (swLogEntries.length > MAX_LOG_ENTRIES) {
+            swLogEntries.shift();
+        }
+        if (![...diagnosticsType.options].some((option) => option.value === entry.type)) {
+            renderLogTypes();
+        }
+        renderDiagnostics();
+    });
+}
+
+function stopFollowingLiveLog() {
+    if (swLogChannel) {
+        swLogChannel.close();
+        swLogChannel = null;
+    }
+}
+
+async function refreshDiagnostics() {
+    diagnosticsSummary.textContent = t('common.loading');
+    // Listen first, so nothing logged while the stored entries load is missed
+    const live = [];
+    const collect = (event) => live.push(event.data.entry);
+    followLiveLog();
+    if (swLogChannel) {
+        swLogChannel.addEventListener('message', collect);
+    }
+    try {
+        const stored = await askLogWorker('GET_LOG');
+        const lastStored = stored.length ? stored[stored.length - 1].time : 0;
+        // Live entries are posted before they are stored; keep only the ones the read missed
+        swLogEntries = stored.concat(live.filter((entry) => entry.time > lastStored));
+        renderLogTypes();
+        renderDiagnostics();
+    } catch (error) {
+        diagnosticsSummary.textContent = `❌ ${t('diagnostics.read_failed', { error: error.message })}`;
+    } finally {
+        if (swLogChannel) {
+            swLogChannel.removeEventListener('message', collect);
+        }
+    }
+}
+
+async function clearDiagnostics() {
+    try {
+        await askLogWorker('CLEAR_LOG');
+        swLogEntries = [];
+        renderLogTypes();
+        renderDiagnostics();
+    } catch (error) {
+        diagnosticsSummary.textContent = `❌ ${t('diagnostics.clear_failed', { error: error.message })}`;
+    }
+}
+
+/**
+ * Download the whole log with enough context to read it elsewhere
+ */
+function exportDiagnostics() {
+    const controller = navigator.serviceWorker.controller;
+    const report = {
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        displayMode: window.matchMedia('(display-mode: standalone)').matches ? 'standalone' : 'browser',
+        worker: controller ? controller.scriptURL : null,
+        entries: swLogEntries
+    };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `sw-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function setupDiagnostics() {
+    if (!diagnosticsPanel || !diagnosticsBtn) {
+        return;
+    }
+
+    if (!('serviceWorker' in navigator)) {
+        diagnosticsBtn.disabled = true;
+        diagnosticsBtn.textContent = t('common.not_supported');
+        return;
+    }
+
+    diagnosticsBtn.addEventListener('click', () => {
+        diagnosticsPanel.hidden = !diagnosticsPanel.hidden;
+        diagnosticsBtn.textContent = t(diagnosticsPanel.hidden ? 'try.diagnostics_button' : 'diagnostics.close');
+        if (diagnosticsPanel.hidden) {
+            stopFollowingLiveLog();
+            return;
+        }
+        refreshDiagnostics();
+        diagnosticsPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    [diagnosticsLevel, diagnosticsType].forEach((select) => select.addEventListener('change', renderDiagnostics));
+    diagnosticsUrl.addEventListener('input', renderDiagnostics);
+    document.getElementById('diagnosticsClearBtn').addEventListener('click', clearDiagnostics);
+    document.getElementById('diagnosticsExportBtn').addEventListener('click', exportDiagnostics);
+}
+
+// ============================================
+// Offline Notes
+// ============================================
+const notesPanel = document.getElementById('notesPanel');
+const notesBtn = document.getElementById('notesBtn');
+const notesPolicy = document.getElementById('notesPolicy');
+const notesSyncBtn = document.getElementById('notesSyncBtn');
+const notesStatus = document.getElementById('notesStatus');
+const notesForm = document.getElementById('notesForm');
+const notesSaveBtn = document.getElementById('notesSaveBtn');
+const notesCancelBtn = document.getElementById('notesCancelBtn');
+const notesList = document.getElementById('notesList');
+let lastNotesSync = null;
+
+const NOTE_STATES = {
+    synced: { icon: '✅', key: 'notes.state.synced' },
+    pending: { icon: '⏳', key: 'notes.state.pending' },
+    conflict: { icon: '⚠️', key: 'notes.state.conflict' }
+};
+
+function describeNotesStatus(notes, lastSyncedAt) {
+    const pending = notes.filter((note) => note.syncState === 'pending').length;
+    const conflicts = notes.filter((note) => note.syncState === 'conflict').length;
+
+    if (conflicts > 0) {
+        return `⚠️ ${t('notes.status.conflicts', { count: conflicts })}`;
+    }
+    if (lastNotesSync && lastNotesSync.offline) {
+        return pending > 0
+            ? `📴 ${t('notes.status.offline_pending', { count: pending })}`
+            : `📴 ${t('notes.status.offline')}`;
+    }
+    if (pending > 0) {
+        return `⏳ ${t('notes.status.pending', { count: pending })}`;
+    }
+    if (lastNotesSync && lastNotesSync.failed > 0) {
+        return `❌ ${t('notes.status.rejected', { count: lastNotesSync.failed })}`;
+    }
+    return lastSyncedAt
+        ? `✅ ${t('notes.status.synced', { time: formatDateTime(lastSyncedAt, { timeStyle: 'medium' }) })}`
+        : t('notes.status.idle');
+}
+
+/**
+ * One side of a conflict, with the button that keeps it
+ */
+function renderNoteVersion(heading, note, choice) {
+    const version = document.createElement('div');
+    version.className = 'note-version';
+
+    const title = document.createElement('h5');
+    title.textContent = heading;
+    version.appendChild(title);
+
+    const content = document.createElement('p');
+    content.textContent = note.deleted ? `🗑️ ${t('notes.deleted')}` : `${note.title}\n${note.body}`;
+    const time = document.createElement('small');
+    time.textContent = formatDateTime(note.updatedAt);
+
+    const keepBtn = document.createElement('button');
+    keepBtn.className = 'btn btn-small';
+    keepBtn.textContent = t(choice === 'mine' ? 'notes.keep_mine' : 'notes.keep_theirs');
+    keepBtn.addEventListener('click', async () => {
+        await NotesSync.resolveConflict(note.id, choice);
+        syncNotes();
+    });
+
+    version.append(content, time, keepBtn);
+    return version;
+}
+
+function renderNote(note) {
+    const item = document.createElement('article');
+    item.className = 'note-item';
+    item.classList.toggle('has-conflict', note.syncState === 'conflict');
+
+    const header = document.createElement('div');
+    header.className = 'note-item-header';
+    const title = document.createElement('h4');
+    title.textContent = note.deleted ? `🗑️ ${note.title}` : note.title;
+    const state = document.createElement('span');
+    state.className = `note-state is-${note.syncState}`;
+    state.textContent = `${NOTE_STATES[note.syncState].icon} ${t(NOTE_STATES[note.syncState].key)}`;
+    header.append(title, state);
+
+    if (!note.deleted) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-icon-only';
+        editBtn.title = t('notes.edit');
+        editBtn.textContent = '✎';
+        editBtn.addEventListener('click', () => editNote(note));
+        header.appendChild(editBtn);
+    }
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-icon-only';
+    deleteBtn.title = t('common.delete');
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', async () => {
+        if (confirm(t('notes.confirm_delete', { title: note.title }))) {
+            await NotesSync.remove(note.id);
+            syncNotes();
+        }
+    });
+    header.appendChild(deleteBtn);
+    item.appendChild(header);
+
+    if (note.body && !note.deleted) {
+        const body = document.createElement('p');
+        body.textContent = note.body;
+        item.appendChild(body);
+    }
+
+    if (note.conflict) {
+        const conflict = document.createElement('div');
+        conflict.className = 'note-conflict';
+        conflict.append(
+            renderNoteVersion(t('notes.version_mine'), note, 'mine'),
+            renderNoteVersion(t('notes.version_theirs', { version: note.conflict.version }), note.conflict, 'theirs')
+        );
+        item.appendChild(conflict);
+    }
+    return item;
+}
+
+async function renderNotes() {
+    const [notes, lastSyncedAt] = await Promise.all([NotesSync.list(), NotesSync.getLastSyncedAt()]);
+    notesStatus.textContent = describeNotesStatus(notes, lastSyncedAt);
+    notesList.replaceChildren(...notes.map(renderNote));
+}
+
+function editNote(note) {
+    notesForm.elements.id.value = note.id;
+    notesForm.elements.title.value = note.title;
+    notesForm.elements.body.value = note.body;
+    notesSaveBtn.textContent = t('notes.save');
+    notesCancelBtn.hidden = false;
+    notesForm.elements.title.focus();
+}
+
+function resetNoteForm() {
+    notesForm.reset();
+    notesForm.elements.id.value = '';
+    notesSaveBtn.textContent = t('notes.add');
+    notesCancelBtn.hidden = true;
+}
+
+/**
+ * Ask the worker to sync once we're back online, even if this page is closed by then
+ */
+async function requestNotesBackgroundSync() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+        return false;
+    }
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) {
+            return false;
+        }
+        await registration.sync.register(NotesSync.SYNC_TAG);
+        return true;
+    } catch (error) {
+        console.warn('Could not register notes sync:', error);
+        return false;
+    }
+}
+
+async function syncNotes() {
+    notesSyncBtn.disabled = true;
+    try {
+        lastNotesSync = await NotesSync.sync();
+        console.log('Notes synced:', lastNotesSync);
+        if (lastNotesSync.offline) {
+            await requestNotesBackgroundSync();
+        }
+    } catch (error) {
+        console.error('Notes sync failed:', error);
+    } finally {
+        notesSyncBtn.disabled = false;
+    }
+    await renderNotes();
+}
+
+async function saveNoteFromForm(event) {
+    event.preventDefault();
+    const { id, title, body } = notesForm.elements;
+    await NotesSync.save({ id: id.value || null, title: title.value.trim(), body: body.value });
+    resetNoteForm();
+    // Shows the change straight away; the sync runs in the background
+    await renderNotes();
+    syncNotes();
+}
+
+async function setupNotes() {
+    if (!notesPanel || !notesBtn) {
+        return;
+    }
+
+    if (!window.NotesSync || !('indexedDB' in window)) {
+        notesBtn.disabled = true;
+        notesBtn.textContent = t('common.not_supported');
+        return;
+    }
+
+    notesBtn.addEventListener('click', () => {
+        notesPanel.hidden = !notesPanel.hidden;
+        notesBtn.textContent = t(notesPanel.hidden ? 'try.notes_button' : 'notes.close');
+        if (!notesPanel.hidden) {
+            syncNotes();
+            notesPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+    notesForm.addEventListener('submit', saveNoteFromForm);
+    notesCancelBtn.addEventListener('click', resetNoteForm);
+    notesSyncBtn.addEventListener('click', syncNotes);
+
+    notesPolicy.value = await NotesSync.getConflictPolicy();
+    notesPolicy.addEventListener('change', async () => {
+        await NotesSync.setConflictPolicy(notesPolicy.value);
+        syncNotes();
+    });
+
+    // Browsers without Background Sync: push offline changes when the connection returns
+    window.addEventListener('online', () => syncNotes());
+
+    if (navigator.onLine && await NotesSync.countPending() > 0) {
+        syncNotes();
+    }
+}
+
+// ============================================
+// Shared Content (Web Share Target)
+// ============================================
+const sharedSection = document.getElementById('shared');
+const sharedSummary = document.getElementById('sharedSummary');
+const sharedList = document.getElementById('sharedList');
+const sharedClearBtn = document.getElementById('sharedClearBtn');
+let sharedObjectUrls = [];
 
-    if ('serviceWorker' in navigator) {
-        try {
-            const registration = await navigator.serviceWorker.register('./sw-workbox.js', {
-                scope: './'
-            });
+function renderSharedFile(file) {
+    const url = URL.createObjectURL(file.blob);
+    sharedObjectUrls.push(url);
 
-            console.log('ServiceWorker registration successful:', registration.scope);
+    let element;
+    if (file.type.startsWith('image/')) {
+        element = document.createElement('img');
+        element.alt = file.name;
+    } else if (file.type.startsWith('video/') || file.type.startsWith('audio/')) {
+        element = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+        element.controls = true;
+    } else {
+        element = document.createElement('a');
+        element.download = file.name;
+        element.textContent = `📎 ${file.name} (${formatBytes(file.size)})`;
+        element.href = url;
+        return element;
+    }
+    element.src = url;
+    element.title = `${file.name} (${formatBytes(file.size)})`;
+    return element;
+}
 
-            // Update UI
-            swIcon.textContent = '✅';
-            swTitle.textContent = 'Service Worker Active';
-            swStatus.textContent = 'Your app can now work offline!';
-            swDetails.textContent = `Scope: ${registration.scope}`;
+function renderShare(share, highlightId) {
+    const item = document.createElement('article');
+    item.className = 'shared-item';
+    item.classList.toggle('is-new', share.id === highlightId);
 
-            // Listen for updates
-            registration.addEventListener('updatefound', () => {
-                const newWorker = registration.installing;
-                console.log('New service worker installing...');
-                
-                newWorker.addEventListener('statechange', () => {
-                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                        console.log('New content available, please refresh.');
-                    }
-                });
-            });
+    const header = document.createElement('div');
+    header.className = 'shared-item-header';
+    const received = document.createElement('span');
+    received.textContent = formatDateTime(share.receivedAt);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-icon-only';
+    deleteBtn.title = t('common.delete');
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', () => updateSharedContent({ type: 'DELETE_SHARE', id: share.id }));
+    header.append(received, deleteBtn);
+    item.appendChild(header);
 
-            updateChecklistItem('check-sw', 'success', '✅');
-            updateChecklistItem('check-offline', 'success', '✅');
+    if (share.title) {
+        const title = document.createElement('h4');
+        title.textContent = share.title;
+        item.appendChild(title);
+    }
+    if (share.text) {
+        const text = document.createElement('p');
+        text.textContent = share.text;
+        item.appendChild(text);
+    }
+    if (share.url) {
+        const link = document.createElement('a');
+        link.href = share.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = share.url;
+        item.appendChild(link);
+    }
+    if (share.files.length > 0) {
+        const files = document.createElement('div');
+        files.className = 'shared-files';
+        files.append(...share.files.map(renderSharedFile));
+        item.appendChild(files);
+    }
+    return item;
+}
+
+function renderSharedContent(shares, highlightId) {
+    sharedObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+    sharedObjectUrls = [];
+
+    sharedSummary.textContent = shares.length === 0
+        ? t('shared.empty')
+        : t('shared.summary', { count: shares.length });
+    sharedClearBtn.disabled = shares.length === 0;
+    sharedList.replaceChildren(...shares.map((share) => renderShare(share, highlightId)));
+}
+
+// Shares live in the worker's IndexedDB, so the view asks the worker for them
+async function updateSharedContent(message, highlightId = null) {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const result = await askServiceWorker(registration.active, message, 10000);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        renderSharedContent(result.shares, highlightId);
+    } catch (error) {
+        console.error('Could not load shared content:', error);
+        sharedSummary.textContent = `❌ ${error.message}`;
+    }
+}
+
+// The worker redirects a share to ./?share-target=<id>#shared (see sw/share-target.js)
+async function setupSharedContent() {
+    const shareId = new URLSearchParams(location.search).get('share-target');
+    if (!sharedSection || !shareId || !('serviceWorker' in navigator)) {
+        return;
+    }
+
+    sharedSection.hidden = false;
+    sharedClearBtn.addEventListener('click', () => updateSharedContent({ type: 'CLEAR_SHARES' }));
+
+    await updateSharedContent({ type: 'GET_SHARES' }, Number(shareId));
+    if (shareId === 'error') {
+        sharedSummary.textContent = `❌ ${t('shared.failed')}`;
+    }
+    sharedSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// ============================================
+// Push Notifications
+// ============================================
+const pushStatus = document.getElementById('pushStatus');
+const pushSubscribeBtn = document.getElementById('pushSubscribeBtn');
+const pushUnsubscribeBtn = document.getElementById('pushUnsubscribeBtn');
+const pushTestBtn = document.getElementById('pushTestBtn');
+
+// The server's VAPID public key arrives base64url encoded
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+async function getServerPublicKey() {
+    const response = await fetch('./api/push/public-key');
+    if (!response.ok) {
+        throw new Error('Push server not available');
+    }
+    const { publicKey } = await response.json();
+    return publicKey;
+}
+
+function isSameKey(subscription, publicKey) {
+    const current = subscription.options && subscription.options.applicationServerKey;
+    if (!current) {
+        return true;
+    }
+    const expected = urlBase64ToUint8Array(publicKey);
+    const actual = new Uint8Array(current);
+    return actual.length === expected.length && actual.every((byte, i) => byte === expected[i]);
+}
+
+function renderPushState(state, subscription) {
+    const icons = {
+        unsupported: '⚠️',
+        denied: '🚫',
+        default: '🔕',
+        granted: '🔕',
+        subscribed: '🔔',
+        error: '❌'
+    };
+    pushStatus.textContent = `${icons[state]} ${t(`push.state.${state}`)}`;
+    pushStatus.title = subscription ? subscription.endpoint : '';
+
+    pushSubscribeBtn.style.display = state === 'default' || state === 'granted' ? 'inline-flex' : 'none';
+    pushUnsubscribeBtn.style.display = state === 'subscribed' ? 'inline-flex' : 'none';
+    pushTestBtn.style.display = state === 'subscribed' ? 'inline-flex' : 'none';
+}
+
+async function refreshPushState(registration) {
+    if (Notification.permission === 'denied') {
+        renderPushState('denied');
+        return;
+    }
+
+    const subscription = await registration.pushManager.getSubscription();
+    renderPushState(subscription ? 'subscribed' : Notification.permission, subscription);
+}
+
+async function subscribeToPush(registration) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        renderPushState(permission);
+        return;
+    }
+
+    // pushManager.subscribe() needs an active worker, not just a registration
+    await navigator.serviceWorker.ready;
+
+    const publicKey = await getServerPublicKey();
+    let subscription = await registration.pushManager.getSubscription();
+
+    // A subscription made with an old server key can't receive our pushes
+    if (subscription && !isSameKey(subscription, publicKey)) {
+        await subscription.unsubscribe();
+        subscription = null;
+    }
+
+    if (!subscription) {
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey)
+        });
+    }
+
+    const response = await fetch('./api/push/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(subscription)
+    });
+    if (!response.ok) {
+        throw new Error(`Server rejected subscription (${response.status})`);
+    }
+
+    console.log('Push subscription saved:', subscription.endpoint);
+    renderPushState('subscribed', subscription);
+}
+
+async function unsubscribeFromPush(registration) {
+    const subscription = await registration.pushManager.getSubscription();
+    if (subscription) {
+        await fetch('./api/push/subscribe', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        }).catch((error) => console.warn('Could not remove subscription from server:', error));
+        await subscription.unsubscribe();
+    }
+    await refreshPushState(registration);
+}
 
+async function sendTestPush() {
+    const response = await fetch('./api/push/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            // The worker shows the keys in the locale it was last told about (sw/locale.js)
+            payload: {
+                title: t('push.test.title'),
+                titleKey: 'push.test.title',
+                body: t('push.test.body'),
+                bodyKey: 'push.test.body',
+                tag: 'test-push',
+                url: './#service-worker',
+                actions: [
+                    { action: 'checklist', title: t('push.test.open_checklist'), titleKey: 'push.test.open_checklist', url: './#checklist' },
+                    { action: 'dismiss', title: t('push.test.dismiss'), titleKey: 'push.test.dismiss' }
+                ]
+            }
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Server rejected test push (${response.status})`);
+    }
+
+    const summary = await response.json();
+    console.log('Test push sent:', summary);
+
+    // A 200 only means the server tried: say so when some or all of the sends failed
+    if (summary.sent === 0) {
+        pushStatus.textContent = `❌ ${t('push.test.none')}`;
+    } else if (summary.failed > 0) {
+        pushStatus.textContent = `⚠️ ${t('push.test.partial', { count: summary.failed, sent: summary.sent })}`;
+    }
+}
+
+function setupPushNotifications(registration) {
+    if (!pushStatus) {
+        return;
+    }
+
+    if (!('PushManager' in window) || !('Notification' in window)) {
+        renderPushState('unsupported');
+        return;
+    }
+
+    const runAction = (action) => async () => {
+        try {
+            await action(registration);
         } catch (error) {
-            console.error('ServiceWorker registration failed:', error);
-            swIcon.textContent = '❌';
-            swTitle.textContent = 'Service Worker Failed';
-            swStatus.textContent = error.message;
-            updateChecklistItem('check-sw', 'error', '❌');
-            updateChecklistItem('check-offline', 'error', '❌');
+            console.error('Push action failed:', error);
+            renderPushState('error');
         }
-    } else {
-        swIcon.textContent = '⚠️';
-        swTitle.textContent = 'Service Worker Not Supported';
-        swStatus.textContent = 'Your browser does not support Service Workers';
-        updateChecklistItem('check-sw', 'warning', '⚠️');
-        updateChecklistItem('check-offline', 'warning', '⚠️');
+    };
+
+    pushSubscribeBtn.addEventListener('click', runAction(subscribeToPush));
+    pushUnsubscribeBtn.addEventListener('click', runAction(unsubscribeFromPush));
+    pushTestBtn.addEventListener('click', runAction(sendTestPush));
+
+    refreshPushState(registration).catch((error) => {
+        console.error('Could not read push subscription:', error);
+        renderPushState('error');
+    });
+}
+
+// ============================================
+// Telemetry
+// ============================================
+
+/**
+ * Record an event with telemetry.js, when it's loaded
+ */
+function trackEvent(type, detail) {
+    if (window.Telemetry) {
+        Telemetry.record(type, detail);
     }
 }
 
+/**
+ * Record every state a new service worker goes through, and each change of controller
+ */
+function trackWorkerLifecycle(registration) {
+    const watch = (worker) => {
+        if (!worker) {
+            return;
+        }
+        trackEvent('sw_state', { state: worker.state, scriptURL: worker.scriptURL });
+        worker.addEventListener('statechange', () => {
+            trackEvent('sw_state', { state: worker.state, scriptURL: worker.scriptURL });
+        });
+    };
+
+    watch(registration.installing);
+    registration.addEventListener('updatefound', () => watch(registration.installing));
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        const controller = navigator.serviceWorker.controller;
+        trackEvent('sw_controller_change', { scriptURL: controller ? controller.scriptURL : null });
+    });
+}
+
 // ============================================
 // PWA Install Prompt
 // ============================================
@@ -69,6 +1934,7 @@ window.addEventListener('beforeinstallprompt', (e) => {
     console.log('beforeinstallprompt fired');
     e.preventDefault();
     deferredPrompt = e;
+    trackEvent('install_prompt_available');
     
     // Show install buttons
     if (installBtn) installBtn.style.display = 'inline-flex';
@@ -82,9 +1948,11 @@ async function handleInstallClick() {
     }
 
     deferredPrompt.prompt();
+    trackEvent('install_prompt_shown');
     const { outcome } = await deferredPrompt.userChoice;
     
     console.log(`User response to install prompt: ${outcome}`);
+    trackEvent('install_prompt_outcome', { outcome });
     
     if (outcome === 'accepted') {
         console.log('User accepted the install prompt');
@@ -104,6 +1972,7 @@ if (installBtnAction) {
 
 window.addEventListener('appinstalled', () => {
     console.log('PWA was installed');
+    trackEvent('app_installed');
     deferredPrompt = null;
 });
 
@@ -144,6 +2013,76 @@ function updateChecklistItem(id, status, icon) {
     }
 }
 
+const CHECK_ICONS = { success: '✅', warning: '⚠️', error: '❌' };
+
+// List each validator issue under its checklist item
+function renderChecklistIssues(id, issues) {
+    const item = document.getElementById(id);
+    if (!item) {
+        return;
+    }
+
+    let list = item.querySelector('.check-issues');
+    if (!list) {
+        list = document.createElement('ul');
+        list.className = 'check-issues';
+        item.querySelector('.check-content').appendChild(list);
+    }
+
+    list.replaceChildren(...issues.map(({ severity, member, message }) => {
+        const li = document.createElement('li');
+        li.className = `check-issue ${severity}`;
+        const label = document.createElement('strong');
+        label.textContent = t(`checklist.severity.${severity}`);
+        li.append(label, ` ${member ? `${member}: ` : ''}${message}`);
+        return li;
+    }));
+}
+
+function statusForIssues(issues) {
+    if (issues.some((issue) => issue.severity === 'error')) return 'error';
+    if (issues.some((issue) => issue.severity === 'warning')) return 'warning';
+    return 'success';
+}
+
+async function fetchImageBytes(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.arrayBuffer();
+}
+
+/**
+ * Validate manifest text and show the results in the Web Manifest and App Icons items
+ */
+async function checkManifest(text, manifestUrl) {
+    const { manifest, issues: parseIssues } = ManifestValidator.parseManifest(text);
+    if (!manifest) {
+        updateChecklistItem('check-manifest', 'error', '❌');
+        renderChecklistIssues('check-manifest', parseIssues);
+        return null;
+    }
+
+    console.log('Manifest loaded:', manifest);
+    const result = await ManifestValidator.validateManifest(manifest, {
+        manifestUrl,
+        fetchBytes: fetchImageBytes
+    });
+
+    const isIconIssue = (issue) => /^(icons|(shortcuts|file_handlers)\[\d+\]\.icons)/.test(issue.member);
+    const iconIssues = result.issues.filter(isIconIssue);
+    const manifestIssues = result.issues.filter((issue) => !isIconIssue(issue));
+
+    [['check-manifest', manifestIssues], ['check-icons', iconIssues]].forEach(([id, issues]) => {
+        const status = statusForIssues(issues);
+        updateChecklistItem(id, status, CHECK_ICONS[status]);
+        renderChecklistIssues(id, issues);
+    });
+
+    return result;
+}
+
 async function verifyPWAChecklist() {
     // Check HTTPS
     const isSecure = location.protocol === 'https:' || location.hostname === 'localhost' || location.hostname === '127.0.0.1';
@@ -159,24 +2098,12 @@ async function verifyPWAChecklist() {
         try {
             const response = await fetch(manifestLink.href);
             if (response.ok) {
-                const manifest = await response.json();
-                console.log('Manifest loaded:', manifest);
-                updateChecklistItem('check-manifest', 'success', '✅');
-
-                // Check Icons
-                if (manifest.icons && manifest.icons.length >= 2) {
-                    const has192 = manifest.icons.some(i => i.sizes && i.sizes.includes('192'));
-                    const has512 = manifest.icons.some(i => i.sizes && i.sizes.includes('512'));
-                    if (has192 && has512) {
-                        updateChecklistItem('check-icons', 'success', '✅');
-                    } else {
-                        updateChecklistItem('check-icons', 'warning', '⚠️');
-                    }
-                } else {
-                    updateChecklistItem('check-icons', 'warning', '⚠️');
-                }
+                await checkManifest(await response.text(), response.url);
             } else {
                 updateChecklistItem('check-manifest', 'error', '❌');
+                renderChecklistIssues('check-manifest', [
+                    { severity: 'error', member: '', message: `manifest.json returned ${response.status}` }
+                ]);
             }
         } catch (error) {
             console.error('Failed to fetch manifest:', error);
@@ -196,22 +2123,208 @@ async function verifyPWAChecklist() {
 }
 
 // ============================================
-// Interactive Property Highlighting
+// Launch Handling (file_handlers, protocol_handlers)
+// ============================================
+const PROTOCOL_SCHEME = 'web+pwademo:';
+// web+pwademo://<name> jumps to the section with that id
+const PROTOCOL_SECTIONS = {
+    home: 'top',
+    pwa: 'what-is-pwa',
+    manifest: 'features',
+    features: 'features',
+    'service-worker': 'service-worker',
+    checklist: 'checklist',
+    'try-it': 'try-it',
+    shared: 'shared'
+};
+
+const manifestCode = document.getElementById('manifestCode');
+const manifestSource = document.getElementById('manifestSource');
+let checklistVerified = Promise.resolve();
+
+/**
+ * Show a manifest in the explainer and run it through the checklist.
+ * Launched files, dropped files and the file picker all end up here.
+ */
+async function openManifestFile(file) {
+    const text = await file.text();
+    const { manifest } = ManifestValidator.parseManifest(text);
+
+    if (manifestPlayground) {
+        manifestPlayground.setText(text, t('playground.opened', { name: file.name }));
+    } else {
+        manifestSource.textContent = t('playground.opened', { name: file.name });
+        manifestCode.textContent = manifest ? JSON.stringify(manifest, null, 2) : text;
+    }
+
+    // Let the page's own manifest check finish first so it doesn't overwrite these results
+    await checklistVerified.catch(() => {});
+
+    // Relative icon URLs in an opened file resolve against this app's manifest location
+    await checkManifest(text, LIVE_MANIFEST_URL);
+
+    document.getElementById('checklist').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Handle a web+pwademo: URL, e.g. web+pwademo://checklist
+ */
+function openProtocolUrl(value) {
+    if (!value || !value.toLowerCase().startsWith(PROTOCOL_SCHEME)) {
+        return false;
+    }
+
+    const name = value.slice(PROTOCOL_SCHEME.length).replace(/^\/+/, '').split(/[/?#]/)[0].toLowerCase();
+    const sectionId = PROTOCOL_SECTIONS[name];
+    if (!sectionId) {
+        console.warn('Unknown protocol launch target:', value);
+        return false;
+    }
+
+    const section = sectionId === 'top' ? document.body : document.getElementById(sectionId);
+    if (section) {
+        section.hidden = false;
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    return true;
+}
+
+async function handleLaunch(launchParams) {
+    if (launchParams.files && launchParams.files.length > 0) {
+        // single-client launch_type: later launches arrive here in the same window
+        for (const handle of launchParams.files) {
+            await openManifestFile(await handle.getFile());
+        }
+        return;
+    }
+    if (launchParams.targetURL) {
+        openProtocolUrl(new URL(launchParams.targetURL).searchParams.get('launch'));
+    }
+}
+
+function setupManifestImport() {
+    const dropZone = document.getElementById('manifestDropZone');
+    const importBtn = document.getElementById('manifestImportBtn');
+    const fileInput = document.getElementById('manifestFileInput');
+    if (!dropZone || !fileInput) {
+        return;
+    }
+
+    const open = (file) => {
+        if (file) {
+            openManifestFile(file).catch((error) => console.error('Could not open manifest file:', error));
+        }
+    };
+
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        open(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('is-dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-dragover'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('is-dragover');
+        open(event.dataTransfer.files[0]);
+    });
+}
+
+function setupLaunchHandling() {
+    setupManifestImport();
+
+    if ('launchQueue' in window) {
+        window.launchQueue.setConsumer((launchParams) => {
+            handleLaunch(launchParams).catch((error) => console.error('Launch failed:', error));
+        });
+        return;
+    }
+
+    // Without launchQueue a protocol launch is a plain navigation to ./?launch=web+pwademo...
+    openProtocolUrl(new URLSearchParams(location.search).get('launch'));
+}
+
+// ============================================
+// Manifest Playground & Property Highlighting
 // ============================================
+// Captured before the playground can point the <link> at a blob: URL
+const LIVE_MANIFEST_URL = (() => {
+    const link = document.querySelector('link[rel="manifest"]');
+    return new URL(link ? link.getAttribute('href') : 'manifest.json', location.href).href;
+})();
+let manifestPlayground = null;
+
+async function setupManifestPlayground() {
+    const editor = document.getElementById('manifestEditor');
+    if (!editor || !window.ManifestPlayground) {
+        return;
+    }
+
+    const playground = ManifestPlayground.setup({
+        editor,
+        code: document.getElementById('manifestCode'),
+        issues: document.getElementById('manifestIssues'),
+        source: document.getElementById('manifestSource'),
+        preview: document.getElementById('manifestPreview'),
+        manifestUrl: LIVE_MANIFEST_URL,
+        t,
+        // The checklist follows whatever manifest the page is using
+        onApply: (manifest, text) => checkManifest(text, LIVE_MANIFEST_URL)
+    });
+
+    try {
+        await playground.load();
+    } catch (error) {
+        // Keep the static example if the live manifest can't be read
+        console.error('Manifest playground unavailable:', error);
+        return;
+    }
+
+    editor.hidden = false;
+    document.getElementById('manifestFooter').hidden = false;
+    document.getElementById('manifestPreview').hidden = false;
+    manifestPlayground = playground;
+
+    const applyBtn = document.getElementById('manifestApplyBtn');
+    applyBtn.addEventListener('click', () => {
+        applyBtn.textContent = playground.apply() ? `${t('playground.applied')} ✓` : t('playground.fix_json');
+        setTimeout(() => { applyBtn.textContent = t('features.apply'); }, 2000);
+    });
+    document.getElementById('manifestDownloadBtn').addEventListener('click', () => playground.download());
+    document.getElementById('manifestResetBtn').addEventListener('click', async () => {
+        const wasApplied = playground.isApplied;
+        playground.reset();
+        if (wasApplied) {
+            await checkManifest(await (await fetch(LIVE_MANIFEST_URL)).text(), LIVE_MANIFEST_URL);
+        }
+    });
+}
+
 function setupPropertyHighlighting() {
     const properties = document.querySelectorAll('.property');
-    const codeBlock = document.getElementById('manifestCode');
     
     properties.forEach(prop => {
-        prop.addEventListener('mouseenter', () => {
+        const highlight = () => {
             const propertyName = prop.dataset.property;
-            // Add visual feedback
+            // Add visual feedback, and mark the property's lines in the playground
             prop.style.background = 'rgba(102, 126, 234, 0.3)';
-        });
-        
-        prop.addEventListener('mouseleave', () => {
+            if (manifestPlayground) {
+                manifestPlayground.highlight(propertyName);
+            }
+        };
+        const clear = () => {
             prop.style.background = '';
-        });
+            if (manifestPlayground) {
+                manifestPlayground.highlight(null);
+            }
+        };
+
+        prop.addEventListener('mouseenter', highlight);
+        prop.addEventListener('mouseleave', clear);
     });
 }
 
@@ -258,21 +2371,93 @@ function setupScrollAnimations() {
     });
 }
 
+// ============================================
+// Dev Live Reload (node server.js --dev)
+// ============================================
+const DEV_EVENTS_URL = '/__dev/events';
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+async function clearAppCaches() {
+    if (!('caches' in window)) return;
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter((name) => name.startsWith('pwa-getstarted-'))
+        .map((name) => caches.delete(name)));
+}
+
+// Worker changes drop the registration too, so the reload starts from a clean slate instead of the old worker's precache
+async function reloadForDev(change) {
+    console.log(`[Dev] ${change.files.join(', ') || 'Server'} changed, reloading (${change.kind})`);
+    try {
+        if (change.kind === 'worker' && 'serviceWorker' in navigator) {
+            const registrations = await navigator.serviceWorker.getRegistrations();
+            await Promise.all(registrations.map((registration) => registration.unregister()));
+        }
+        await clearAppCaches();
+    } finally {
+        location.reload();
+    }
+}
+
+function setupLiveReload() {
+    if (!DEV_HOSTS.includes(location.hostname) || !('EventSource' in window)) {
+        return;
+    }
+
+    // Without --dev the endpoint is a 404, which closes the EventSource for good
+    const events = new EventSource(DEV_EVENTS_URL);
+    let serverId = null;
+
+    events.addEventListener('hello', (event) => {
+        const { id } = JSON.parse(event.data);
+        // A new id means the server restarted; files may have changed while it was down
+        if (serverId && serverId !== id) {
+            reloadForDev({ kind: 'worker', files: [] });
+            return;
+        }
+        serverId = id;
+        console.log('[Dev] Live reload connected');
+    });
+    events.addEventListener('reload', (event) => reloadForDev(JSON.parse(event.data)));
+    events.addEventListener('error', () => {
+        if (events.readyState === EventSource.CLOSED) {
+            events.close();
+        }
+    });
+}
+
 // ============================================
 // Initialize App
 // ============================================
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('🚀 PWA Get Started Demo initialized');
+
+    // Everything below renders text, so the catalogs come first
+    await loadTranslations();
+    translatePage();
+    setupLanguageSwitcher();
     
+    // Session, display-mode and connectivity events; sends anything recorded offline
+    if (window.Telemetry) {
+        Telemetry.start();
+    }
+
     // Register Service Worker
     registerServiceWorker();
     
     // Verify PWA Checklist
-    verifyPWAChecklist();
+    checklistVerified = verifyPWAChecklist();
     
     // Setup interactive features
+    setupManifestPlayground();
     setupPropertyHighlighting();
     setupScrollAnimations();
+    setupCacheInspector();
+    setupDiagnostics();
+    setupNotes();
+    setupSharedContent();
+    setupLaunchHandling();
+    setupLiveReload();
     
     // Log PWA display mode
     if (window.matchMedia('(display-mode: standalone)').matches) {
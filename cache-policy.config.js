@@ -0,0 +1,26 @@
+/**
+ * HTTP caching policy for server.js
+ * Globs are matched against paths relative to the project root; the first matching rule wins.
+ */
+module.exports = {
+    rules: [
+        // Workers, their imported scripts and the manifest must always be revalidated,
+        // otherwise update checks and manifest changes can be hidden behind the HTTP cache
+        {
+            match: ['sw.js', 'sw-workbox.js', 'sw/*.js', 'precache-manifest.js', 'manifest.json'],
+            cacheControl: 'no-cache'
+        },
+        // workbox-v*/ is the local Workbox copy (npm run build:workbox); the version is in its name
+        {
+            match: ['icons/**', 'screenshots/**', 'workbox-v*/**'],
+            cacheControl: 'public, max-age=31536000, immutable'
+        }
+    ],
+
+    // Everything else is revalidated with its ETag on every request
+    default: 'no-cache',
+
+    // Sent with service worker script responses so a worker can claim a wider scope
+    // than its own directory, e.g. '/'. Overridden by the SERVICE_WORKER_ALLOWED env var.
+    serviceWorkerAllowed: null
+};
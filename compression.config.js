@@ -0,0 +1,31 @@
+/**
+ * Response compression for server.js and scripts/build-compressed.js
+ */
+module.exports = {
+    // Preferred first when a client accepts both equally
+    encodings: ['br', 'gzip'],
+
+    // Content types worth compressing. Images (apart from SVG), fonts and media are
+    // already compressed, so they are always sent as-is.
+    types: [
+        'text/*',
+        'application/javascript',
+        'application/json',
+        'application/manifest+json',
+        'application/xml',
+        'application/wasm',
+        'image/svg+xml'
+    ],
+
+    // Bodies smaller than this are not worth the extra round of work
+    threshold: 1024,
+
+    // Serve `file.br` / `file.gz` from disk when they exist and are newer than `file`
+    precompressed: true,
+
+    // Files `npm run build:compress` writes .br and .gz siblings for
+    build: {
+        include: ['*.{html,css,js,json}', 'sw/*.js'],
+        exclude: ['*.config.js', 'server.js', 'package.json', 'package-lock.json']
+    }
+};
@@ -0,0 +1,128 @@
+/**
+ * Localization
+ * Runs in the page (window.I18n, used by app.js), in both service workers (importScripts(),
+ * for notification text) and in Node (require('./i18n'), used by server/i18n.js for the manifest).
+ *
+ * Translations live in one JSON catalog per locale, locales/<locale>.json, with flat keys:
+ *   { "sw.active": "Service Worker Active", "sync.pending": { "one": "...", "other": "{count} ..." } }
+ *
+ * `{name}` placeholders are filled from the params. A value that is an object is picked by
+ * the plural category of `params.count` (Intl.PluralRules: Arabic has all six).
+ * Keys missing from a catalog fall back to the next catalog given, usually English.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+    const LOCALES = {
+        en: { name: 'English', dir: 'ltr' },
+        th: { name: 'ไทย', dir: 'ltr' },
+        ar: { name: 'العربية', dir: 'rtl' }
+    };
+    // ?lang=th on the manifest (and the page) picks the locale over Accept-Language
+    const LOCALE_PARAM = 'lang';
+
+    /**
+     * The supported locale for a language tag ('th-TH' -> 'th'), or null
+     */
+    function matchLocale(tag) {
+        if (typeof tag !== 'string') {
+            return null;
+        }
+        const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+        return Object.prototype.hasOwnProperty.call(LOCALES, language) ? language : null;
+    }
+
+    /**
+     * Language tags from an Accept-Language header, most preferred first
+     */
+    function parseAcceptLanguage(header) {
+        return String(header || '')
+            .split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const q = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+                return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+            })
+            .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index)
+            .map(({ tag }) => tag);
+    }
+
+    /**
+     * The best supported locale for an Accept-Language header or a list of tags
+     * (navigator.languages); DEFAULT_LOCALE when none match
+     */
+    function negotiateLocale(preferences) {
+        const tags = Array.isArray(preferences) ? preferences : parseAcceptLanguage(preferences);
+        return tags.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+    }
+
+    function getDirection(locale) {
+        return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir;
+    }
+
+    /**
+     * Where a locale's catalog is served, relative to the app's root
+     */
+    function getCatalogPath(locale) {
+        return `locales/${locale}.json`;
+    }
+
+    /**
+     * The manifest localized for `locale` (server/i18n.js)
+     */
+    function getManifestPath(locale) {
+        return `manifest.json?${LOCALE_PARAM}=${locale}`;
+    }
+
+    function format(locale, message, params) {
+        let text = message;
+        if (text && typeof text === 'object') {
+            const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+            text = text[category] !== undefined ? text[category] : text.other;
+        }
+        return String(text).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) {
+                return placeholder;
+            }
+            return typeof params[name] === 'number' ? params[name].toLocaleString(locale) : String(params[name]);
+        });
+    }
+
+    /**
+     * A t(key, params) for `locale`. Catalogs are tried in order; an unknown key comes back as is.
+     */
+    function createTranslator(locale, catalogs) {
+        const sources = catalogs.filter(Boolean);
+
+        function t(key, params = {}) {
+            const catalog = sources.find((messages) => messages[key] !== undefined);
+            return catalog ? format(locale, catalog[key], params) : key;
+        }
+
+        t.locale = locale;
+        t.dir = getDirection(locale);
+        t.has = (key) => sources.some((messages) => messages[key] !== undefined);
+        return t;
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        LOCALES,
+        LOCALE_PARAM,
+        matchLocale,
+        parseAcceptLanguage,
+        negotiateLocale,
+        getDirection,
+        getCatalogPath,
+        getManifestPath,
+        createTranslator
+    };
+}));
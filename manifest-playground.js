@@ -0,0 +1,430 @@
+/**
+ * Manifest Playground
+ * Turns the "Web Manifest Explained" code block into an editor for the live manifest.json.
+ *
+ *   - the JSON is drawn line by line under a transparent <textarea> of the same size, so lines can be
+ *     highlighted (hovered property cards) and marked (parse and validation issues)
+ *   - every edit re-validates with ManifestValidator and redraws the install dialog,
+ *     splash screen and title bar previews
+ *   - the edited manifest can be downloaded, or applied to the running page through a
+ *     blob: URL in <link rel="manifest">
+ *
+ * Browser only: window.ManifestPlayground.setup(options), used by app.js.
+ */
+(function (root) {
+    'use strict';
+
+    const INPUT_DEBOUNCE_MS = 250;
+    // Members whose URLs are resolved against the manifest's own URL; a blob: URL can't do that
+    const URL_MEMBERS = ['start_url', 'scope', 'id'];
+    const IMAGE_LIST_MEMBERS = ['icons', 'screenshots'];
+
+    // ============================================
+    // JSON Line Mapping
+    // ============================================
+
+    /**
+     * Line ranges (0-based, inclusive) of every top-level member in a JSON text.
+     * Works on invalid JSON too, as far as the text can be followed.
+     */
+    function findMemberLines(text) {
+        const members = {};
+        let depth = 0;
+        let line = 0;
+        let current = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '"') {
+                const startLine = line;
+                let j = i + 1;
+                while (j < text.length && text[j] !== '"' && text[j] !== '\n') {
+                    j += text[j] === '\\' ? 2 : 1;
+                }
+                const raw = text.slice(i + 1, j);
+                i = j;
+
+                if (depth === 1 && /^\s*:/.test(text.slice(i + 1, i + 40))) {
+                    let name = raw;
+                    try {
+                        name = JSON.parse(`"${raw}"`);
+                    } catch (error) {
+                        // Keep the raw text for a broken escape
+                    }
+                    current = { start: startLine, end: startLine };
+                    members[name] = current;
+                    continue;
+                }
+            } else if (char === '\n') {
+                line++;
+                continue;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+            }
+
+            if (current && depth >= 1 && !/\s/.test(char)) {
+                current.end = line;
+            }
+        }
+        return members;
+    }
+
+    /**
+     * The 0-based line a JSON.parse() error points at, if the message says
+     */
+    function findErrorLine(text, message) {
+        const lineColumn = /line (\d+) column/.exec(message);
+        if (lineColumn) {
+            return Number(lineColumn[1]) - 1;
+        }
+        const position = /position (\d+)/.exec(message);
+        if (position) {
+            return text.slice(0, Number(position[1])).split('\n').length - 1;
+        }
+        return null;
+    }
+
+    // ============================================
+    // Manifest Helpers
+    // ============================================
+    function resolveAgainst(value, base) {
+        try {
+            return new URL(value, base).href;
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Copy of the manifest with every relative URL made absolute, for use from a blob: URL
+     */
+    function absolutizeManifest(manifest, manifestUrl) {
+        const copy = JSON.parse(JSON.stringify(manifest));
+        const fixImages = (list) => {
+            if (Array.isArray(list)) {
+                list.forEach((image) => {
+                    if (image && typeof image.src === 'string') {
+                        image.src = resolveAgainst(image.src, manifestUrl);
+                    }
+                });
+            }
+        };
+
+        URL_MEMBERS.forEach((member) => {
+            if (typeof copy[member] === 'string') {
+                copy[member] = resolveAgainst(copy[member], manifestUrl);
+            }
+        });
+        if (copy.start_url === undefined) {
+            copy.start_url = resolveAgainst('./', manifestUrl);
+        }
+        IMAGE_LIST_MEMBERS.forEach((member) => fixImages(copy[member]));
+
+        if (Array.isArray(copy.shortcuts)) {
+            copy.shortcuts.forEach((shortcut) => {
+                if (shortcut && typeof shortcut.url === 'string') {
+                    shortcut.url = resolveAgainst(shortcut.url, manifestUrl);
+                }
+                fixImages(shortcut && shortcut.icons);
+            });
+        }
+        ['share_target', 'file_handlers', 'protocol_handlers'].forEach((member) => {
+            [].concat(copy[member] || []).forEach((handler) => {
+                ['action', 'url'].forEach((key) => {
+                    if (handler && typeof handler[key] === 'string') {
+                        handler[key] = resolveAgainst(handler[key], manifestUrl);
+                    }
+                });
+                fixImages(handler && handler.icons);
+            });
+        });
+        return copy;
+    }
+
+    /**
+     * The "any" purpose icon closest to (but preferably not below) `targetSize`
+     */
+    function pickIcon(manifest, targetSize) {
+        const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+        const candidates = icons
+            .filter((icon) => icon && typeof icon.src === 'string')
+            .filter((icon) => typeof icon.purpose !== 'string' || icon.purpose.split(/\s+/).includes('any'))
+            .map((icon) => {
+                const sizes = ManifestValidator.parseSizes(icon.sizes) || [];
+                const widths = sizes.map((size) => (size === 'any' ? Infinity : size.width));
+                return { icon, size: widths.length > 0 ? Math.max(...widths) : 0 };
+            });
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const score = ({ size }) => (size >= targetSize ? size - targetSize : (targetSize - size) * 4);
+        return candidates.sort((a, b) => score(a) - score(b))[0].icon;
+    }
+
+    function typeOf(value) {
+        return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    }
+
+    function isDarkColor(color) {
+        const match = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(color);
+        if (!match) {
+            return false;
+        }
+        const [r, g, b] = match.slice(1).map(Number);
+        return (0.299 * r + 0.587 * g + 0.114 * b) < 150;
+    }
+
+    // ============================================
+    // Playground
+    // ============================================
+
+    /**
+     * @param {object} options
+     * @param {HTMLTextAreaElement} options.editor
+     * @param {HTMLElement} options.code - the <code> element drawn behind the editor
+     * @param {HTMLElement} options.issues - <ul> for parse and validation issues
+     * @param {HTMLElement} options.source - label with the file name
+     * @param {HTMLElement} options.preview - element holding the [data-preview] mock-ups
+     * @param {string} options.manifestUrl - URL of the page's own manifest
+     * @param {function(object, string): void} [options.onApply] - called after the page's manifest was replaced
+     * @param {function} [options.t] - I18n translator for the playground's own labels; English without one
+     */
+    function setup(options) {
+        const { editor, code, issues: issueList, source, preview, manifestUrl } = options;
+        const label = (key, english) => (options.t && options.t.has(key) ? options.t(key) : english);
+        const manifestLink = document.querySelector('link[rel="manifest"]');
+        const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+        const original = {
+            href: manifestLink ? manifestLink.getAttribute('href') : null,
+            themeColor: themeColorMeta ? themeColorMeta.content : null
+        };
+
+        let originalText = '';
+        let highlighted = null;
+        let marks = new Map();
+        let memberLines = {};
+        let parsed = null;
+        let appliedUrl = null;
+        let timer = null;
+
+        function drawLines() {
+            const lines = editor.value.split('\n');
+            const range = highlighted && memberLines[highlighted];
+
+            code.replaceChildren(...lines.map((text, i) => {
+                const span = document.createElement('span');
+                span.className = 'code-line';
+                if (range && i >= range.start && i <= range.end) {
+                    span.classList.add('is-highlighted');
+                }
+                if (marks.has(i)) {
+                    span.classList.add(`has-${marks.get(i)}`);
+                }
+                // Lines are blocks, so an empty one still needs something to give it height
+                span.textContent = text || ' ';
+                return span;
+            }));
+        }
+
+        function renderIssues(issues) {
+            issueList.replaceChildren(...issues.map(({ severity, member, message }) => {
+                const li = document.createElement('li');
+                li.className = `check-issue ${severity}`;
+                const severityLabel = document.createElement('strong');
+                severityLabel.textContent = label(`checklist.severity.${severity}`, severity);
+                li.append(severityLabel, ` ${member ? `${member}: ` : ''}${message}`);
+                return li;
+            }));
+        }
+
+        function markIssues(issues, errorLine) {
+            marks = new Map();
+            if (errorLine !== null && errorLine !== undefined) {
+                marks.set(errorLine, 'error');
+            }
+            issues.forEach(({ severity, member }) => {
+                const range = memberLines[member.split(/[.[]/)[0]];
+                if (range && severity !== 'info' && marks.get(range.start) !== 'error') {
+                    marks.set(range.start, severity);
+                }
+            });
+        }
+
+        function setImage(img, icon) {
+            img.hidden = !icon;
+            if (icon) {
+                img.src = resolveAgainst(icon.src, manifestUrl);
+            }
+        }
+
+        function setColor(element, property, color) {
+            element.style[property] = '';
+            if (typeof color === 'string') {
+                element.style[property] = color;
+            }
+        }
+
+        function renderPreview(manifest) {
+            if (!preview) return;
+            const name = typeof manifest.name === 'string' ? manifest.name : manifest.short_name;
+            const shortName = typeof manifest.short_name === 'string' ? manifest.short_name : name;
+            const part = (key) => preview.querySelector(`[data-preview="${key}"]`);
+
+            // Install dialog
+            setImage(part('install-icon'), pickIcon(manifest, 96));
+            part('install-name').textContent = name || label('playground.no_name', '(no name)');
+            part('install-origin').textContent = new URL(manifestUrl).host;
+            part('install-description').textContent = typeof manifest.description === 'string' ? manifest.description : '';
+
+            // Splash screen: background_color, the largest icon and the name
+            const splash = part('splash');
+            setColor(splash, 'backgroundColor', manifest.background_color);
+            splash.classList.toggle('is-dark', isDarkColor(getComputedStyle(splash).backgroundColor));
+            setImage(part('splash-icon'), pickIcon(manifest, 512));
+            part('splash-name').textContent = name || '';
+
+            // Window title bar: theme_color, depending on the display mode
+            const windowFrame = part('window');
+            const titlebar = part('titlebar');
+            windowFrame.dataset.display = typeof manifest.display === 'string' ? manifest.display : 'browser';
+            part('urlbar').textContent = `🔒 ${new URL(manifestUrl).host}`;
+            setColor(titlebar, 'backgroundColor', manifest.theme_color);
+            titlebar.classList.toggle('is-dark', isDarkColor(getComputedStyle(titlebar).backgroundColor));
+            setImage(part('titlebar-icon'), pickIcon(manifest, 32));
+            part('titlebar-name').textContent = shortName || '';
+            setColor(part('window-body'), 'backgroundColor', manifest.background_color);
+        }
+
+        function update() {
+            timer = null;
+            const text = editor.value;
+            memberLines = findMemberLines(text);
+
+            const result = ManifestValidator.parseManifest(text);
+            parsed = result.manifest;
+            let issues = result.issues;
+            let errorLine = null;
+
+            if (issues.length === 0) {
+                // Valid JSON; validateManifestStructure also reports a non-object like `null`
+                issues = ManifestValidator.validateManifestStructure(parsed, manifestUrl);
+                renderPreview(typeOf(parsed) === 'object' ? parsed : {});
+            } else {
+                errorLine = findErrorLine(text, issues[0].message);
+            }
+
+            markIssues(issues, errorLine);
+            renderIssues(issues);
+            drawLines();
+        }
+
+        function scheduleUpdate() {
+            // Redraw the lines right away so they never lag behind the caret; validate after a pause
+            drawLines();
+            clearTimeout(timer);
+            timer = setTimeout(update, INPUT_DEBOUNCE_MS);
+        }
+
+        function setText(text, sourceName) {
+            editor.value = text;
+            source.textContent = sourceName;
+            update();
+        }
+
+        function highlight(member) {
+            highlighted = member;
+            drawLines();
+        }
+
+        function download() {
+            const blob = new Blob([editor.value], { type: 'application/manifest+json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'manifest.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        /**
+         * Point <link rel="manifest"> at a blob: URL with the edited manifest
+         */
+        function apply() {
+            if (!parsed || typeOf(parsed) !== 'object' || !manifestLink) {
+                return false;
+            }
+
+            const absolute = absolutizeManifest(parsed, manifestUrl);
+            const blob = new Blob([JSON.stringify(absolute, null, 2)], { type: 'application/manifest+json' });
+            if (appliedUrl) {
+                URL.revokeObjectURL(appliedUrl);
+            }
+            appliedUrl = URL.createObjectURL(blob);
+            manifestLink.href = appliedUrl;
+
+            if (themeColorMeta && typeof parsed.theme_color === 'string' && ManifestValidator.isValidColor(parsed.theme_color)) {
+                themeColorMeta.content = parsed.theme_color;
+            }
+            options.onApply && options.onApply(parsed, editor.value);
+            return true;
+        }
+
+        /**
+         * Back to the live manifest.json, on the page and in the editor
+         */
+        function reset() {
+            if (appliedUrl) {
+                URL.revokeObjectURL(appliedUrl);
+                appliedUrl = null;
+            }
+            if (manifestLink && original.href) {
+                manifestLink.setAttribute('href', original.href);
+            }
+            if (themeColorMeta && original.themeColor) {
+                themeColorMeta.content = original.themeColor;
+            }
+            setText(originalText, 'manifest.json');
+        }
+
+        async function load() {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`manifest.json returned ${response.status}`);
+            }
+            originalText = await response.text();
+            setText(originalText, 'manifest.json');
+        }
+
+        editor.addEventListener('input', scheduleUpdate);
+        // Tab indents instead of leaving the editor
+        editor.addEventListener('keydown', (event) => {
+            if (event.key === 'Tab' && !event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                editor.setRangeText('  ', editor.selectionStart, editor.selectionEnd, 'end');
+                scheduleUpdate();
+            }
+        });
+
+        return {
+            load,
+            setText,
+            highlight,
+            download,
+            apply,
+            reset,
+            get isApplied() {
+                return appliedUrl !== null;
+            }
+        };
+    }
+
+    root.ManifestPlayground = {
+        setup,
+        findMemberLines,
+        findErrorLine,
+        absolutizeManifest
+    };
+}(self));
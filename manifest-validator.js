@@ -0,0 +1,684 @@
+/**
+ * Web App Manifest Validator
+ * Runs in the browser (window.ManifestValidator, used by the PWA checklist in app.js)
+ * and in Node (require('./manifest-validator'), used by scripts/validate-manifest.js).
+ *
+ * Every problem is reported as an issue:
+ *   { severity: 'error' | 'warning' | 'info', member: 'icons[2].sizes', message: '...' }
+ *
+ * Image checks need a way to fetch bytes, passed in as `options.fetchBytes(url)`,
+ * so the same code works with fetch() in the page and fs.readFile() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ManifestValidator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DISPLAY_VALUES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+    const DISPLAY_OVERRIDE_VALUES = DISPLAY_VALUES.concat(['window-controls-overlay', 'tabbed', 'borderless']);
+    const ORIENTATION_VALUES = [
+        'any', 'natural', 'landscape', 'landscape-primary', 'landscape-secondary',
+        'portrait', 'portrait-primary', 'portrait-secondary'
+    ];
+    const ICON_PURPOSES = ['any', 'maskable', 'monochrome'];
+    const DIR_VALUES = ['ltr', 'rtl', 'auto'];
+    const FORM_FACTORS = ['wide', 'narrow'];
+    const SHARE_TARGET_ENCTYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+    // Schemes registerProtocolHandler() accepts without the web+ prefix
+    const SAFELISTED_PROTOCOLS = [
+        'bitcoin', 'cabal', 'dat', 'did', 'doi', 'dweb', 'ethereum', 'ftp', 'ftps', 'geo', 'im', 'ipfs', 'ipns', 'irc',
+        'ircs', 'magnet', 'mailto', 'matrix', 'mms', 'news', 'nntp', 'openpgp4fpr', 'sftp', 'sip', 'sms', 'smsto', 'ssb',
+        'ssh', 'tel', 'urn', 'webcal', 'wtai', 'xmpp'
+    ];
+    const FILE_HANDLER_LAUNCH_TYPES = ['single-client', 'multiple-clients'];
+    const REQUIRED_ICON_SIZES = [192, 512];
+
+    const MEMBER_TYPES = {
+        name: 'string',
+        short_name: 'string',
+        description: 'string',
+        start_url: 'string',
+        scope: 'string',
+        id: 'string',
+        display: 'string',
+        orientation: 'string',
+        background_color: 'string',
+        theme_color: 'string',
+        lang: 'string',
+        dir: 'string',
+        icons: 'array',
+        screenshots: 'array',
+        shortcuts: 'array',
+        categories: 'array',
+        display_override: 'array',
+        related_applications: 'array',
+        share_target: 'object',
+        file_handlers: 'array',
+        protocol_handlers: 'array',
+        prefer_related_applications: 'boolean'
+    };
+
+    const NAMED_COLORS = new Set((
+        'aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet brown burlywood ' +
+        'cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan darkgoldenrod darkgray ' +
+        'darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen ' +
+        'darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue dimgray dimgrey dodgerblue ' +
+        'firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green greenyellow grey honeydew ' +
+        'hotpink indianred indigo ivory khaki lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan ' +
+        'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray ' +
+        'lightslategrey lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine mediumblue ' +
+        'mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen mediumturquoise mediumvioletred ' +
+        'midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid ' +
+        'palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum powderblue purple ' +
+        'rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue ' +
+        'slateblue slategray slategrey snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white ' +
+        'whitesmoke yellow yellowgreen transparent'
+    ).split(' '));
+
+    // ============================================
+    // Helpers
+    // ============================================
+    function issue(severity, member, message) {
+        return { severity, member, message };
+    }
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    function isValidColor(value) {
+        const color = value.trim().toLowerCase();
+        if (/^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(color)) {
+            return true;
+        }
+        if (/^(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*[^()]+\)$/.test(color)) {
+            return true;
+        }
+        return NAMED_COLORS.has(color);
+    }
+
+    function resolveUrl(value, base) {
+        try {
+            return new URL(value, base);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Scope matching as browsers do it: same origin, and the path starts with the scope's path
+     */
+    function isWithinScope(url, scope) {
+        return url.origin === scope.origin && url.pathname.startsWith(scope.pathname);
+    }
+
+    /**
+     * Parse a `sizes` string ("48x48 96x96" or "any")
+     */
+    function parseSizes(sizes) {
+        if (typeof sizes !== 'string' || sizes.trim() === '') {
+            return null;
+        }
+        const tokens = sizes.trim().toLowerCase().split(/\s+/);
+        const parsed = [];
+        for (const token of tokens) {
+            if (token === 'any') {
+                parsed.push('any');
+                continue;
+            }
+            const match = /^([1-9]\d*)x([1-9]\d*)$/.exec(token);
+            if (!match) {
+                return null;
+            }
+            parsed.push({ width: Number(match[1]), height: Number(match[2]) });
+        }
+        return parsed;
+    }
+
+    // ============================================
+    // Image Header Parsing
+    // ============================================
+
+    /**
+     * Read format and pixel dimensions from the first bytes of a PNG, JPEG, GIF or WebP file.
+     * Returns null for formats we can't measure (e.g. SVG).
+     */
+    function readImageInfo(bytes) {
+        const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const u16be = (i) => (b[i] << 8) | b[i + 1];
+        const u16le = (i) => b[i] | (b[i + 1] << 8);
+        const u32be = (i) => ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3];
+        const ascii = (i, length) => String.fromCharCode.apply(null, b.subarray(i, i + length));
+
+        if (b.length >= 24 && b[0] === 0x89 && ascii(1, 3) === 'PNG') {
+            return { format: 'image/png', width: u32be(16), height: u32be(20) };
+        }
+
+        if (b.length >= 10 && ascii(0, 4) === 'GIF8') {
+            return { format: 'image/gif', width: u16le(6), height: u16le(8) };
+        }
+
+        if (b.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+            const chunk = ascii(12, 4);
+            if (chunk === 'VP8X') {
+                return {
+                    format: 'image/webp',
+                    width: 1 + (b[24] | (b[25] << 8) | (b[26] << 16)),
+                    height: 1 + (b[27] | (b[28] << 8) | (b[29] << 16))
+                };
+            }
+            if (chunk === 'VP8 ') {
+                return { format: 'image/webp', width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+            }
+            if (chunk === 'VP8L') {
+                const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+                return { format: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+        }
+
+        if (b.length >= 4 && b[0] === 0xff && b[1] === 0xd8) {
+            // Walk the JPEG segments until a start-of-frame marker
+            let offset = 2;
+            while (offset + 9 < b.length) {
+                if (b[offset] !== 0xff) {
+                    break;
+                }
+                const marker = b[offset + 1];
+                const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+                if (isStartOfFrame) {
+                    return { format: 'image/jpeg', width: u16be(offset + 7), height: u16be(offset + 5) };
+                }
+                offset += 2 + u16be(offset + 2);
+            }
+            return { format: 'image/jpeg', width: null, height: null };
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // Structural Checks
+    // ============================================
+    function checkTypes(manifest, issues) {
+        Object.keys(MEMBER_TYPES).forEach((member) => {
+            if (manifest[member] !== undefined && typeOf(manifest[member]) !== MEMBER_TYPES[member]) {
+                issues.push(issue('error', member,
+                    `Must be ${MEMBER_TYPES[member] === 'array' ? 'an' : 'a'} ${MEMBER_TYPES[member]}, got ${typeOf(manifest[member])} - it will be ignored`));
+            }
+        });
+    }
+
+    function checkRequired(manifest, issues) {
+        const hasName = typeof manifest.name === 'string' && manifest.name.trim() !== '';
+        const hasShortName = typeof manifest.short_name === 'string' && manifest.short_name.trim() !== '';
+
+        if (!hasName && !hasShortName) {
+            issues.push(issue('error', 'name', 'Either name or short_name is required to install the app'));
+        } else if (!hasShortName) {
+            issues.push(issue('warning', 'short_name', 'No short_name - launchers will truncate name instead'));
+        } else if (manifest.short_name.length > 12) {
+            issues.push(issue('info', 'short_name', `short_name is ${manifest.short_name.length} characters; 12 or fewer avoids truncation`));
+        }
+
+        if (manifest.start_url === undefined) {
+            issues.push(issue('warning', 'start_url', 'No start_url - the app will launch on whatever page it was installed from'));
+        }
+        if (manifest.display === undefined) {
+            issues.push(issue('warning', 'display', 'No display mode - the app will open in a browser tab'));
+        }
+        if (!Array.isArray(manifest.icons) || manifest.icons.length === 0) {
+            issues.push(issue('error', 'icons', 'At least one icon is required to install the app'));
+        }
+        if (manifest.theme_color === undefined) {
+            issues.push(issue('info', 'theme_color', 'No theme_color - the title bar will use the browser default'));
+        }
+        if (manifest.description === undefined) {
+            issues.push(issue('info', 'description', 'No description - install dialogs have less to show'));
+        }
+    }
+
+    function checkUrls(manifest, manifestUrl, issues) {
+        const base = manifestUrl;
+        const startUrl = typeof manifest.start_url === 'string' ? resolveUrl(manifest.start_url, base) : resolveUrl('./', base);
+        let scope = typeof manifest.scope === 'string' ? resolveUrl(manifest.scope, base) : null;
+
+        if (typeof manifest.start_url === 'string') {
+            if (!startUrl) {
+                issues.push(issue('error', 'start_url', `"${manifest.start_url}" is not a valid URL`));
+            } else if (startUrl.origin !== new URL(base).origin) {
+                issues.push(issue('error', 'start_url', 'Must be on the same origin as the manifest'));
+            }
+        }
+
+        if (typeof manifest.scope === 'string' && !scope) {
+            issues.push(issue('error', 'scope', `"${manifest.scope}" is not a valid URL`));
+        }
+        if (!scope && startUrl) {
+            // Default scope: the start_url with everything after the last "/" removed
+            scope = new URL('./', startUrl);
+        }
+
+        if (startUrl && scope && !isWithinScope(startUrl, scope)) {
+            issues.push(issue('error', 'start_url', `${startUrl.pathname} is outside scope ${scope.pathname}`));
+        }
+
+        if (Array.isArray(manifest.shortcuts)) {
+            manifest.shortcuts.forEach((shortcut, i) => {
+                const member = `shortcuts[${i}]`;
+                if (!shortcut || typeof shortcut.name !== 'string') {
+                    issues.push(issue('error', `${member}.name`, 'Each shortcut needs a name'));
+                }
+                if (!shortcut || typeof shortcut.url !== 'string') {
+                    issues.push(issue('error', `${member}.url`, 'Each shortcut needs a url'));
+                    return;
+                }
+                const url = resolveUrl(shortcut.url, base);
+                if (!url) {
+                    issues.push(issue('error', `${member}.url`, `"${shortcut.url}" is not a valid URL`));
+                } else if (scope && !isWithinScope(url, scope)) {
+                    issues.push(issue('error', `${member}.url`, `${url.pathname} is outside scope ${scope.pathname} - the shortcut will be ignored`));
+                }
+            });
+        }
+
+        return { startUrl, scope };
+    }
+
+    function checkShareTarget(manifest, manifestUrl, scope, issues) {
+        const shareTarget = manifest.share_target;
+        if (typeOf(shareTarget) !== 'object') {
+            return;
+        }
+
+        if (typeof shareTarget.action !== 'string') {
+            issues.push(issue('error', 'share_target.action', 'A share target needs an action URL'));
+        } else {
+            const action = resolveUrl(shareTarget.action, manifestUrl);
+            if (!action) {
+                issues.push(issue('error', 'share_target.action', `"${shareTarget.action}" is not a valid URL`));
+            } else if (scope && !isWithinScope(action, scope)) {
+                issues.push(issue('error', 'share_target.action', `${action.pathname} is outside scope ${scope.pathname} - the share target will be ignored`));
+            }
+        }
+
+        const method = typeof shareTarget.method === 'string' ? shareTarget.method.toUpperCase() : 'GET';
+        if (!['GET', 'POST'].includes(method)) {
+            issues.push(issue('error', 'share_target.method', `"${shareTarget.method}" must be GET or POST`));
+        }
+        const enctype = typeof shareTarget.enctype === 'string' ? shareTarget.enctype.toLowerCase() : SHARE_TARGET_ENCTYPES[0];
+        if (!SHARE_TARGET_ENCTYPES.includes(enctype)) {
+            issues.push(issue('error', 'share_target.enctype', `"${shareTarget.enctype}" is not one of ${SHARE_TARGET_ENCTYPES.join(', ')}`));
+        }
+
+        const params = shareTarget.params;
+        if (typeOf(params) !== 'object') {
+            issues.push(issue('error', 'share_target.params', 'Must be an object naming the form fields for title, text, url or files'));
+            return;
+        }
+
+        const files = params.files === undefined ? [] : [].concat(params.files);
+        if (files.length > 0 && (method !== 'POST' || enctype !== 'multipart/form-data')) {
+            issues.push(issue('error', 'share_target.params.files', 'Sharing files needs method POST and enctype multipart/form-data'));
+        }
+        files.forEach((file, i) => {
+            const member = `share_target.params.files[${i}]`;
+            if (!file || typeof file.name !== 'string' || file.name === '') {
+                issues.push(issue('error', `${member}.name`, 'Each file entry needs the form field name'));
+            }
+            const accept = file ? [].concat(file.accept || []) : [];
+            if (accept.length === 0) {
+                issues.push(issue('error', `${member}.accept`, 'List the MIME types or extensions that can be shared'));
+            }
+        });
+    }
+
+    function checkFileHandlers(manifest, manifestUrl, scope, issues) {
+        if (!Array.isArray(manifest.file_handlers)) {
+            return;
+        }
+
+        manifest.file_handlers.forEach((handler, i) => {
+            const member = `file_handlers[${i}]`;
+            if (typeOf(handler) !== 'object') {
+                issues.push(issue('error', member, 'Each file handler must be an object'));
+                return;
+            }
+
+            const action = typeof handler.action === 'string' ? resolveUrl(handler.action, manifestUrl) : null;
+            if (!action) {
+                issues.push(issue('error', `${member}.action`, 'A file handler needs a valid action URL'));
+            } else if (scope && !isWithinScope(action, scope)) {
+                issues.push(issue('error', `${member}.action`, `${action.pathname} is outside scope ${scope.pathname} - the handler will be ignored`));
+            }
+
+            if (typeOf(handler.accept) !== 'object' || Object.keys(handler.accept).length === 0) {
+                issues.push(issue('error', `${member}.accept`, 'Map at least one MIME type to its file extensions'));
+            } else {
+                Object.entries(handler.accept).forEach(([mimeType, extensions]) => {
+                    if (!/^[a-z0-9.+-]+\/[a-z0-9.+*-]+$/i.test(mimeType)) {
+                        issues.push(issue('error', `${member}.accept`, `"${mimeType}" is not a MIME type`));
+                    }
+                    [].concat(extensions).filter((extension) => typeof extension !== 'string' || !extension.startsWith('.')).forEach((extension) => {
+                        issues.push(issue('error', `${member}.accept`, `"${extension}" must be a file extension starting with "."`));
+                    });
+                });
+            }
+
+            if (handler.launch_type !== undefined && !FILE_HANDLER_LAUNCH_TYPES.includes(handler.launch_type)) {
+                issues.push(issue('warning', `${member}.launch_type`, `"${handler.launch_type}" is not one of ${FILE_HANDLER_LAUNCH_TYPES.join(', ')}`));
+            }
+        });
+    }
+
+    function checkProtocolHandlers(manifest, manifestUrl, scope, issues) {
+        if (!Array.isArray(manifest.protocol_handlers)) {
+            return;
+        }
+
+        manifest.protocol_handlers.forEach((handler, i) => {
+            const member = `protocol_handlers[${i}]`;
+            if (typeOf(handler) !== 'object') {
+                issues.push(issue('error', member, 'Each protocol handler must be an object'));
+                return;
+            }
+
+            const protocol = typeof handler.protocol === 'string' ? handler.protocol.toLowerCase() : '';
+            if (!/^web\+[a-z]+$/.test(protocol) && !SAFELISTED_PROTOCOLS.includes(protocol)) {
+                issues.push(issue('error', `${member}.protocol`,
+                    `"${handler.protocol}" must be "web+" followed by lowercase letters, or a safelisted scheme`));
+            }
+
+            if (typeof handler.url !== 'string') {
+                issues.push(issue('error', `${member}.url`, 'A protocol handler needs a url'));
+                return;
+            }
+            if (!handler.url.includes('%s')) {
+                issues.push(issue('error', `${member}.url`, 'The url must contain %s, where the launched URL is inserted'));
+            }
+            const url = resolveUrl(handler.url, manifestUrl);
+            if (!url) {
+                issues.push(issue('error', `${member}.url`, `"${handler.url}" is not a valid URL`));
+            } else if (scope && !isWithinScope(url, scope)) {
+                issues.push(issue('error', `${member}.url`, `${url.pathname} is outside scope ${scope.pathname} - the handler will be ignored`));
+            }
+        });
+    }
+
+    function checkEnums(manifest, issues) {
+        if (typeof manifest.display === 'string' && !DISPLAY_VALUES.includes(manifest.display)) {
+            issues.push(issue('error', 'display', `"${manifest.display}" is not one of ${DISPLAY_VALUES.join(', ')}`));
+        }
+
+        if (Array.isArray(manifest.display_override)) {
+            manifest.display_override.forEach((value, i) => {
+                if (!DISPLAY_OVERRIDE_VALUES.includes(value)) {
+                    issues.push(issue('warning', `display_override[${i}]`, `"${value}" is not a known display mode and will be skipped`));
+                }
+            });
+        }
+
+        if (typeof manifest.orientation === 'string' && !ORIENTATION_VALUES.includes(manifest.orientation)) {
+            issues.push(issue('error', 'orientation', `"${manifest.orientation}" is not one of ${ORIENTATION_VALUES.join(', ')}`));
+        }
+
+        if (typeof manifest.dir === 'string' && !DIR_VALUES.includes(manifest.dir)) {
+            issues.push(issue('error', 'dir', `"${manifest.dir}" is not one of ${DIR_VALUES.join(', ')}`));
+        }
+
+        if (typeof manifest.lang === 'string' && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(manifest.lang)) {
+            issues.push(issue('warning', 'lang', `"${manifest.lang}" is not a valid language tag`));
+        }
+
+        ['background_color', 'theme_color'].forEach((member) => {
+            if (typeof manifest[member] === 'string' && !isValidColor(manifest[member])) {
+                issues.push(issue('error', member, `"${manifest[member]}" is not a valid CSS color`));
+            }
+        });
+    }
+
+    function checkIcons(manifest, issues) {
+        if (!Array.isArray(manifest.icons)) {
+            return;
+        }
+
+        const anyPurposeSizes = [];
+        let hasMaskable = false;
+
+        manifest.icons.forEach((icon, i) => {
+            const member = `icons[${i}]`;
+            if (!icon || typeof icon.src !== 'string' || icon.src === '') {
+                issues.push(issue('error', `${member}.src`, 'Each icon needs a src'));
+                return;
+            }
+
+            const sizes = parseSizes(icon.sizes);
+            if (icon.sizes === undefined) {
+                issues.push(issue('warning', `${member}.sizes`, 'No sizes - browsers have to download the icon to pick one'));
+            } else if (!sizes) {
+                issues.push(issue('error', `${member}.sizes`, `"${icon.sizes}" must be "any" or space-separated WIDTHxHEIGHT values`));
+            }
+
+            if (icon.type !== undefined && !/^image\/[a-z0-9.+-]+$/i.test(icon.type)) {
+                issues.push(issue('warning', `${member}.type`, `"${icon.type}" is not an image MIME type`));
+            }
+
+            const purposes = typeof icon.purpose === 'string' ? icon.purpose.trim().toLowerCase().split(/\s+/) : ['any'];
+            purposes.filter((purpose) => !ICON_PURPOSES.includes(purpose)).forEach((purpose) => {
+                issues.push(issue('warning', `${member}.purpose`, `"${purpose}" is not a known purpose (${ICON_PURPOSES.join(', ')})`));
+            });
+            if (purposes.includes('any') && purposes.includes('maskable')) {
+                issues.push(issue('warning', `${member}.purpose`,
+                    '"any maskable" shows the maskable safe-zone padding where "any" icons are used; provide separate icons'));
+            }
+
+            if (purposes.includes('maskable')) {
+                hasMaskable = true;
+            }
+            if (purposes.includes('any') && sizes) {
+                sizes.filter((size) => size !== 'any').forEach((size) => anyPurposeSizes.push(size));
+                if (sizes.includes('any')) {
+                    anyPurposeSizes.push('any');
+                }
+            }
+        });
+
+        REQUIRED_ICON_SIZES.forEach((required) => {
+            const found = anyPurposeSizes.some((size) => size === 'any' || (size.width >= required && size.height === size.width));
+            if (!found) {
+                issues.push(issue('error', 'icons', `No square icon of at least ${required}x${required} with purpose "any"`));
+            }
+        });
+
+        if (!hasMaskable) {
+            issues.push(issue('warning', 'icons', 'No maskable icon - Android will shrink the icon onto a white circle'));
+        }
+    }
+
+    function checkScreenshots(manifest, issues) {
+        if (!Array.isArray(manifest.screenshots) || manifest.screenshots.length === 0) {
+            issues.push(issue('info', 'screenshots', 'No screenshots - browsers show a simpler install dialog'));
+            return;
+        }
+
+        const formFactors = new Set();
+        manifest.screenshots.forEach((screenshot, i) => {
+            const member = `screenshots[${i}]`;
+            if (!screenshot || typeof screenshot.src !== 'string' || screenshot.src === '') {
+                issues.push(issue('error', `${member}.src`, 'Each screenshot needs a src'));
+                return;
+            }
+            if (screenshot.sizes !== undefined && !parseSizes(screenshot.sizes)) {
+                issues.push(issue('error', `${member}.sizes`, `"${screenshot.sizes}" must be space-separated WIDTHxHEIGHT values`));
+            }
+            if (screenshot.form_factor === undefined) {
+                formFactors.add('narrow');
+            } else if (!FORM_FACTORS.includes(screenshot.form_factor)) {
+                issues.push(issue('error', `${member}.form_factor`, `"${screenshot.form_factor}" is not one of ${FORM_FACTORS.join(', ')}`));
+            } else {
+                formFactors.add(screenshot.form_factor);
+            }
+            if (typeof screenshot.label !== 'string') {
+                issues.push(issue('info', `${member}.label`, 'No label - screen readers have nothing to announce'));
+            }
+        });
+
+        FORM_FACTORS.filter((formFactor) => !formFactors.has(formFactor)).forEach((formFactor) => {
+            issues.push(issue('warning', 'screenshots',
+                `No "${formFactor}" screenshot - the richer install dialog won't show on ${formFactor === 'wide' ? 'desktop' : 'mobile'}`));
+        });
+    }
+
+    /**
+     * Checks that need no network access
+     */
+    function validateManifestStructure(manifest, manifestUrl) {
+        const issues = [];
+        if (typeOf(manifest) !== 'object') {
+            issues.push(issue('error', '', 'The manifest must be a JSON object'));
+            return issues;
+        }
+
+        checkTypes(manifest, issues);
+        checkRequired(manifest, issues);
+        const { scope } = checkUrls(manifest, manifestUrl, issues);
+        checkShareTarget(manifest, manifestUrl, scope, issues);
+        checkFileHandlers(manifest, manifestUrl, scope, issues);
+        checkProtocolHandlers(manifest, manifestUrl, scope, issues);
+        checkEnums(manifest, issues);
+        checkIcons(manifest, issues);
+        checkScreenshots(manifest, issues);
+        return issues;
+    }
+
+    // ============================================
+    // Image Checks
+    // ============================================
+    function listImages(manifest) {
+        const images = [];
+        const add = (list, prefix, kind) => {
+            if (!Array.isArray(list)) return;
+            list.forEach((image, i) => {
+                if (image && typeof image.src === 'string' && image.src !== '') {
+                    images.push({ image, member: `${prefix}[${i}]`, kind });
+                }
+            });
+        };
+
+        add(manifest.icons, 'icons', 'icon');
+        add(manifest.screenshots, 'screenshots', 'screenshot');
+        if (Array.isArray(manifest.shortcuts)) {
+            manifest.shortcuts.forEach((shortcut, i) => add(shortcut && shortcut.icons, `shortcuts[${i}].icons`, 'icon'));
+        }
+        if (Array.isArray(manifest.file_handlers)) {
+            manifest.file_handlers.forEach((handler, i) => add(handler && handler.icons, `file_handlers[${i}].icons`, 'icon'));
+        }
+        return images;
+    }
+
+    async function checkImage({ image, member, kind }, manifestUrl, fetchBytes) {
+        const issues = [];
+        const url = resolveUrl(image.src, manifestUrl);
+        if (!url) {
+            return [issue('error', `${member}.src`, `"${image.src}" is not a valid URL`)];
+        }
+
+        let info;
+        try {
+            info = readImageInfo(await fetchBytes(url.href));
+        } catch (error) {
+            return [issue('error', `${member}.src`, `${image.src} could not be loaded (${error.message})`)];
+        }
+
+        if (!info) {
+            return [issue('info', `${member}.src`, `Could not read the dimensions of ${image.src}`)];
+        }
+
+        if (image.type && info.format !== image.type.toLowerCase()) {
+            issues.push(issue('warning', `${member}.type`, `Declared ${image.type} but ${image.src} is ${info.format}`));
+        }
+
+        const sizes = parseSizes(image.sizes);
+        if (sizes && info.width && !sizes.includes('any')) {
+            const matches = sizes.some((size) => size.width === info.width && size.height === info.height);
+            if (!matches) {
+                issues.push(issue(kind === 'icon' ? 'error' : 'warning', `${member}.sizes`,
+                    `Declared ${image.sizes} but ${image.src} is ${info.width}x${info.height}`));
+            }
+        }
+
+        if (kind === 'screenshot' && info.width) {
+            const longest = Math.max(info.width, info.height);
+            const shortest = Math.min(info.width, info.height);
+            if (shortest < 320 || longest > 3840) {
+                issues.push(issue('warning', `${member}.src`, 'Screenshots should be between 320px and 3840px on each side'));
+            } else if (longest / shortest > 2.3) {
+                issues.push(issue('warning', `${member}.src`, 'Screenshot aspect ratio is over 2.3:1 and may be skipped'));
+            }
+            const isWide = info.width > info.height;
+            if (image.form_factor === 'wide' && !isWide) {
+                issues.push(issue('warning', `${member}.form_factor`, 'Marked "wide" but the image is portrait'));
+            } else if (image.form_factor === 'narrow' && isWide) {
+                issues.push(issue('warning', `${member}.form_factor`, 'Marked "narrow" but the image is landscape'));
+            }
+        }
+
+        return issues;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+
+    /**
+     * Validate a parsed manifest.
+     *
+     * @param {object} manifest - the parsed manifest JSON
+     * @param {object} options
+     * @param {string} options.manifestUrl - absolute URL the manifest was loaded from (relative URLs resolve against it)
+     * @param {function(string): Promise<Uint8Array|ArrayBuffer>} [options.fetchBytes] - enables icon/screenshot checks
+     * @returns {Promise<{valid: boolean, issues: object[], counts: object}>}
+     */
+    async function validateManifest(manifest, options) {
+        const issues = validateManifestStructure(manifest, options.manifestUrl);
+
+        if (options.fetchBytes && typeOf(manifest) === 'object') {
+            const imageIssues = await Promise.all(listImages(manifest)
+                .map((image) => checkImage(image, options.manifestUrl, options.fetchBytes)));
+            imageIssues.forEach((list) => issues.push(...list));
+        }
+
+        const order = { error: 0, warning: 1, info: 2 };
+        issues.sort((a, b) => order[a.severity] - order[b.severity]);
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach((item) => counts[item.severity]++);
+
+        return { valid: counts.error === 0, issues, counts };
+    }
+
+    /**
+     * Parse manifest text, reporting invalid JSON as an issue instead of throwing
+     */
+    function parseManifest(text) {
+        try {
+            return { manifest: JSON.parse(text), issues: [] };
+        } catch (error) {
+            return { manifest: null, issues: [issue('error', '', `Invalid JSON: ${error.message}`)] };
+        }
+    }
+
+    return {
+        validateManifest,
+        validateManifestStructure,
+        parseManifest,
+        readImageInfo,
+        parseSizes,
+        isValidColor
+    };
+}));
@@ -0,0 +1,420 @@
+/**
+ * Offline-first notes
+ * Notes are read and written in IndexedDB first and synced with the server's notes API
+ * (server/notes.js) whenever there's a connection.
+ *
+ *   - every local change is marked `pending` and pushed with the server version it was based on
+ *   - the server answers 409 with its own copy when someone else changed the note in between;
+ *     the conflict policy decides what happens then:
+ *       'last-writer-wins'  the most recent edit is kept automatically (the default)
+ *       'manual'            both versions are kept and the user chooses (resolveConflict)
+ *   - after pushing, the server's notes are pulled in; local changes that haven't synced win
+ *
+ * Loaded by the page (app.js) and by both service workers with importScripts(), which run
+ * sync() for the `sync-notes` Background Sync tag: self.NotesSync.
+ * Requires sw/idb.js, loaded before it in the page and in both workers.
+ */
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'pwa-getstarted-notes';
+    const NOTES_STORE = 'notes';
+    const META_STORE = 'meta';
+    const API_URL = new URL('./api/notes', root.location).href;
+    const SYNC_TAG = 'sync-notes';
+    const CONFLICT_POLICIES = ['last-writer-wins', 'manual'];
+    const DEFAULT_CONFLICT_POLICY = 'last-writer-wins';
+    // A note rebased on a newer server copy is pushed again; give up after this many tries per sync
+    const MAX_PUSH_ATTEMPTS = 3;
+
+    let syncing = null;
+
+    // ============================================
+    // IndexedDB (openDatabase, withStore and idbRequest come from sw/idb.js)
+    // ============================================
+    function openNotesDatabase() {
+        return openDatabase(DB_NAME, 1, (db) => {
+            db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+            db.createObjectStore(META_STORE, { keyPath: 'key' });
+        });
+    }
+
+    async function withNotesStore(storeName, mode, callback) {
+        return withStore(await openNotesDatabase(), storeName, mode, callback);
+    }
+
+    function getNote(id) {
+        return withNotesStore(NOTES_STORE, 'readonly', (store) => idbRequest(store.get(id)));
+    }
+
+    function getAllNotes() {
+        return withNotesStore(NOTES_STORE, 'readonly', (store) => idbRequest(store.getAll()));
+    }
+
+    function putNote(note) {
+        return withNotesStore(NOTES_STORE, 'readwrite', (store) => idbRequest(store.put(note)));
+    }
+
+    function deleteLocal(id) {
+        return withNotesStore(NOTES_STORE, 'readwrite', (store) => idbRequest(store.delete(id)));
+    }
+
+    async function getMeta(key, fallback) {
+        const entry = await withNotesStore(META_STORE, 'readonly', (store) => idbRequest(store.get(key)));
+        return entry ? entry.value : fallback;
+    }
+
+    function setMeta(key, value) {
+        return withNotesStore(META_STORE, 'readwrite', (store) => idbRequest(store.put({ key, value })));
+    }
+
+    // ============================================
+    // Local Notes
+    // ============================================
+    function createId() {
+        return root.crypto && root.crypto.randomUUID
+            ? root.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Notes to show: everything but deletions waiting to sync, newest first.
+     * A deleted note stays visible while it's in conflict, so the user can decide.
+     */
+    async function list() {
+        const notes = await getAllNotes();
+        return notes
+            .filter((note) => !note.deleted || note.syncState === 'conflict')
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Create (no id) or edit a note locally
+     */
+    async function save({ id, title, body }) {
+        const existing = id ? await getNote(id) : null;
+        const note = {
+            id: existing ? existing.id : createId(),
+            title,
+            body,
+            // The server version this edit is based on; 0 means the server has never seen it
+            version: existing ? existing.version : 0,
+            updatedAt: Date.now(),
+            deleted: false,
+            syncState: 'pending',
+            conflict: existing ? existing.conflict || null : null
+        };
+        if (note.conflict) {
+            // Editing a conflicted note keeps it in conflict until the user picks a side
+            note.syncState = 'conflict';
+        }
+        await putNote(note);
+        return note;
+    }
+
+    async function remove(id) {
+        const existing = await getNote(id);
+        if (!existing) {
+            return;
+        }
+        if (existing.version === 0) {
+            // Never synced: nothing to tell the server
+            await deleteLocal(id);
+            return;
+        }
+        await putNote({ ...existing, deleted: true, updatedAt: Date.now(), syncState: 'pending', conflict: null });
+    }
+
+    async function getConflictPolicy() {
+        return getMeta('conflictPolicy', DEFAULT_CONFLICT_POLICY);
+    }
+
+    async function setConflictPolicy(policy) {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new Error(`Unknown conflict policy: ${policy}`);
+        }
+        await setMeta('conflictPolicy', policy);
+    }
+
+    // ============================================
+    // Conflicts
+    // ============================================
+    function sameContent(local, server) {
+        if (local.deleted || server.deleted) {
+            return local.deleted === server.deleted;
+        }
+        return local.title === server.title && local.body === server.body;
+    }
+
+    /**
+     * Take the server's copy (a deleted one removes the note)
+     */
+    async function adoptServerCopy(server) {
+        if (server.deleted) {
+            await deleteLocal(server.id);
+        } else {
+            await putNote({ ...server, syncState: 'synced', conflict: null });
+        }
+    }
+
+    /**
+     * Rebase the local change on the server's version, so the next push overwrites it
+     */
+    async function keepLocalCopy(local, server) {
+        const note = { ...local, version: server.version, syncState: 'pending', conflict: null };
+        await putNote(note);
+        return note;
+    }
+
+    /**
+     * The server has a newer copy than the one `local` was based on.
+     * Resolves to 'retry' (push the rebased note again), 'resolved' or 'conflict'.
+     */
+    async function handleConflict(local, server, policy) {
+        if (sameContent(local, server)) {
+            await adoptServerCopy(server);
+            return 'resolved';
+        }
+
+        if (policy === 'last-writer-wins') {
+            if (local.updatedAt >= server.updatedAt) {
+                await keepLocalCopy(local, server);
+                return 'retry';
+            }
+            await adoptServerCopy(server);
+            return 'resolved';
+        }
+
+        await putNote({ ...local, syncState: 'conflict', conflict: server });
+        return 'conflict';
+    }
+
+    /**
+     * Settle a conflict shown to the user: keep 'mine' or take 'theirs'
+     */
+    async function resolveConflict(id, choice) {
+        const note = await getNote(id);
+        if (!note || !note.conflict) {
+            return;
+        }
+        if (choice === 'theirs') {
+            await adoptServerCopy(note.conflict);
+        } else if (choice === 'mine') {
+            await keepLocalCopy(note, note.conflict);
+        } else {
+            throw new Error(`Unknown choice: ${choice}`);
+        }
+    }
+
+    // ============================================
+    // Sync
+    // ============================================
+    class SyncError extends Error {
+        constructor(message, offline) {
+            super(message);
+            this.name = 'SyncError';
+            this.offline = offline;
+        }
+    }
+
+    async function request(method, url, body) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store'
+            });
+        } catch (error) {
+            throw new SyncError(error.message, true);
+        }
+        // 5xx includes the workers' 503 offline answer for /api/ requests
+        if (response.status >= 500) {
+            throw new SyncError(`Server answered ${response.status}`, true);
+        }
+        return response;
+    }
+
+    function noteUrl(id, params) {
+        const url = new URL(`${API_URL}/${encodeURIComponent(id)}`);
+        Object.entries(params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.href;
+    }
+
+    /**
+     * Store the server's answer to a push, unless the note was edited again while it was on the way
+     */
+    async function settlePush(sent, server) {
+        const current = await getNote(sent.id);
+        if (current && current.updatedAt !== sent.updatedAt) {
+            // Keep the newer edit pending, based on what the server has now
+            await putNote({ ...current, version: server.version });
+        } else {
+            await adoptServerCopy(server);
+        }
+    }
+
+    /**
+     * Push one pending note. Resolves to 'pushed', 'conflict' or 'failed'.
+     */
+    async function pushNote(note, policy) {
+        for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+            const { title, body, updatedAt, version } = note;
+            let response;
+            if (note.deleted) {
+                response = await request('DELETE', noteUrl(note.id, { baseVersion: version }));
+            } else if (version === 0) {
+                response = await request('POST', API_URL, { id: note.id, title, body, updatedAt });
+            } else {
+                response = await request('PUT', noteUrl(note.id), { title, body, updatedAt, baseVersion: version });
+            }
+
+            if (response.ok) {
+                const result = await response.json();
+                await settlePush(note, result.note);
+                return 'pushed';
+            }
+
+            if (response.status === 404) {
+                // The server lost the note entirely: create it again, or forget the deletion
+                if (note.deleted) {
+                    await deleteLocal(note.id);
+                    return 'pushed';
+                }
+                note = { ...note, version: 0 };
+                await putNote(note);
+                continue;
+            }
+
+            if (response.status === 409) {
+                const { note: server } = await response.json();
+                const outcome = await handleConflict(note, server, policy);
+                if (outcome !== 'retry') {
+                    return outcome === 'conflict' ? 'conflict' : 'pushed';
+                }
+                note = await getNote(note.id);
+                continue;
+            }
+
+            // Any other 4xx: the note itself is wrong, retrying won't help
+            console.warn('[Notes] Server rejected', note.id, response.status);
+            return 'failed';
+        }
+        return 'failed';
+    }
+
+    /**
+     * Bring in the server's notes. Local changes that haven't synced are left alone.
+     */
+    async function pull() {
+        const response = await request('GET', API_URL);
+        if (!response.ok) {
+            throw new SyncError(`Server answered ${response.status}`, false);
+        }
+        const { notes: serverNotes } = await response.json();
+        const serverIds = new Set(serverNotes.map((note) => note.id));
+
+        return withNotesStore(NOTES_STORE, 'readwrite', async (store) => {
+            let changed = 0;
+            const localNotes = await idbRequest(store.getAll());
+            const localById = new Map(localNotes.map((note) => [note.id, note]));
+
+            serverNotes.forEach((server) => {
+                const local = localById.get(server.id);
+                if (!local || (local.syncState === 'synced' && server.version > local.version)) {
+                    store.put({ ...server, syncState: 'synced', conflict: null });
+                    changed += 1;
+                }
+            });
+            // Synced notes the server no longer lists were deleted there
+            localNotes
+                .filter((note) => note.syncState === 'synced' && !serverIds.has(note.id))
+                .forEach((note) => {
+                    store.delete(note.id);
+                    changed += 1;
+                });
+            return changed;
+        });
+    }
+
+    /**
+     * Push pending changes, then pull. Only one sync runs at a time in each page or worker.
+     * Resolves with { pushed, pulled, conflicts, failed, offline }.
+     */
+    function sync() {
+        if (syncing) {
+            return syncing;
+        }
+
+        syncing = (async () => {
+            const result = { pushed: 0, pulled: 0, conflicts: 0, failed: 0, offline: false };
+            try {
+                const policy = await getConflictPolicy();
+                const pending = (await getAllNotes()).filter((note) => note.syncState === 'pending');
+                for (const note of pending) {
+                    const outcome = await pushNote(note, policy);
+                    if (outcome === 'pushed') {
+                        result.pushed += 1;
+                    } else if (outcome === 'conflict') {
+                        result.conflicts += 1;
+                    } else {
+                        result.failed += 1;
+                    }
+                }
+                result.pulled = await pull();
+                result.conflicts = (await getAllNotes()).filter((note) => note.syncState === 'conflict').length;
+                await setMeta('lastSyncedAt', Date.now());
+            } catch (error) {
+                if (!(error instanceof SyncError)) {
+                    throw error;
+                }
+                result.offline = error.offline;
+                result.error = error.message;
+            } finally {
+                syncing = null;
+            }
+            return result;
+        })();
+        return syncing;
+    }
+
+    /**
+     * Background Sync handler for the service workers: sync, then tell every open page.
+     * Rejecting while still offline asks the browser to try again later.
+     */
+    async function syncFromWorker(event) {
+        const result = await sync();
+        const windowClients = await root.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windowClients.forEach((client) => client.postMessage({ type: 'NOTES_SYNCED', ...result }));
+
+        if (result.offline && !event.lastChance) {
+            throw new Error(`Notes sync failed: ${result.error}`);
+        }
+        return result;
+    }
+
+    async function countPending() {
+        return (await getAllNotes()).filter((note) => note.syncState === 'pending').length;
+    }
+
+    async function getLastSyncedAt() {
+        return getMeta('lastSyncedAt', null);
+    }
+
+    root.NotesSync = {
+        SYNC_TAG,
+        CONFLICT_POLICIES,
+        DEFAULT_CONFLICT_POLICY,
+        list,
+        save,
+        remove,
+        sync,
+        syncFromWorker,
+        resolveConflict,
+        countPending,
+        getLastSyncedAt,
+        getConflictPolicy,
+        setConflictPolicy
+    };
+}(self));
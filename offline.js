@@ -0,0 +1,125 @@
+/**
+ * Offline page (offline.html)
+ * Lists the pages that can be opened from the cache and reloads once the network is back.
+ * Shown in the language the app last used; the catalogs come from the worker's locale caches.
+ */
+
+const RETRY_INTERVAL = 15000;
+const APP_CACHE_PREFIX = 'pwa-getstarted-';
+// Same key as app.js
+const LOCALE_STORAGE_KEY = 'pwa-getstarted-locale';
+
+const retryBtn = document.getElementById('retryBtn');
+const retryStatus = document.getElementById('retryStatus');
+const offlinePages = document.getElementById('offlinePages');
+const offlinePageList = document.getElementById('offlinePageList');
+
+// ============================================
+// Localization
+// ============================================
+const pageLocale = I18n.matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY))
+    || I18n.negotiateLocale(navigator.languages || [navigator.language]);
+let t = I18n.createTranslator(pageLocale, []);
+
+document.documentElement.lang = pageLocale;
+document.documentElement.dir = I18n.getDirection(pageLocale);
+document.querySelector('link[rel="manifest"]').setAttribute('href', I18n.getManifestPath(pageLocale));
+
+async function loadTranslations() {
+    const locales = pageLocale === I18n.DEFAULT_LOCALE ? [pageLocale] : [pageLocale, I18n.DEFAULT_LOCALE];
+    const catalogs = await Promise.all(locales.map(async (locale) => {
+        const response = await fetch(I18n.getCatalogPath(locale)).catch(() => null);
+        return response && response.ok ? response.json() : null;
+    }));
+    t = I18n.createTranslator(pageLocale, catalogs);
+
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        if (t.has(element.dataset.i18n)) {
+            element.textContent = t(element.dataset.i18n);
+        }
+    });
+}
+
+// ============================================
+// Cached Pages
+// ============================================
+function isPageUrl(url) {
+    return (url.pathname.endsWith('/') || url.pathname.endsWith('.html'))
+        && !url.pathname.endsWith('/offline.html');
+}
+
+async function readTitle(response) {
+    const match = /<title>([^<]*)<\/title>/i.exec(await response.text());
+    return match ? match[1].trim() : null;
+}
+
+async function findCachedPages() {
+    const pages = new Map();
+    const cacheNames = (await caches.keys()).filter((name) => name.startsWith(APP_CACHE_PREFIX));
+
+    for (const cacheName of cacheNames) {
+        const cache = await caches.open(cacheName);
+        for (const request of await cache.keys()) {
+            const url = new URL(request.url);
+            // Workbox keys precache entries with a revision parameter
+            url.searchParams.delete('__WB_REVISION__');
+            if (url.origin !== location.origin || !isPageUrl(url) || pages.has(url.href)) {
+                continue;
+            }
+            const response = await cache.match(request);
+            pages.set(url.href, (response && await readTitle(response)) || url.pathname);
+        }
+    }
+    return pages;
+}
+
+async function renderCachedPages() {
+    if (!('caches' in window)) return;
+
+    const pages = await findCachedPages();
+    offlinePageList.replaceChildren(...Array.from(pages, ([href, title]) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = title;
+        item.appendChild(link);
+        return item;
+    }));
+    offlinePages.hidden = pages.size === 0;
+}
+
+// ============================================
+// Automatic Retry
+// ============================================
+let checking = false;
+
+// navigator.onLine only knows about the network interface, so ask the server itself
+async function retry() {
+    if (checking) return;
+    checking = true;
+    retryStatus.textContent = t('offline_page.checking');
+
+    try {
+        const response = await fetch(location.href, { method: 'HEAD', cache: 'no-store' });
+        if (response.ok) {
+            location.reload();
+            return;
+        }
+        retryStatus.textContent = t('offline_page.server_status', { status: response.status });
+    } catch (error) {
+        retryStatus.textContent = t('offline_page.still_offline');
+    } finally {
+        checking = false;
+    }
+}
+
+retryBtn.addEventListener('click', retry);
+window.addEventListener('online', retry);
+setInterval(() => {
+    if (document.visibilityState === 'visible') {
+        retry();
+    }
+}, RETRY_INTERVAL);
+
+loadTranslations().catch((error) => console.warn('Could not load the translations:', error));
+renderCachedPages().catch((error) => console.error('Could not list cached pages:', error));
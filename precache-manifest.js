@@ -0,0 +1,27 @@
+// Generated by scripts/build-precache.js - do not edit, run `npm run build` instead
+self.__PRECACHE_MANIFEST = {
+    "version": "de9cf512",
+    "entries": [
+        {"url":"./","revision":"57c2987b7d60878c"},
+        {"url":"./app.js","revision":"5e9ce2251de273d4"},
+        {"url":"./i18n.js","revision":"a7daf27a58d0a247"},
+        {"url":"./icons/icon-128.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-144.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-152.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-192.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-384.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-512.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-72.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./icons/icon-96.png","revision":"1e2bc4e320093fe3"},
+        {"url":"./index.html","revision":"57c2987b7d60878c"},
+        {"url":"./manifest-playground.js","revision":"834c4ec79ce0aaf9"},
+        {"url":"./manifest-validator.js","revision":"43abd54ce6d38d77"},
+        {"url":"./manifest.json","revision":"352bbbe2cce603e6"},
+        {"url":"./notes-sync.js","revision":"f74537dd9c9f3d87"},
+        {"url":"./offline.html","revision":"e9991f442118b917"},
+        {"url":"./offline.js","revision":"bded47b3266f53ff"},
+        {"url":"./styles.css","revision":"8b7b5bb3ac0b567a"},
+        {"url":"./sw/idb.js","revision":"e79043969ed8ca0c"},
+        {"url":"./telemetry.js","revision":"8c259a2148d097c7"}
+    ]
+};
@@ -0,0 +1,33 @@
+/**
+ * Precache configuration for scripts/build-precache.js
+ * Globs are matched against paths relative to the project root.
+ */
+module.exports = {
+    // Files both service workers download during install
+    include: [
+        'index.html',
+        'offline.html',
+        'offline.js',
+        'styles.css',
+        'app.js',
+        'manifest-validator.js',
+        'manifest-playground.js',
+        'sw/idb.js',
+        'telemetry.js',
+        'notes-sync.js',
+        'i18n.js',
+        'manifest.json',
+        'icons/*.png'
+    ],
+
+    exclude: [
+        '**/*.map'
+    ],
+
+    // Extra URLs that are served by one of the files above
+    aliases: {
+        './': 'index.html'
+    },
+
+    output: 'precache-manifest.js'
+};
@@ -0,0 +1,75 @@
+/**
+ * Write brotli and gzip copies of the static files next to the originals
+ *
+ *   npm run build:compress
+ *   npm run build:compress -- --clean    (remove them again)
+ *
+ * server.js serves `file.br` / `file.gz` instead of compressing on the fly when they
+ * exist and are newer than `file`. Which files and types qualify is set in compression.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FILE_EXTENSIONS, createCompression, compressBuffer } = require('../server/compression');
+const { createMatcher, listFiles } = require('../server/files');
+const { getContentType } = require('../server/static');
+
+const ROOT = path.join(__dirname, '..');
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function findSources(config) {
+    const matches = createMatcher(config.build.include, config.build.exclude || []);
+    const compression = createCompression(config);
+    return listFiles(ROOT)
+        .filter(matches)
+        .filter((file) => compression.isCompressible(getContentType(file), fs.statSync(path.join(ROOT, file)).size))
+        .sort();
+}
+
+async function build(config) {
+    const files = findSources(config);
+    const compression = createCompression(config);
+    let before = 0;
+    let after = 0;
+
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file));
+        const sizes = [];
+        for (const encoding of compression.encodings) {
+            const body = await compressBuffer(source, encoding, 'max');
+            fs.writeFileSync(path.join(ROOT, file + FILE_EXTENSIONS[encoding]), body);
+            sizes.push(`${encoding} ${formatSize(body.length)}`);
+            if (encoding === compression.encodings[0]) {
+                after += body.length;
+            }
+        }
+        before += source.length;
+        console.log(`   ${file}: ${formatSize(source.length)} -> ${sizes.join(', ')}`);
+    }
+
+    console.log(`🗜️  Compressed ${files.length} files: ${formatSize(before)} -> ${formatSize(after)} (${compression.encodings[0]})`);
+}
+
+function clean() {
+    const extensions = Object.values(FILE_EXTENSIONS);
+    // Only siblings of a real source file, so unrelated archives are left alone
+    const removed = listFiles(ROOT).filter((file) => extensions.includes(path.extname(file))
+        && fs.existsSync(path.join(ROOT, file.slice(0, -path.extname(file).length))));
+    removed.forEach((file) => fs.unlinkSync(path.join(ROOT, file)));
+    console.log(`🧹 Removed ${removed.length} precompressed files`);
+}
+
+if (require.main === module) {
+    const config = require(path.join(ROOT, 'compression.config.js'));
+    if (process.argv.includes('--clean')) {
+        clean();
+    } else {
+        build(config).catch((error) => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+    }
+}
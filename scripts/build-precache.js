@@ -0,0 +1,191 @@
+/**
+ * Build the precache manifest shared by sw.js and sw-workbox.js
+ *
+ *   npm run build
+ *   npm run build -- --check    (exit non-zero if precache-manifest.js is out of date)
+ *
+ * Scans the project with the include/exclude globs in precache.config.js,
+ * hashes every matching file, and writes precache-manifest.js:
+ *
+ *   self.__PRECACHE_MANIFEST = {
+ *       version: '<hash of all revisions>',
+ *       entries: [{ url: './app.js', revision: '<hash of app.js>' }, ...]
+ *   };
+ *
+ * The workers load it with importScripts(). Because the file only changes when
+ * a precached file does, browsers see a new worker exactly when content changed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMatcher, listFiles } = require('../server/files');
+
+const ROOT = path.join(__dirname, '..');
+
+// ============================================
+// Hashing
+// ============================================
+function hashFile(root, file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(path.join(root, file))).digest('hex').slice(0, 16);
+}
+
+function buildManifest(config, root = ROOT) {
+    const matches = createMatcher(config.include, config.exclude || []);
+    const files = listFiles(root).filter(matches).sort();
+    const revisions = new Map(files.map((file) => [file, hashFile(root, file)]));
+
+    const entries = files.map((file) => ({ url: `./${file}`, revision: revisions.get(file) }));
+    Object.entries(config.aliases || {}).forEach(([url, file]) => {
+        if (!revisions.has(file)) {
+            throw new Error(`Alias ${url} points at ${file}, which is not precached`);
+        }
+        entries.unshift({ url, revision: revisions.get(file) });
+    });
+
+    const version = crypto.createHash('sha256')
+        .update(entries.map((entry) => `${entry.url} ${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 8);
+
+    return { version, entries };
+}
+
+// ============================================
+// Output & Change Report
+// ============================================
+function readPreviousManifest(outputPath) {
+    try {
+        const sandbox = { self: {} };
+        vm.runInNewContext(fs.readFileSync(outputPath, 'utf8'), sandbox);
+        return sandbox.self.__PRECACHE_MANIFEST || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function diffManifests(previous, next) {
+    const before = new Map((previous ? previous.entries : []).map((entry) => [entry.url, entry.revision]));
+    const after = new Map(next.entries.map((entry) => [entry.url, entry.revision]));
+
+    return {
+        added: [...after.keys()].filter((url) => !before.has(url)),
+        changed: [...after.keys()].filter((url) => before.has(url) && before.get(url) !== after.get(url)),
+        removed: [...before.keys()].filter((url) => !after.has(url))
+    };
+}
+
+function renderManifest(manifest) {
+    // One entry per line keeps the diff readable when a single file changes
+    const entries = manifest.entries.map((entry) => `        ${JSON.stringify(entry)}`).join(',\n');
+    return [
+        '// Generated by scripts/build-precache.js - do not edit, run `npm run build` instead',
+        'self.__PRECACHE_MANIFEST = {',
+        `    "version": ${JSON.stringify(manifest.version)},`,
+        '    "entries": [',
+        entries,
+        '    ]',
+        '};',
+        ''
+    ].join('\n');
+}
+
+function isUpToDate(outputPath, source) {
+    return fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf8') === source;
+}
+
+/**
+ * Write the manifest file. Returns false (and leaves the file alone) when nothing changed,
+ * so file watchers only see a change when there is one.
+ */
+function writeManifest(outputPath, manifest) {
+    const source = renderManifest(manifest);
+    if (isUpToDate(outputPath, source)) {
+        return false;
+    }
+    fs.writeFileSync(outputPath, source);
+    return true;
+}
+
+function loadConfig(root) {
+    // Not cached by require(), so edits to the config are picked up by long-running callers
+    const configPath = path.join(root, 'precache.config.js');
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+}
+
+/**
+ * Build and write the manifest described by `root`'s precache.config.js
+ * (the project by default; server/live-reload.js passes the directory it serves)
+ */
+function buildPrecache(root = ROOT) {
+    const config = loadConfig(root);
+    const outputPath = path.join(root, config.output);
+
+    const previous = readPreviousManifest(outputPath);
+    const manifest = buildManifest(config, root);
+    const written = writeManifest(outputPath, manifest);
+
+    return { manifest, previous, written, changes: diffManifests(previous, manifest) };
+}
+
+/**
+ * Compare the manifest on disk with a fresh build without writing anything
+ */
+function checkPrecache(root = ROOT) {
+    const config = loadConfig(root);
+    const outputPath = path.join(root, config.output);
+
+    const previous = readPreviousManifest(outputPath);
+    const manifest = buildManifest(config, root);
+
+    return {
+        manifest,
+        upToDate: isUpToDate(outputPath, renderManifest(manifest)),
+        changes: diffManifests(previous, manifest)
+    };
+}
+
+function printChanges(changes) {
+    changes.added.forEach((url) => console.log(`   + ${url}`));
+    changes.changed.forEach((url) => console.log(`   ~ ${url}`));
+    changes.removed.forEach((url) => console.log(`   - ${url}`));
+}
+
+function check() {
+    const { manifest, upToDate, changes } = checkPrecache();
+    if (upToDate) {
+        console.log(`✅ Precache manifest is up to date (version ${manifest.version})`);
+        return;
+    }
+    console.error(`❌ Precache manifest is out of date, run \`npm run build\` (version would be ${manifest.version})`);
+    printChanges(changes);
+    process.exitCode = 1;
+}
+
+function main() {
+    const { manifest, previous, changes } = buildPrecache();
+
+    console.log(`📦 Precache manifest: ${manifest.entries.length} entries, version ${manifest.version}`);
+    if (previous && previous.version === manifest.version) {
+        console.log('   No changes since the previous build');
+        return;
+    }
+    printChanges(changes);
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--check')) {
+        check();
+    } else {
+        main();
+    }
+}
+
+module.exports = {
+    buildManifest,
+    buildPrecache,
+    checkPrecache,
+    diffManifests
+};
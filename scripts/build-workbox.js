@@ -0,0 +1,87 @@
+/**
+ * Copy the Workbox runtime into the project, so sw-workbox.js can load it from this origin
+ *
+ *   npm run build:workbox
+ *   npm run build:workbox -- --clean    (remove it again)
+ *
+ * Downloads workbox-sw.js and the modules sw-workbox.js uses (dev and prod builds) from the
+ * Workbox CDN into workbox-v<version>/. The version is read from WORKBOX_VERSION in
+ * sw-workbox.js, so the two can't drift apart. Run it once on a machine with internet
+ * access; the browsers that use the app never need to reach the CDN.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const CDN_URL = 'https://storage.googleapis.com/workbox-cdn/releases';
+
+// The modules sw-workbox.js touches; workbox-sw loads them on first use
+const MODULES = [
+    'workbox-core',
+    'workbox-precaching',
+    'workbox-routing',
+    'workbox-strategies',
+    'workbox-expiration',
+    'workbox-cacheable-response',
+    'workbox-background-sync'
+];
+
+function readWorkboxVersion() {
+    const source = fs.readFileSync(path.join(ROOT, 'sw-workbox.js'), 'utf8');
+    const match = /const WORKBOX_VERSION = '([^']+)'/.exec(source);
+    if (!match) {
+        throw new Error('WORKBOX_VERSION not found in sw-workbox.js');
+    }
+    return match[1];
+}
+
+function listFiles() {
+    return ['workbox-sw.js'].concat(...MODULES.map((name) => [`${name}.dev.js`, `${name}.prod.js`]));
+}
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function build(version) {
+    const outDir = path.join(ROOT, `workbox-v${version}`);
+
+    // Download everything first: a half-written copy would stop the worker falling back to the CDN
+    const files = [];
+    for (const file of listFiles()) {
+        files.push({ file, body: await download(`${CDN_URL}/${version}/${file}`) });
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    let total = 0;
+    for (const { file, body } of files) {
+        fs.writeFileSync(path.join(outDir, file), body);
+        total += body.length;
+        console.log(`   ${file}: ${(body.length / 1024).toFixed(1)} KB`);
+    }
+
+    console.log(`📦 Copied Workbox ${version} to ${path.relative(ROOT, outDir)}/ (${(total / 1024).toFixed(1)} KB)`);
+}
+
+function clean(version) {
+    const outDir = path.join(ROOT, `workbox-v${version}`);
+    fs.rmSync(outDir, { recursive: true, force: true });
+    console.log(`🧹 Removed ${path.relative(ROOT, outDir)}/`);
+}
+
+if (require.main === module) {
+    const version = readWorkboxVersion();
+    if (process.argv.includes('--clean')) {
+        clean(version);
+    } else {
+        build(version).catch((error) => {
+            console.error(`❌ Could not copy Workbox: ${error.message}`);
+            process.exitCode = 1;
+        });
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Local stand-in push service for offline development
+ *
+ * Acts as both the push service and a fake browser: it creates a subscription
+ * (P-256 key pair + auth secret), registers it with the demo server, and then
+ * verifies the VAPID JWT and decrypts every aes128gcm message it receives.
+ *
+ *   node scripts/mock-push-service.js            # listens on 8090, registers with http://localhost:8080
+ *   node scripts/send-push.js "Hello"            # or POST /api/push/send on the demo server
+ *
+ * Options (env): MOCK_PUSH_PORT, APP_URL
+ *
+ * To route real browser subscriptions here too, start server.js with
+ * PUSH_SERVICE_URL=http://localhost:8090. Those messages can't be decrypted
+ * (only the browser has the keys) but their headers and JWT are still checked.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { deriveContentKeys, publicKeyToJwk } = require('../server/web-push');
+
+const PORT = Number(process.env.MOCK_PUSH_PORT) || 8090;
+const APP_URL = process.env.APP_URL || 'http://localhost:8080';
+
+// ============================================
+// Fake User Agent Subscription
+// ============================================
+const userAgentKeys = crypto.createECDH('prime256v1');
+userAgentKeys.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const subscriptionId = crypto.randomBytes(8).toString('hex');
+
+const subscription = {
+    endpoint: `http://localhost:${PORT}/push/${subscriptionId}`,
+    expirationTime: null,
+    keys: {
+        p256dh: userAgentKeys.getPublicKey().toString('base64url'),
+        auth: authSecret.toString('base64url')
+    }
+};
+
+const received = [];
+
+// ============================================
+// VAPID Verification
+// ============================================
+function verifyVapid(authorization, audience) {
+    const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(authorization || '');
+    if (!match) {
+        return 'missing or malformed vapid Authorization header';
+    }
+
+    const [, token, publicKey] = match;
+    const [header, claims, signature] = token.split('.');
+    const verified = crypto.verify(
+        'sha256',
+        Buffer.from(`${header}.${claims}`),
+        {
+            key: crypto.createPublicKey({ key: publicKeyToJwk(publicKey), format: 'jwk' }),
+            dsaEncoding: 'ieee-p1363'
+        },
+        Buffer.from(signature, 'base64url')
+    );
+    if (!verified) {
+        return 'JWT signature does not match k=';
+    }
+
+    const { aud, exp, sub } = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+    if (aud !== audience) {
+        return `JWT aud is ${aud}, expected ${audience}`;
+    }
+    if (!exp || exp * 1000 < Date.now() || exp * 1000 > Date.now() + 24 * 60 * 60 * 1000) {
+        return 'JWT exp is missing, expired, or more than 24 hours ahead';
+    }
+    if (!/^(mailto:|https:)/.test(sub || '')) {
+        return 'JWT sub must be a mailto: or https: URL';
+    }
+    return null;
+}
+
+// ============================================
+// aes128gcm Decryption
+// ============================================
+function decrypt(body) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+
+    const { key, nonce } = deriveContentKeys({
+        sharedSecret: userAgentKeys.computeSecret(serverPublicKey),
+        authSecret,
+        userAgentPublicKey: userAgentKeys.getPublicKey(),
+        serverPublicKey,
+        salt
+    });
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+    // Strip padding: trailing zeros, then the 0x02 last-record delimiter
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) end--;
+    if (padded[end] !== 0x02) {
+        throw new Error('Missing last-record delimiter');
+    }
+    return padded.subarray(0, end).toString('utf8');
+}
+
+// ============================================
+// Push Service Endpoint
+// ============================================
+function handlePush(req, res, body) {
+    const problem = verifyVapid(req.headers.authorization, `http://${req.headers.host}`);
+    if (problem) {
+        console.log(`[MockPush] ❌ Rejected: ${problem}`);
+        res.writeHead(403);
+        res.end(problem);
+        return;
+    }
+    if (!req.headers.ttl) {
+        res.writeHead(400);
+        res.end('Missing TTL header');
+        return;
+    }
+
+    const message = {
+        receivedAt: new Date().toISOString(),
+        path: req.url,
+        ttl: Number(req.headers.ttl),
+        urgency: req.headers.urgency || 'normal',
+        topic: req.headers.topic || null,
+        payload: null
+    };
+
+    if (body.length > 0) {
+        if (req.headers['content-encoding'] !== 'aes128gcm') {
+            res.writeHead(415);
+            res.end('Payloads must use Content-Encoding: aes128gcm');
+            return;
+        }
+        if (req.url === `/push/${subscriptionId}`) {
+            try {
+                message.payload = decrypt(body);
+            } catch (error) {
+                console.log(`[MockPush] ❌ Decryption failed: ${error.message}`);
+                res.writeHead(400);
+                res.end('Decryption failed');
+                return;
+            }
+        } else {
+            message.payload = `<${body.length} encrypted bytes for a browser subscription>`;
+        }
+    }
+
+    received.push(message);
+    console.log(`[MockPush] ✅ ${message.path} ttl=${message.ttl} urgency=${message.urgency}`);
+    console.log(`           ${message.payload === null ? '(no payload)' : message.payload}`);
+
+    res.writeHead(201, { Location: `/messages/${received.length - 1}` });
+    res.end();
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        if (req.method === 'POST' && req.url.startsWith('/push/')) {
+            handlePush(req, res, Buffer.concat(chunks));
+        } else if (req.method === 'GET' && req.url === '/messages') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(received, null, 2));
+        } else {
+            res.writeHead(404);
+            res.end('404 Not Found');
+        }
+    });
+});
+
+server.listen(PORT, async () => {
+    console.log(`📮 Mock push service running at http://localhost:${PORT}`);
+    console.log(`   Received messages: http://localhost:${PORT}/messages`);
+
+    try {
+        const response = await fetch(`${APP_URL}/api/push/subscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscription)
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        console.log(`   Registered subscription with ${APP_URL}: ${subscription.endpoint}`);
+    } catch (error) {
+        console.error(`   Could not register with ${APP_URL} (${error.message}) - is server.js running?`);
+    }
+});
+
+// Clean up our subscription so later sends don't hit a dead endpoint
+process.on('SIGINT', async () => {
+    try {
+        await fetch(`${APP_URL}/api/push/subscribe`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+    } finally {
+        process.exit(0);
+    }
+});
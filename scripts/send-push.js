@@ -0,0 +1,64 @@
+/**
+ * Send a test push message to every stored subscription
+ *
+ *   node scripts/send-push.js "Hello from the server"
+ *   node scripts/send-push.js --json '{"title":"Hi","body":"JSON payload"}'
+ *   node scripts/send-push.js --ttl 60 --urgency high "Short-lived message"
+ *
+ * Uses the same key and subscription files as server.js, so the server doesn't need to be running.
+ * Set PUSH_SERVICE_URL to deliver to a local stand-in push service (see mock-push-service.js).
+ */
+
+const { createPushService } = require('../server/push');
+
+function parseArgs(argv) {
+    const options = { payload: 'Test push from PWA Get Started' };
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--json':
+                options.payload = JSON.parse(argv[++i]);
+                options.isJson = true;
+                break;
+            case '--ttl':
+                options.ttl = Number(argv[++i]);
+                break;
+            case '--urgency':
+                options.urgency = argv[++i];
+                break;
+            case '--topic':
+                options.topic = argv[++i];
+                break;
+            default:
+                rest.push(argv[i]);
+        }
+    }
+
+    if (rest.length > 0 && !options.isJson) {
+        options.payload = rest.join(' ');
+    }
+    return options;
+}
+
+async function main() {
+    const { payload, ttl, urgency, topic } = parseArgs(process.argv.slice(2));
+    const push = createPushService();
+
+    if (push.store.list().length === 0) {
+        console.log('No subscriptions yet - subscribe from the app (or run mock-push-service.js) first.');
+        return;
+    }
+
+    const summary = await push.broadcast(payload, { ttl, urgency, topic });
+    summary.results.forEach((result) => {
+        console.log(`  ${result.error ? '❌' : result.statusCode < 300 ? '✅' : '⚠️'} ${result.endpoint}`
+            + ` ${result.error || result.statusCode}`);
+    });
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
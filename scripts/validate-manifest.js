@@ -0,0 +1,43 @@
+/**
+ * Validate manifest.json from the command line with the same checks as the in-app checklist
+ *
+ *   node scripts/validate-manifest.js [path/to/manifest.json] [--strict]
+ *
+ * Icons and screenshots are read from disk relative to the manifest.
+ * Exits with 1 when there are errors (or warnings, with --strict).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { validateManifest, parseManifest } = require('../manifest-validator');
+
+const ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+async function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const manifestPath = path.resolve(args.find((arg) => !arg.startsWith('--')) || path.join(__dirname, '..', 'manifest.json'));
+
+    const { manifest, issues: parseIssues } = parseManifest(fs.readFileSync(manifestPath, 'utf8'));
+    const result = manifest
+        ? await validateManifest(manifest, {
+            manifestUrl: pathToFileURL(manifestPath).href,
+            fetchBytes: (url) => fs.promises.readFile(fileURLToPath(url))
+        })
+        : { valid: false, issues: parseIssues, counts: { error: 1, warning: 0, info: 0 } };
+
+    console.log(`🔍 ${path.relative(process.cwd(), manifestPath) || manifestPath}`);
+    result.issues.forEach(({ severity, member, message }) => {
+        console.log(`   ${ICONS[severity]} ${member ? `${member}: ` : ''}${message}`);
+    });
+
+    const { error, warning, info } = result.counts;
+    console.log(`   ${error} error(s), ${warning} warning(s), ${info} info`);
+    process.exitCode = error > 0 || (strict && warning > 0) ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -1,43 +1,116 @@
 const http = require('http');
-const fs = require('fs');
-const path = require('path');
-
-const PORT = 8080;
-
-const mimeTypes = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-    '.webp': 'image/webp'
-};
-
-const server = http.createServer((req, res) => {
-    let filePath = '.' + (req.url === '/' ? '/index.html' : req.url);
-    const ext = path.extname(filePath).toLowerCase();
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-
-    fs.readFile(filePath, (err, content) => {
-        if (err) {
-            if (err.code === 'ENOENT') {
-                res.writeHead(404);
-                res.end('404 Not Found');
-            } else {
-                res.writeHead(500);
-                res.end('Server Error');
-            }
-        } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content);
-        }
-    });
+const { parseServerConfig, HELP } = require('./server/config');
+const { createAccessLogger } = require('./server/access-log');
+const { createPushService } = require('./server/push');
+const { createTelemetryService } = require('./server/telemetry');
+const { createNotesService } = require('./server/notes');
+const { createCachePolicy } = require('./server/cache-policy');
+const { createCompression } = require('./server/compression');
+const { createStaticHandler } = require('./server/static');
+const { createAppShellHandler } = require('./server/app-shell');
+const { createLiveReload } = require('./server/live-reload');
+const { createAssetVersions } = require('./server/asset-versions');
+const { createWhatsNewService } = require('./server/whats-new');
+const { createLocalizedManifest } = require('./server/i18n');
+
+let config;
+try {
+    config = parseServerConfig(process.argv.slice(2), process.env);
+} catch (error) {
+    console.error(error.isUsageError ? error.message : error);
+    process.exit(2);
+}
+if (config.help) {
+    console.log(HELP);
+    process.exit(0);
+}
+
+const logRequest = createAccessLogger(config.logFormat);
+const push = createPushService();
+const telemetry = createTelemetryService();
+const notes = createNotesService();
+const whatsNew = createWhatsNewService();
+const cachePolicy = createCachePolicy();
+const staticFiles = createStaticHandler({
+    root: config.root,
+    spaFallback: config.spaFallback,
+    cachePolicy,
+    compression: config.compression ? createCompression() : null
+});
+const appShell = createAppShellHandler({ root: staticFiles.root });
+const localizedManifest = createLocalizedManifest({ root: staticFiles.root, cachePolicy });
+const assetVersions = createAssetVersions({
+    root: staticFiles.root,
+    spaFallback: staticFiles.spaFallback,
+    localizedManifest
+});
+const liveReload = config.dev ? createLiveReload({ root: staticFiles.root }) : null;
+
+const server = http.createServer(async (req, res) => {
+    logRequest(req, res);
+
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        res.writeHead(400);
+        res.end('400 Bad Request');
+        return;
+    }
+
+    if (liveReload && liveReload.handleRequest(req, res, url.pathname)) {
+        return;
+    }
+    if (await push.handleRequest(req, res, url.pathname)) {
+        return;
+    }
+    if (await telemetry.handleRequest(req, res, url.pathname)) {
+        return;
+    }
+    if (await notes.handleRequest(req, res, url)) {
+        return;
+    }
+    if (whatsNew.handleRequest(req, res, url)) {
+        return;
+    }
+    // What the workers compare their caches against (sw/delta-update.js)
+    if (await assetVersions.handleRequest(req, res, url.pathname)) {
+        return;
+    }
+
+    // manifest.json in the locale Accept-Language or ?lang= asks for (server/i18n.js)
+    if (await localizedManifest.handleRequest(req, res, url)) {
+        return;
+    }
+
+    // Streaming-mode navigation preloads only want the page content (sw/navigation.js)
+    if (await appShell.handleRequest(req, res, url)) {
+        return;
+    }
+
+    await staticFiles.handleRequest(req, res, url);
 });
 
-server.listen(PORT, () => {
-    console.log(`🚀 PWA Demo Server running at http://localhost:${PORT}`);
+server.listen(config.port, config.host || undefined, () => {
+    const { port } = server.address();
+    console.log(`🚀 PWA Demo Server running at http://${config.host || 'localhost'}:${port}`);
+    console.log(`📁 Serving ${staticFiles.root}`);
+    if (push.endpointOverride) {
+        console.log(`🔔 Push messages are sent to ${push.endpointOverride}`);
+    }
+    if (staticFiles.spaFallback) {
+        console.log('🧭 SPA fallback: unknown pages are answered with index.html');
+    }
+    if (liveReload) {
+        console.log('👀 Dev mode: watching for changes, open pages reload automatically');
+    }
     console.log('Press Ctrl+C to stop');
 });
+
+process.on('SIGINT', () => {
+    if (liveReload) {
+        liveReload.close();
+    }
+    server.close();
+    process.exit(0);
+});
@@ -0,0 +1,102 @@
+/**
+ * Request access log for the demo server
+ *
+ *   dev       GET /app.js 200 br 8.7 KB 3ms  (plus `preload=<value>` for navigation preloads)
+ *   combined  Apache/nginx "combined" format
+ *   json      one JSON object per line
+ *   none      no logging
+ */
+
+function formatSize(bytes) {
+    if (bytes === undefined) return '-';
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// 10/Oct/2000:13:55:36 +0000
+function formatCommonLogDate(date) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    return `${pad(date.getUTCDate())}/${months[date.getUTCMonth()]}/${date.getUTCFullYear()}:`
+        + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+function statusIcon(statusCode) {
+    if (statusCode >= 500) return '❌';
+    if (statusCode >= 400) return '⚠️';
+    if (statusCode === 304) return '♻️';
+    return '✅';
+}
+
+const formatters = {
+    dev: (entry) => {
+        const encoding = entry.encoding ? ` ${entry.encoding}` : '';
+        const preload = entry.preload ? ` preload=${entry.preload}` : '';
+        return `${statusIcon(entry.status)} ${entry.method} ${entry.url} ${entry.status}${encoding} `
+            + `${formatSize(entry.bytes)} ${entry.durationMs}ms${preload}`;
+    },
+    combined: (entry) => [
+        entry.remoteAddress || '-',
+        '-',
+        '-',
+        `[${formatCommonLogDate(entry.time)}]`,
+        JSON.stringify(`${entry.method} ${entry.url} HTTP/${entry.httpVersion}`),
+        entry.status,
+        entry.bytes === undefined ? '-' : entry.bytes,
+        JSON.stringify(entry.referer || '-'),
+        JSON.stringify(entry.userAgent || '-')
+    ].join(' '),
+    json: (entry) => JSON.stringify({ ...entry, time: entry.time.toISOString() })
+};
+
+/**
+ * Returns `log(req, res)`, to be called as soon as a request arrives
+ */
+function createAccessLogger(format = 'none', write = (line) => console.log(line)) {
+    const formatter = formatters[format];
+    if (!formatter) {
+        return () => {};
+    }
+
+    return (req, res) => {
+        const time = new Date();
+        const started = process.hrtime.bigint();
+
+        // Headers passed straight to writeHead() are invisible to getHeader(), so keep a copy
+        let written = {};
+        const writeHead = res.writeHead;
+        res.writeHead = function (statusCode, ...args) {
+            const headers = args.find((arg) => arg && typeof arg === 'object');
+            if (headers) {
+                written = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+            }
+            return writeHead.call(this, statusCode, ...args);
+        };
+        const getHeader = (name) => (res.getHeader(name) !== undefined ? res.getHeader(name) : written[name]);
+
+        res.on('finish', () => {
+            const contentLength = getHeader('content-length');
+            write(formatter({
+                time,
+                method: req.method,
+                url: req.url,
+                httpVersion: req.httpVersion,
+                status: res.statusCode,
+                bytes: contentLength === undefined ? undefined : Number(contentLength),
+                encoding: getHeader('content-encoding'),
+                durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+                remoteAddress: req.socket.remoteAddress,
+                referer: req.headers.referer,
+                userAgent: req.headers['user-agent'],
+                // Set by the service workers' navigation preload requests
+                preload: req.headers['service-worker-navigation-preload']
+            }));
+        });
+    };
+}
+
+module.exports = {
+    createAccessLogger
+};
@@ -0,0 +1,87 @@
+/**
+ * App shell content for streamed navigations
+ *
+ * In streaming mode the service workers send the cached top of index.html right away
+ * and stream the rest in from the network (sw/navigation.js). They ask for just that
+ * part through the navigation preload header:
+ *
+ *   Service-Worker-Navigation-Preload: stream
+ *
+ * which this handler answers with the markup between the app-shell:content markers,
+ * flagged with `X-App-Shell: content`. Any other value ('full') gets the whole page from
+ * the static handler.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveSafePath } = require('./static');
+
+const PRELOAD_HEADER = 'service-worker-navigation-preload';
+const CONTENT_START = /<!-- app-shell:content\b[^>]*-->/;
+const CONTENT_END = '<!-- /app-shell:content -->';
+
+/**
+ * The markup between the content markers, or null when the page has none
+ */
+function extractShellContent(html) {
+    const start = CONTENT_START.exec(html);
+    const end = html.indexOf(CONTENT_END);
+    if (!start || end < start.index) {
+        return null;
+    }
+    return html.slice(start.index + start[0].length, end);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - directory the static handler serves
+ */
+function createAppShellHandler({ root }) {
+    async function readPage(pathname) {
+        const filePath = resolveSafePath(root, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+        if (!filePath || path.extname(filePath) !== '.html') {
+            return null;
+        }
+        try {
+            return await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Answer a streaming-mode preload request. Returns false to leave it to the static handler.
+     */
+    async function handleRequest(req, res, url) {
+        if (req.headers[PRELOAD_HEADER] !== 'stream' || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            return false;
+        }
+
+        const html = await readPage(url.pathname);
+        const content = html === null ? null : extractShellContent(html);
+        if (content === null) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(content),
+            'Cache-Control': 'no-cache',
+            // Same URL, different body: never hand this to a request without the header
+            'Vary': 'Service-Worker-Navigation-Preload',
+            'X-App-Shell': 'content'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+        return true;
+    }
+
+    return {
+        handleRequest
+    };
+}
+
+module.exports = {
+    PRELOAD_HEADER,
+    createAppShellHandler,
+    extractShellContent
+};
@@ -0,0 +1,96 @@
+/**
+ * Asset versions for delta cache updates (sw/delta-update.js)
+ *
+ *   GET /api/version   -> { version, fallback, assets: { '/app.js': { etag, size }, ... } }
+ *
+ * Lists every file the static handler serves with the same ETag it sends, so a worker can
+ * compare the ETags of the responses it cached and refetch only what changed. A cached URL
+ * that isn't listed (and isn't answered by the SPA fallback) no longer exists on the server.
+ * `version` is a hash of all ETags: when it matches, nothing changed.
+ *
+ * manifest.json is served per locale (server/i18n.js), so its entry also carries
+ * `variants: { en: etag, th: etag, ... }` with the ETag of each locale's copy.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getEtag } = require('./cache-policy');
+const { FILE_EXTENSIONS } = require('./compression');
+const { listFiles } = require('./files');
+const { sendJson, sendError } = require('./http-helpers');
+const { MANIFEST_PATH } = require('./i18n');
+
+const VERSION_PATH = '/api/version';
+
+/**
+ * @param {object} options
+ * @param {string} options.root - directory the static handler serves
+ * @param {boolean} [options.spaFallback] - whether unknown pages get index.html
+ * @param {object} [options.localizedManifest] - from createLocalizedManifest()
+ */
+function createAssetVersions({ root, spaFallback = false, localizedManifest = null }) {
+    // Precompressed copies are served in place of their source file, never under their own URL
+    const precompressed = Object.values(FILE_EXTENSIONS);
+
+    async function describeAssets() {
+        const files = listFiles(root)
+            // Same rule as resolveSafePath(): dotfiles are never served, except under .well-known
+            .filter((file) => !file.split('/').some((part) => part.startsWith('.') && part !== '.well-known'))
+            .filter((file) => !precompressed.includes(path.extname(file)))
+            .sort();
+
+        const assets = {};
+        const hash = crypto.createHash('sha1');
+        for (const file of files) {
+            const filePath = path.join(root, file);
+            const stats = await fs.promises.stat(filePath);
+            const etag = await getEtag(filePath, stats);
+            // Keyed like URL pathnames, so the worker can look entries up directly
+            assets[`/${file.split('/').map(encodeURIComponent).join('/')}`] = { etag, size: stats.size };
+            hash.update(`${file} ${etag}\n`);
+        }
+
+        const variants = localizedManifest && await localizedManifest.describeVariants();
+        if (variants && assets[MANIFEST_PATH]) {
+            assets[MANIFEST_PATH].variants = variants;
+            Object.entries(variants).forEach(([locale, etag]) => hash.update(`${MANIFEST_PATH} ${locale} ${etag}\n`));
+        }
+
+        return {
+            version: hash.digest('base64url').slice(0, 16),
+            fallback: spaFallback ? '/index.html' : null,
+            assets
+        };
+    }
+
+    /**
+     * Handle GET /api/version. Returns false when the path is not ours.
+     */
+    async function handleRequest(req, res, pathname) {
+        if (pathname !== VERSION_PATH) {
+            return false;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'GET' });
+            return true;
+        }
+
+        try {
+            sendJson(res, 200, await describeAssets());
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        describeAssets,
+        handleRequest
+    };
+}
+
+module.exports = {
+    VERSION_PATH,
+    createAssetVersions
+};
@@ -0,0 +1,99 @@
+/**
+ * Conditional requests and Cache-Control for the demo server's static files
+ *
+ *   ETag            strong, from a hash of the file's contents
+ *   Last-Modified   the file's mtime
+ *   Cache-Control   from the first rule in cache-policy.config.js whose glob matches
+ *
+ * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./files');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'cache-policy.config.js');
+
+// path -> { mtimeMs, size, etag }, so unchanged files are only hashed once
+const etagCache = new Map();
+
+/**
+ * @param {object} [config] - defaults to cache-policy.config.js
+ * @returns {{ cacheControlFor: function(string): string, serviceWorkerAllowed: string|null }}
+ */
+function createCachePolicy(config = require(DEFAULT_CONFIG_PATH)) {
+    const rules = (config.rules || []).map((rule) => ({
+        patterns: [].concat(rule.match).map(globToRegExp),
+        cacheControl: rule.cacheControl
+    }));
+    const fallback = config.default || 'no-cache';
+
+    return {
+        cacheControlFor(relativePath) {
+            const rule = rules.find(({ patterns }) => patterns.some((re) => re.test(relativePath)));
+            return rule ? rule.cacheControl : fallback;
+        },
+        serviceWorkerAllowed: process.env.SERVICE_WORKER_ALLOWED || config.serviceWorkerAllowed || null
+    };
+}
+
+/**
+ * Strong ETag for a file's contents, hashed by streaming the file
+ */
+async function getEtag(filePath, stats) {
+    const cached = etagCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.etag;
+    }
+
+    const hash = crypto.createHash('sha1');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    const etag = `"${hash.digest('base64url')}"`;
+    etagCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, etag });
+    return etag;
+}
+
+/**
+ * Does the request's validator still match? Then a 304 can be sent instead of the body.
+ */
+function isNotModified(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        // If-None-Match uses the weak comparison, so W/"x" matches "x"
+        const tags = ifNoneMatch.split(',').map((tag) => tag.trim().replace(/^W\//, ''));
+        return tags.includes('*') || tags.includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    if (!Number.isNaN(ifModifiedSince)) {
+        // HTTP dates have one-second precision
+        return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+    }
+    return false;
+}
+
+/**
+ * Validator and caching headers for a static file response
+ */
+function getCacheHeaders(policy, req, relativePath, etag, lastModified) {
+    const headers = {
+        'ETag': etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': policy.cacheControlFor(relativePath)
+    };
+    // Browsers mark the fetch of a service worker script with "Service-Worker: script"
+    if (policy.serviceWorkerAllowed && req.headers['service-worker'] === 'script') {
+        headers['Service-Worker-Allowed'] = policy.serviceWorkerAllowed;
+    }
+    return headers;
+}
+
+module.exports = {
+    createCachePolicy,
+    getEtag,
+    isNotModified,
+    getCacheHeaders
+};
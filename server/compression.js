@@ -0,0 +1,158 @@
+/**
+ * gzip / brotli responses for the demo server's static files
+ *
+ * Content-Encoding is negotiated from Accept-Encoding (q-values included). Bodies come
+ * from a precompressed `file.br` / `file.gz` when one is on disk and up to date,
+ * otherwise they are compressed with zlib once per file version and kept in memory.
+ * Each encoding gets its own ETag (`"<hash>-br"`), so caches never mix up variants.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'compression.config.js');
+const MAX_CACHED_BODIES = 100;
+
+const FILE_EXTENSIONS = {
+    br: '.br',
+    gzip: '.gz'
+};
+
+const compressors = {
+    br: promisify(zlib.brotliCompress),
+    gzip: promisify(zlib.gzip)
+};
+
+/**
+ * zlib options per encoding. `level` is 'fast' for on-the-fly responses, 'max' for the build step.
+ */
+function getCompressorOptions(encoding, level) {
+    if (encoding === 'br') {
+        return {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: level === 'max' ? zlib.constants.BROTLI_MAX_QUALITY : 5
+            }
+        };
+    }
+    return { level: level === 'max' ? zlib.constants.Z_BEST_COMPRESSION : zlib.constants.Z_DEFAULT_COMPRESSION };
+}
+
+function compressBuffer(buffer, encoding, level = 'fast') {
+    return compressors[encoding](buffer, getCompressorOptions(encoding, level));
+}
+
+/**
+ * Pick the best of `supported` for an Accept-Encoding header, or null for identity
+ */
+function negotiateEncoding(acceptEncoding, supported) {
+    if (!acceptEncoding) {
+        return null;
+    }
+
+    const weights = new Map();
+    acceptEncoding.split(',').forEach((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        const q = qParam ? Number(qParam.slice(2)) : 1;
+        if (name) {
+            weights.set(name, Number.isNaN(q) ? 0 : q);
+        }
+    });
+
+    let best = null;
+    let bestWeight = 0;
+    supported.forEach((encoding) => {
+        const weight = weights.has(encoding) ? weights.get(encoding) : (weights.get('*') || 0);
+        // Strictly greater, so earlier entries in `supported` win ties
+        if (weight > bestWeight) {
+            best = encoding;
+            bestWeight = weight;
+        }
+    });
+    return best;
+}
+
+function typeMatches(pattern, contentType) {
+    const type = contentType.split(';')[0].trim();
+    return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+}
+
+/**
+ * The ETag of one encoded variant of a file
+ */
+function getVariantEtag(etag, encoding) {
+    return encoding ? `${etag.slice(0, -1)}-${encoding}"` : etag;
+}
+
+/**
+ * @param {object} [config] - defaults to compression.config.js
+ */
+function createCompression(config = require(DEFAULT_CONFIG_PATH)) {
+    const encodings = (config.encodings || ['br', 'gzip']).filter((encoding) => compressors[encoding]);
+    const types = config.types || [];
+    const threshold = config.threshold || 0;
+    // `${filePath}:${encoding}` -> { etag, body }, oldest first
+    const bodies = new Map();
+
+    function isCompressible(contentType, size) {
+        return size >= threshold && types.some((pattern) => typeMatches(pattern, contentType));
+    }
+
+    function remember(key, value) {
+        bodies.delete(key);
+        bodies.set(key, value);
+        if (bodies.size > MAX_CACHED_BODIES) {
+            bodies.delete(bodies.keys().next().value);
+        }
+    }
+
+    async function readPrecompressed(filePath, stats, encoding) {
+        if (!config.precompressed) {
+            return null;
+        }
+        try {
+            const variantPath = filePath + FILE_EXTENSIONS[encoding];
+            const variantStats = await fs.promises.stat(variantPath);
+            // A variant older than its source is stale; fall back to compressing on the fly
+            if (variantStats.mtimeMs < stats.mtimeMs) {
+                return null;
+            }
+            return await fs.promises.readFile(variantPath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The encoded body for a file version identified by `etag`
+     */
+    async function getEncodedBody(filePath, stats, etag, encoding) {
+        const key = `${filePath}:${encoding}`;
+        const cached = bodies.get(key);
+        if (cached && cached.etag === etag) {
+            return cached.body;
+        }
+
+        const body = await readPrecompressed(filePath, stats, encoding)
+            || await compressBuffer(await fs.promises.readFile(filePath), encoding);
+        remember(key, { etag, body });
+        return body;
+    }
+
+    return {
+        encodings,
+        isCompressible,
+        negotiate: (acceptEncoding) => negotiateEncoding(acceptEncoding, encodings),
+        getEncodedBody
+    };
+}
+
+module.exports = {
+    FILE_EXTENSIONS,
+    createCompression,
+    compressBuffer,
+    negotiateEncoding,
+    getVariantEtag
+};
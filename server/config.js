@@ -0,0 +1,106 @@
+/**
+ * Command line and environment configuration for server.js
+ *
+ *   node server.js [--port 8080] [--host 0.0.0.0] [--root .] [--log dev|combined|json|none]
+ *                  [--spa] [--no-compression] [--dev]
+ *
+ * Every flag has an environment variable; flags win over the environment.
+ */
+
+const HELP = `Usage: node server.js [options]
+
+  -p, --port <port>     Port to listen on                        PORT (default 8080)
+  -H, --host <host>     Interface to bind                        HOST (default: all)
+  -r, --root <dir>      Directory to serve                       STATIC_ROOT (default: project root)
+  -l, --log <format>    Access log: dev, combined, json or none  LOG_FORMAT (default none, dev with --dev)
+  -v, --verbose         Same as --log dev
+      --spa             Answer unknown pages with index.html     SPA_FALLBACK=1
+      --no-compression  Never gzip/brotli responses              COMPRESSION=off
+      --dev             Watch files and live reload the app      DEV=1
+  -h, --help            Show this help`;
+
+const LOG_FORMATS = ['dev', 'combined', 'json', 'none'];
+
+function usageError(message) {
+    return Object.assign(new Error(`${message}\n\n${HELP}`), { isUsageError: true });
+}
+
+/**
+ * @param {string[]} argv - arguments after the script name
+ * @param {object} env - usually process.env
+ */
+function parseServerConfig(argv, env = {}) {
+    const config = {
+        port: Number(env.PORT || 8080),
+        host: env.HOST || null,
+        root: env.STATIC_ROOT || null,
+        logFormat: env.LOG_FORMAT || null,
+        spaFallback: env.SPA_FALLBACK === '1',
+        compression: env.COMPRESSION !== 'off',
+        dev: env.DEV === '1',
+        help: false
+    };
+
+    const valueFor = (flag, i) => {
+        if (i >= argv.length || argv[i].startsWith('-')) {
+            throw usageError(`${flag} needs a value`);
+        }
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        switch (flag) {
+            case '-p':
+            case '--port':
+                config.port = Number(valueFor(flag, ++i));
+                break;
+            case '-H':
+            case '--host':
+                config.host = valueFor(flag, ++i);
+                break;
+            case '-r':
+            case '--root':
+                config.root = valueFor(flag, ++i);
+                break;
+            case '-l':
+            case '--log':
+                config.logFormat = valueFor(flag, ++i);
+                break;
+            case '-v':
+            case '--verbose':
+                config.logFormat = 'dev';
+                break;
+            case '--spa':
+                config.spaFallback = true;
+                break;
+            case '--no-compression':
+                config.compression = false;
+                break;
+            case '--dev':
+                config.dev = true;
+                break;
+            case '-h':
+            case '--help':
+                config.help = true;
+                break;
+            default:
+                throw usageError(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+        throw usageError(`Invalid port: ${config.port}`);
+    }
+    config.logFormat = config.logFormat || (config.dev ? 'dev' : 'none');
+    if (!LOG_FORMATS.includes(config.logFormat)) {
+        throw usageError(`Unknown log format: ${config.logFormat} (expected ${LOG_FORMATS.join(', ')})`);
+    }
+    return config;
+}
+
+module.exports = {
+    HELP,
+    LOG_FORMATS,
+    parseServerConfig
+};
@@ -0,0 +1,79 @@
+/**
+ * Project file listing and glob matching, shared by the demo server and the build scripts
+ *
+ *   createMatcher(['sw/**', '*.js'], ['sw/*.map'])('sw/idb.js')   -> true
+ *   listFiles(root)                                                -> ['app.js', 'sw/idb.js', ...]
+ *
+ * Paths are relative to the listed directory and always use forward slashes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIP_DIRS = new Set(['.git', '.data', 'node_modules']);
+
+// ============================================
+// Glob Matching
+// ============================================
+
+/**
+ * Convert a glob into a RegExp. Supports **, *, ? and {a,b}.
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            const options = glob.slice(i + 1, end).split(',').map((option) => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+            pattern += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function createMatcher(include, exclude) {
+    const includes = include.map(globToRegExp);
+    const excludes = exclude.map(globToRegExp);
+    return (file) => includes.some((re) => re.test(file)) && !excludes.some((re) => re.test(file));
+}
+
+// ============================================
+// Scanning
+// ============================================
+
+/**
+ * Every file under `dir`, skipping SKIP_DIRS
+ */
+function listFiles(dir, base = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const relative = base ? `${base}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            return SKIP_DIRS.has(entry.name) ? [] : listFiles(path.join(dir, entry.name), relative);
+        }
+        return entry.isFile() ? [relative] : [];
+    });
+}
+
+module.exports = {
+    SKIP_DIRS,
+    globToRegExp,
+    createMatcher,
+    listFiles
+};
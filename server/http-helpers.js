@@ -0,0 +1,79 @@
+/**
+ * Small HTTP helpers shared by the demo server's API routes
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Send a JSON response with the given status code
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+/**
+ * Collect the request body into a Buffer, rejecting bodies over `limit` bytes
+ */
+function readBody(req, limit = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            if (size > limit) {
+                return;
+            }
+            size += chunk.length;
+            if (size > limit) {
+                // Drop the rest rather than destroying the socket, so the client still gets the 413
+                chunks.length = 0;
+                reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body. Invalid JSON rejects with a 400 error.
+ */
+async function readJsonBody(req, limit) {
+    const body = await readBody(req, limit);
+    if (body.length === 0) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw Object.assign(new Error('Invalid JSON body'), { statusCode: 400 });
+    }
+}
+
+/**
+ * Turn an error thrown by a route handler into a JSON error response
+ */
+function sendError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+        console.error('[Server] Request failed:', error);
+    }
+    sendJson(res, statusCode, { error: statusCode >= 500 ? 'Server Error' : error.message });
+}
+
+module.exports = {
+    sendJson,
+    sendError,
+    readBody,
+    readJsonBody
+};
@@ -0,0 +1,180 @@
+/**
+ * Localized web app manifest
+ *
+ *   GET /manifest.json            -> manifest.json in the best locale for Accept-Language
+ *   GET /manifest.json?lang=th    -> manifest.json in Thai, whatever the browser asks for
+ *
+ * name, short_name, description, the shortcuts and the screenshot labels come from the
+ * locale's catalog (locales/<locale>.json, see i18n.js), and `lang`/`dir` are set to match.
+ * Shortcuts are looked up by their URL's fragment, screenshots by their form_factor:
+ *
+ *   "manifest.shortcut.checklist.name", "manifest.screenshot.wide.label"
+ *
+ * Anything the catalog doesn't translate keeps manifest.json's English. Both files are
+ * re-read on every request, so edits show up without a restart.
+ *
+ * Each locale's copy has an ETag of its own, `"<locale>.<hash of the body>"`, which
+ * GET /api/version lists next to manifest.json's (server/asset-versions.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../i18n');
+const { isNotModified, getCacheHeaders } = require('./cache-policy');
+const { sendError } = require('./http-helpers');
+
+const MANIFEST_PATH = '/manifest.json';
+const MANIFEST_FILE = 'manifest.json';
+
+async function readCatalog(root, locale) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(root, I18n.getCatalogPath(locale)), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[I18n] Could not read the ${locale} catalog:`, error.message);
+        }
+        return {};
+    }
+}
+
+/**
+ * A copy of `manifest` with its text in `locale`
+ */
+function localizeManifest(manifest, locale, catalog) {
+    const translate = (key, fallback) => (typeof catalog[key] === 'string' ? catalog[key] : fallback);
+    const localized = {
+        ...manifest,
+        name: translate('manifest.name', manifest.name),
+        short_name: translate('manifest.short_name', manifest.short_name),
+        description: translate('manifest.description', manifest.description),
+        lang: locale,
+        dir: I18n.getDirection(locale)
+    };
+
+    if (Array.isArray(manifest.shortcuts)) {
+        localized.shortcuts = manifest.shortcuts.map((shortcut) => {
+            const id = new URL(shortcut.url || '', 'http://localhost/').hash.slice(1);
+            if (!id) {
+                return shortcut;
+            }
+            return {
+                ...shortcut,
+                name: translate(`manifest.shortcut.${id}.name`, shortcut.name),
+                short_name: translate(`manifest.shortcut.${id}.short_name`, shortcut.short_name),
+                description: translate(`manifest.shortcut.${id}.description`, shortcut.description)
+            };
+        });
+    }
+    if (Array.isArray(manifest.screenshots)) {
+        localized.screenshots = manifest.screenshots.map((screenshot) => ({
+            ...screenshot,
+            label: translate(`manifest.screenshot.${screenshot.form_factor}.label`, screenshot.label)
+        }));
+    }
+    return localized;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - directory the static handler serves
+ * @param {object} options.cachePolicy - from createCachePolicy()
+ */
+function createLocalizedManifest({ root, cachePolicy }) {
+    const manifestFile = path.join(root, MANIFEST_FILE);
+
+    /**
+     * The manifest in `locale`: { body, etag, lastModified }. `stats` are manifest.json's.
+     */
+    async function renderManifest(locale, stats) {
+        const manifest = JSON.parse(await fs.promises.readFile(manifestFile, 'utf8'));
+        const catalog = await readCatalog(root, locale);
+        const body = JSON.stringify(localizeManifest(manifest, locale, catalog), null, 4);
+
+        // Not built on the file's ETag: "<hash>-<suffix>" is how compressed copies are marked
+        const bodyHash = crypto.createHash('sha1').update(body).digest('base64url').slice(0, 16);
+        const etag = `"${locale}.${bodyHash}"`;
+        const catalogStats = await fs.promises.stat(path.join(root, I18n.getCatalogPath(locale))).catch(() => null);
+        const lastModified = catalogStats && catalogStats.mtime > stats.mtime ? catalogStats.mtime : stats.mtime;
+
+        return { body, etag, lastModified };
+    }
+
+    /**
+     * The ETag each locale's copy is served with, { en: '"en.…"', ... }, or null without a manifest.json
+     */
+    async function describeVariants() {
+        let stats;
+        try {
+            stats = await fs.promises.stat(manifestFile);
+        } catch (error) {
+            return null;
+        }
+
+        const variants = {};
+        for (const locale of Object.keys(I18n.LOCALES)) {
+            variants[locale] = (await renderManifest(locale, stats)).etag;
+        }
+        return variants;
+    }
+
+    /**
+     * Answer GET/HEAD /manifest.json. Returns false to leave the request to the static handler.
+     */
+    async function handleRequest(req, res, url) {
+        if (url.pathname !== MANIFEST_PATH || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            return false;
+        }
+
+        const requested = I18n.matchLocale(url.searchParams.get(I18n.LOCALE_PARAM));
+        const locale = requested || I18n.negotiateLocale(req.headers['accept-language']);
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(manifestFile);
+        } catch (error) {
+            // No manifest.json in this root: the static handler sends the 404
+            return false;
+        }
+
+        try {
+            const { body, etag, lastModified } = await renderManifest(locale, stats);
+
+            const headers = {
+                ...getCacheHeaders(cachePolicy, req, MANIFEST_FILE, etag, lastModified),
+                'Content-Language': locale
+            };
+            // With ?lang= the answer is the same for every browser
+            if (!requested) {
+                headers['Vary'] = 'Accept-Language';
+            }
+
+            if (isNotModified(req, etag, lastModified)) {
+                res.writeHead(304, headers);
+                res.end();
+                return true;
+            }
+
+            res.writeHead(200, {
+                ...headers,
+                'Content-Type': 'application/manifest+json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body)
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        describeVariants,
+        handleRequest
+    };
+}
+
+module.exports = {
+    MANIFEST_PATH,
+    createLocalizedManifest,
+    localizeManifest
+};
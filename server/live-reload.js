@@ -0,0 +1,147 @@
+/**
+ * Dev-mode live reload: watch the project and tell open pages to reload
+ *
+ *   GET /__dev/events   Server-Sent Events stream
+ *
+ *   event: hello    data: { id }                 sent on connect; a new id means the server restarted
+ *   event: reload   data: { kind, files }        kind is 'worker' when a service worker or its
+ *                                                 precache changed, otherwise 'page'
+ *
+ * When a precached file changes the precache manifest is rebuilt first, so the
+ * worker's cache version always matches what is on disk.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { buildPrecache } = require('../scripts/build-precache');
+const { createMatcher } = require('./files');
+
+const EVENTS_PATH = '/__dev/events';
+const DEBOUNCE_MS = 150;
+const HEARTBEAT_MS = 30000;
+const PRECACHE_OUTPUT = 'precache-manifest.js';
+
+const WORKER_FILES = createMatcher(['sw.js', 'sw-workbox.js', 'sw/**', PRECACHE_OUTPUT], []);
+// Changes here need a server restart, not a page reload
+const SERVER_FILES = createMatcher(['server.js', 'server/**', '*.config.js', 'package.json'], []);
+
+function isIgnored(file) {
+    return file.split('/').some((segment) => segment.startsWith('.') || segment === 'node_modules')
+        || /\.(br|gz)$/.test(file)
+        || file === PRECACHE_OUTPUT;
+}
+
+function loadPrecacheMatcher(root) {
+    try {
+        const config = require(path.join(root, 'precache.config.js'));
+        return createMatcher(config.include, config.exclude || []);
+    } catch (error) {
+        return () => false;
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - directory to watch
+ */
+function createLiveReload({ root }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const clients = new Set();
+    const isPrecached = loadPrecacheMatcher(root);
+    let pending = new Set();
+    let timer = null;
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function broadcast(event, data) {
+        clients.forEach((res) => send(res, event, data));
+    }
+
+    function flush() {
+        const files = [...pending].sort();
+        pending = new Set();
+        timer = null;
+
+        const serverFiles = files.filter(SERVER_FILES);
+        if (serverFiles.length > 0) {
+            console.log(`🔁 ${serverFiles.join(', ')} changed - restart the server to pick it up`);
+        }
+        const appFiles = files.filter((file) => !SERVER_FILES(file));
+        if (appFiles.length === 0) {
+            return;
+        }
+
+        if (appFiles.some(isPrecached)) {
+            try {
+                if (buildPrecache(root).written) {
+                    appFiles.push(PRECACHE_OUTPUT);
+                }
+            } catch (error) {
+                console.error('[Dev] Could not rebuild the precache manifest:', error.message);
+            }
+        }
+
+        const kind = appFiles.some(WORKER_FILES) ? 'worker' : 'page';
+        console.log(`🔄 ${appFiles.join(', ')} changed - ${kind} reload (${clients.size} page${clients.size === 1 ? '' : 's'})`);
+        broadcast('reload', { kind, files: appFiles });
+    }
+
+    const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+        if (!filename) {
+            return;
+        }
+        const file = filename.split(path.sep).join('/');
+        if (isIgnored(file)) {
+            return;
+        }
+        pending.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(flush, DEBOUNCE_MS);
+    });
+
+    const heartbeat = setInterval(() => {
+        clients.forEach((res) => res.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+
+    /**
+     * Handle the events endpoint. Returns false when the path is not ours.
+     */
+    function handleRequest(req, res, pathname) {
+        if (pathname !== EVENTS_PATH) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 1000\n\n');
+        send(res, 'hello', { id });
+
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return true;
+    }
+
+    function close() {
+        watcher.close();
+        clearInterval(heartbeat);
+        clearTimeout(timer);
+        clients.forEach((res) => res.end());
+        clients.clear();
+    }
+
+    return {
+        handleRequest,
+        close
+    };
+}
+
+module.exports = {
+    EVENTS_PATH,
+    createLiveReload
+};
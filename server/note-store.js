@@ -0,0 +1,81 @@
+/**
+ * Note store for the notes API
+ * Keeps every note in a single JSON file, re-read on every call like the push subscription store.
+ *
+ * Each note carries a version that goes up by one on every change. Deleted notes stay behind
+ * as tombstones (`deleted: true`), so a client editing a note offline can learn it was deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class NoteStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Every note, tombstones included
+     */
+    all() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Notes] Could not read notes:', error.message);
+            }
+            return [];
+        }
+    }
+
+    list() {
+        return this.all().filter((note) => !note.deleted);
+    }
+
+    get(id) {
+        return this.all().find((note) => note.id === id) || null;
+    }
+
+    save(notes) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(notes, null, 2));
+    }
+
+    /**
+     * Replace (or add) one note and return it
+     */
+    put(note) {
+        this.save(this.all().filter((existing) => existing.id !== note.id).concat(note));
+        return note;
+    }
+}
+
+/**
+ * Check a note body sent by a client. Returns an error message, or null when it's fine.
+ */
+function validateNoteInput(input) {
+    if (!input || typeof input !== 'object') {
+        return 'Expected a JSON object';
+    }
+    if (typeof input.title !== 'string' || input.title.length > MAX_TITLE_LENGTH) {
+        return `title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    if (typeof input.body !== 'string' || input.body.length > MAX_BODY_LENGTH) {
+        return `body must be a string of at most ${MAX_BODY_LENGTH} characters`;
+    }
+    return null;
+}
+
+function isValidNoteId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+module.exports = {
+    NoteStore,
+    validateNoteInput,
+    isValidNoteId
+};
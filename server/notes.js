@@ -0,0 +1,171 @@
+/**
+ * Notes API for the demo server, the sync target of notes-sync.js
+ *
+ *   GET    /api/notes                      -> { notes }
+ *   POST   /api/notes                      <- { id?, title, body, updatedAt? }        -> 201 { note }
+ *   GET    /api/notes/:id                  -> { note }
+ *   PUT    /api/notes/:id                  <- { title, body, updatedAt?, baseVersion } -> { note }
+ *   DELETE /api/notes/:id?baseVersion=n    -> { deleted, note }
+ *
+ * A write whose baseVersion isn't the stored version answers 409 with the server's copy
+ * ({ error, note }), so the client can resolve the conflict and retry on top of it.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { sendJson, sendError, readJsonBody } = require('./http-helpers');
+const { NoteStore, validateNoteInput, isValidNoteId } = require('./note-store');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '.data');
+
+/**
+ * When the client made the change; never later than now, so a skewed clock can't win every conflict
+ */
+function editTime(input) {
+    return Number.isFinite(input.updatedAt) ? Math.min(input.updatedAt, Date.now()) : Date.now();
+}
+
+function sendConflict(res, note) {
+    sendJson(res, 409, { error: 'Version conflict', note });
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - where notes.json is kept
+ */
+function createNotesService(options = {}) {
+    const dataDir = options.dataDir || process.env.NOTES_DATA_DIR || DEFAULT_DATA_DIR;
+    const store = new NoteStore(path.join(dataDir, 'notes.json'));
+
+    function createNote(res, input) {
+        const invalid = validateNoteInput(input);
+        if (invalid) {
+            sendJson(res, 400, { error: invalid });
+            return;
+        }
+        const id = input.id === undefined ? crypto.randomUUID() : input.id;
+        if (!isValidNoteId(id)) {
+            sendJson(res, 400, { error: 'Invalid note id' });
+            return;
+        }
+
+        const existing = store.get(id);
+        if (existing) {
+            // The same create sent twice (a retried sync) is not a conflict
+            if (!existing.deleted && existing.title === input.title && existing.body === input.body) {
+                sendJson(res, 200, { note: existing });
+            } else {
+                sendConflict(res, existing);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        const note = store.put({
+            id,
+            title: input.title,
+            body: input.body,
+            version: 1,
+            createdAt: now,
+            updatedAt: editTime(input),
+            deleted: false
+        });
+        console.log('[Notes] Created:', id);
+        sendJson(res, 201, { note }, { Location: `/api/notes/${id}` });
+    }
+
+    function updateNote(res, current, input) {
+        const invalid = validateNoteInput(input);
+        if (invalid || !Number.isInteger(input.baseVersion)) {
+            sendJson(res, 400, { error: invalid || 'baseVersion must be an integer' });
+            return;
+        }
+        if (input.baseVersion !== current.version) {
+            sendConflict(res, current);
+            return;
+        }
+
+        // Writing on top of a tombstone brings the note back
+        const note = store.put({
+            ...current,
+            title: input.title,
+            body: input.body,
+            version: current.version + 1,
+            updatedAt: editTime(input),
+            deleted: false
+        });
+        sendJson(res, 200, { note });
+    }
+
+    function deleteNote(res, current, baseVersion) {
+        if (current.deleted) {
+            sendJson(res, 200, { deleted: false, note: current });
+            return;
+        }
+        if (baseVersion !== null && Number(baseVersion) !== current.version) {
+            sendConflict(res, current);
+            return;
+        }
+
+        const note = store.put({
+            ...current,
+            version: current.version + 1,
+            updatedAt: Date.now(),
+            deleted: true
+        });
+        console.log('[Notes] Deleted:', current.id);
+        sendJson(res, 200, { deleted: true, note });
+    }
+
+    /**
+     * Handle a request under /api/notes. Returns false when the path is not ours.
+     */
+    async function handleRequest(req, res, url) {
+        const match = /^\/api\/notes(?:\/([^/]+))?\/?$/.exec(url.pathname);
+        if (!match) {
+            return false;
+        }
+
+        // Note ids are URL-safe (see isValidNoteId), so the path segment needs no decoding
+        const id = match[1] || null;
+        try {
+            if (!id) {
+                if (req.method === 'GET') {
+                    sendJson(res, 200, { notes: store.list() });
+                } else if (req.method === 'POST') {
+                    createNote(res, await readJsonBody(req));
+                } else {
+                    sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'GET, POST' });
+                }
+                return true;
+            }
+
+            // Read the body first so the version check sees the latest stored note
+            const input = req.method === 'PUT' ? await readJsonBody(req) : null;
+            const current = store.get(id);
+            if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+                sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'GET, PUT, DELETE' });
+            } else if (!current || (current.deleted && req.method === 'GET')) {
+                sendJson(res, 404, { error: 'Note not found' });
+            } else if (req.method === 'GET') {
+                sendJson(res, 200, { note: current });
+            } else if (req.method === 'PUT') {
+                updateNote(res, current, input);
+            } else {
+                deleteNote(res, current, url.searchParams.get('baseVersion'));
+            }
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        store,
+        handleRequest
+    };
+}
+
+module.exports = {
+    createNotesService
+};
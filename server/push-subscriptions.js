@@ -0,0 +1,96 @@
+/**
+ * Push subscription store
+ * Keeps PushSubscription JSON objects in a single JSON file, keyed by endpoint.
+ * The file is re-read on every call so the server and the send-push CLI can share it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SubscriptionStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    list() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Push] Could not read subscriptions:', error.message);
+            }
+            return [];
+        }
+    }
+
+    save(subscriptions) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(subscriptions, null, 2));
+    }
+
+    /**
+     * Add or replace a subscription. Returns true when the endpoint is new.
+     */
+    add(subscription) {
+        const subscriptions = this.list();
+        const existing = subscriptions.find((s) => s.endpoint === subscription.endpoint);
+        const record = {
+            endpoint: subscription.endpoint,
+            expirationTime: subscription.expirationTime ?? null,
+            keys: {
+                p256dh: subscription.keys.p256dh,
+                auth: subscription.keys.auth
+            },
+            createdAt: existing ? existing.createdAt : Date.now()
+        };
+
+        this.save(subscriptions
+            .filter((s) => s.endpoint !== subscription.endpoint)
+            .concat(record));
+        return !existing;
+    }
+
+    /**
+     * Remove subscriptions by endpoint. Returns the number removed.
+     */
+    remove(...endpoints) {
+        const subscriptions = this.list();
+        const remaining = subscriptions.filter((s) => !endpoints.includes(s.endpoint));
+        if (remaining.length !== subscriptions.length) {
+            this.save(remaining);
+        }
+        return subscriptions.length - remaining.length;
+    }
+}
+
+/**
+ * Check that a value looks like `PushSubscription.toJSON()` output
+ */
+function isValidSubscription(subscription) {
+    if (!subscription || typeof subscription.endpoint !== 'string') {
+        return false;
+    }
+
+    try {
+        const { protocol } = new URL(subscription.endpoint);
+        if (protocol !== 'https:' && protocol !== 'http:') {
+            return false;
+        }
+    } catch (error) {
+        return false;
+    }
+
+    const { keys } = subscription;
+    if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+        return false;
+    }
+
+    // p256dh is an uncompressed P-256 point, auth a 16 byte secret
+    return Buffer.from(keys.p256dh, 'base64url').length === 65
+        && Buffer.from(keys.auth, 'base64url').length === 16;
+}
+
+module.exports = {
+    SubscriptionStore,
+    isValidSubscription
+};
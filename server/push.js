@@ -0,0 +1,161 @@
+/**
+ * Push API for the demo server
+ *
+ *   GET    /api/push/public-key   -> { publicKey } (applicationServerKey for pushManager.subscribe)
+ *   POST   /api/push/subscribe    <- PushSubscription JSON
+ *   DELETE /api/push/subscribe    <- { endpoint }
+ *   POST   /api/push/send         <- { payload, ttl?, urgency?, topic? } sends to every subscription
+ */
+
+const path = require('path');
+const { sendJson, sendError, readJsonBody } = require('./http-helpers');
+const { SubscriptionStore, isValidSubscription } = require('./push-subscriptions');
+const { loadOrCreateVapidKeys, sendNotification } = require('./web-push');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '.data');
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+/**
+ * Check a POST /api/push/send body. Returns an error message, or null when it is valid.
+ */
+function validateSendRequest(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Expected a JSON object';
+    }
+    if (body.ttl !== undefined && !(Number.isInteger(body.ttl) && body.ttl >= 0)) {
+        return 'ttl must be a non-negative integer';
+    }
+    if (body.urgency !== undefined && !URGENCIES.includes(body.urgency)) {
+        return `urgency must be one of ${URGENCIES.join(', ')}`;
+    }
+    if (body.topic !== undefined && typeof body.topic !== 'string') {
+        return 'topic must be a string';
+    }
+    return null;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - where vapid.json and subscriptions.json are kept
+ * @param {string} [options.subject] - VAPID contact, a mailto: or https: URL
+ * @param {string} [options.endpointOverride] - send every push to this origin (local stand-in push service)
+ */
+function createPushService(options = {}) {
+    const dataDir = options.dataDir || process.env.PUSH_DATA_DIR || DEFAULT_DATA_DIR;
+    const keys = loadOrCreateVapidKeys(path.join(dataDir, 'vapid.json'));
+    const vapid = {
+        ...keys,
+        subject: options.subject || process.env.VAPID_SUBJECT || 'mailto:admin@localhost'
+    };
+    const endpointOverride = options.endpointOverride || process.env.PUSH_SERVICE_URL || null;
+    const store = new SubscriptionStore(path.join(dataDir, 'subscriptions.json'));
+
+    /**
+     * Send `payload` to every stored subscription.
+     * Subscriptions the push service reports as gone (404/410) are removed.
+     */
+    async function broadcast(payload, sendOptions = {}) {
+        const subscriptions = store.list();
+        const results = await Promise.all(subscriptions.map(async (subscription) => {
+            try {
+                const { statusCode } = await sendNotification(subscription, payload, {
+                    ...sendOptions,
+                    vapid,
+                    endpointOverride
+                });
+                return { endpoint: subscription.endpoint, statusCode };
+            } catch (error) {
+                return { endpoint: subscription.endpoint, error: error.message };
+            }
+        }));
+
+        const expired = results
+            .filter((result) => result.statusCode === 404 || result.statusCode === 410)
+            .map((result) => result.endpoint);
+        store.remove(...expired);
+
+        const summary = {
+            sent: results.filter((result) => result.statusCode >= 200 && result.statusCode < 300).length,
+            failed: results.filter((result) => result.error || result.statusCode >= 300).length,
+            removed: expired.length,
+            results
+        };
+        console.log(`[Push] Sent ${summary.sent}/${subscriptions.length}, removed ${summary.removed} expired`);
+        return summary;
+    }
+
+    /**
+     * Handle a request under /api/push/. Returns false when the path is not ours.
+     */
+    async function handleRequest(req, res, pathname) {
+        if (!pathname.startsWith('/api/push/')) {
+            return false;
+        }
+
+        const route = `${req.method} ${pathname}`;
+        try {
+            switch (route) {
+                case 'GET /api/push/public-key':
+                    sendJson(res, 200, { publicKey: vapid.publicKey });
+                    break;
+
+                case 'POST /api/push/subscribe': {
+                    const subscription = await readJsonBody(req);
+                    if (!isValidSubscription(subscription)) {
+                        sendJson(res, 400, { error: 'Invalid push subscription' });
+                        break;
+                    }
+                    const isNew = store.add(subscription);
+                    console.log(`[Push] ${isNew ? 'Added' : 'Updated'} subscription:`, subscription.endpoint);
+                    sendJson(res, isNew ? 201 : 200, { subscribed: true });
+                    break;
+                }
+
+                case 'DELETE /api/push/subscribe': {
+                    const body = await readJsonBody(req);
+                    const endpoint = body && typeof body === 'object' ? body.endpoint : null;
+                    if (typeof endpoint !== 'string' || endpoint === '') {
+                        sendJson(res, 400, { error: 'Expected { endpoint }' });
+                        break;
+                    }
+                    const removed = store.remove(endpoint) > 0;
+                    if (removed) {
+                        console.log('[Push] Removed subscription:', endpoint);
+                    }
+                    sendJson(res, 200, { removed });
+                    break;
+                }
+
+                case 'POST /api/push/send': {
+                    const body = await readJsonBody(req);
+                    const invalid = validateSendRequest(body);
+                    if (invalid) {
+                        sendJson(res, 400, { error: invalid });
+                        break;
+                    }
+                    const { payload = null, ttl, urgency, topic } = body;
+                    sendJson(res, 200, await broadcast(payload, { ttl, urgency, topic }));
+                    break;
+                }
+
+                default:
+                    sendJson(res, 404, { error: 'Not Found' });
+            }
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        publicKey: vapid.publicKey,
+        endpointOverride,
+        store,
+        broadcast,
+        handleRequest
+    };
+}
+
+module.exports = {
+    createPushService
+};
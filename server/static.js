@@ -0,0 +1,304 @@
+/**
+ * Static file serving for the demo server
+ *
+ *   - URLs are parsed and percent-decoded; the query string is ignored
+ *   - Paths are resolved inside `root` only; `..` escapes are rejected and dotfiles
+ *     (.git, .data with the VAPID keys, …) are never served, apart from /.well-known/
+ *   - GET and HEAD only, everything else is a 405
+ *   - Directories redirect to a trailing slash and serve their index.html
+ *   - Optional SPA fallback: unknown paths requested as a page get index.html
+ *   - Single `Range: bytes=…` requests get a 206, honouring If-Range
+ *
+ * Caching headers and 304s come from server/cache-policy.js, gzip/brotli from
+ * server/compression.js. Range requests are always answered from the uncompressed file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEtag, isNotModified, getCacheHeaders } = require('./cache-policy');
+const { getVariantEtag } = require('./compression');
+
+const DEFAULT_ROOT = path.join(__dirname, '..');
+const INDEX_FILE = 'index.html';
+const ALLOWED_METHODS = ['GET', 'HEAD'];
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.pdf': 'application/pdf',
+    '.wasm': 'application/wasm',
+    '.zip': 'application/zip'
+};
+
+// Files whose type isn't implied by their extension
+const mimeTypeOverrides = {
+    'manifest.json': 'application/manifest+json; charset=utf-8'
+};
+
+function getContentType(filePath) {
+    return mimeTypeOverrides[path.basename(filePath)]
+        || mimeTypes[path.extname(filePath).toLowerCase()]
+        || 'application/octet-stream';
+}
+
+function sendText(res, statusCode, text, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        ...headers
+    });
+    res.end(text);
+}
+
+/**
+ * Resolve a URL pathname to a file path inside `root`, or null if it must not be served
+ */
+function resolveSafePath(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.includes('\0')) {
+        return null;
+    }
+
+    const segments = decoded.split(/[/\\]/).filter(Boolean);
+    if (segments.some((segment) => segment === '..' || (segment.startsWith('.') && segment !== '.well-known'))) {
+        return null;
+    }
+
+    const filePath = path.join(root, ...segments);
+    const relative = path.relative(root, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+    return filePath;
+}
+
+/**
+ * Parse a single-range `Range` header against a file size.
+ * Returns { start, end }, 'unsatisfiable', or null to ignore the header and send the whole file.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-500 is the last 500 bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return 'unsatisfiable';
+    }
+    return { start, end };
+}
+
+/**
+ * A Range is only honoured when If-Range (if sent) still matches the current file
+ */
+function isRangeFresh(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+    return Math.floor(lastModified.getTime() / 1000) === Math.floor(Date.parse(ifRange) / 1000);
+}
+
+function isNavigation(req) {
+    return req.method === 'GET' && (req.headers.accept || '').includes('text/html');
+}
+
+async function statFile(filePath) {
+    try {
+        return await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.root] - directory to serve, defaults to the project root
+ * @param {boolean} [options.spaFallback] - answer unknown page requests with index.html
+ * @param {object} options.cachePolicy - from createCachePolicy()
+ * @param {object} [options.compression] - from createCompression(); omit to always send identity
+ */
+function createStaticHandler(options = {}) {
+    const root = path.resolve(options.root || process.env.STATIC_ROOT || DEFAULT_ROOT);
+    const spaFallback = options.spaFallback !== undefined
+        ? options.spaFallback
+        : process.env.SPA_FALLBACK === '1';
+    const { cachePolicy, compression = null } = options;
+
+    async function sendFile(req, res, filePath, stats) {
+        const contentType = getContentType(filePath);
+        const compressible = Boolean(compression) && compression.isCompressible(contentType, stats.size);
+        const encoding = compressible && !req.headers.range ? compression.negotiate(req.headers['accept-encoding']) : null;
+
+        const etag = await getEtag(filePath, stats);
+        const variantEtag = getVariantEtag(etag, encoding);
+        const lastModified = stats.mtime;
+        const headers = {
+            ...getCacheHeaders(cachePolicy, req, path.relative(root, filePath).split(path.sep).join('/'), variantEtag, lastModified),
+            'Accept-Ranges': 'bytes'
+        };
+        if (compressible) {
+            headers['Vary'] = 'Accept-Encoding';
+        }
+
+        if (isNotModified(req, variantEtag, lastModified)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        if (encoding) {
+            const body = await compression.getEncodedBody(filePath, stats, etag, encoding);
+            res.writeHead(200, {
+                ...headers,
+                'Content-Type': contentType,
+                'Content-Encoding': encoding,
+                'Content-Length': body.length
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+            return;
+        }
+
+        let range = null;
+        if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+            range = parseRange(req.headers.range, stats.size);
+        }
+        if (range === 'unsatisfiable') {
+            sendText(res, 416, '416 Range Not Satisfiable', { ...headers, 'Content-Range': `bytes */${stats.size}` });
+            return;
+        }
+
+        const { start, end } = range || { start: 0, end: stats.size - 1 };
+        res.writeHead(range ? 206 : 200, {
+            ...headers,
+            'Content-Type': contentType,
+            'Content-Length': stats.size === 0 ? 0 : end - start + 1,
+            ...(range ? { 'Content-Range': `bytes ${start}-${end}/${stats.size}` } : {})
+        });
+
+        if (req.method === 'HEAD' || stats.size === 0) {
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(filePath, { start, end });
+        stream.on('error', (error) => {
+            console.error('[Server] Could not read', filePath, error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    }
+
+    /**
+     * Serve a request from `root`. Always responds.
+     */
+    async function handleRequest(req, res, url) {
+        if (!ALLOWED_METHODS.includes(req.method)) {
+            sendText(res, 405, '405 Method Not Allowed', { 'Allow': ALLOWED_METHODS.join(', ') });
+            return;
+        }
+
+        const filePath = resolveSafePath(root, url.pathname);
+        if (!filePath) {
+            sendText(res, 404, '404 Not Found');
+            return;
+        }
+
+        try {
+            let stats = await statFile(filePath);
+
+            if (stats && stats.isDirectory()) {
+                if (!url.pathname.endsWith('/')) {
+                    res.writeHead(301, { 'Location': `${url.pathname}/${url.search}` });
+                    res.end();
+                    return;
+                }
+                const indexPath = path.join(filePath, INDEX_FILE);
+                stats = await statFile(indexPath);
+                if (stats && stats.isFile()) {
+                    await sendFile(req, res, indexPath, stats);
+                    return;
+                }
+            } else if (stats && stats.isFile()) {
+                await sendFile(req, res, filePath, stats);
+                return;
+            }
+
+            if (spaFallback && isNavigation(req)) {
+                const indexPath = path.join(root, INDEX_FILE);
+                const indexStats = await statFile(indexPath);
+                if (indexStats) {
+                    await sendFile(req, res, indexPath, indexStats);
+                    return;
+                }
+            }
+
+            sendText(res, 404, '404 Not Found');
+        } catch (error) {
+            console.error('[Server] Request failed:', error);
+            if (!res.headersSent) {
+                sendText(res, 500, 'Server Error');
+            }
+        }
+    }
+
+    return {
+        root,
+        spaFallback,
+        handleRequest
+    };
+}
+
+module.exports = {
+    createStaticHandler,
+    resolveSafePath,
+    parseRange,
+    getContentType
+};
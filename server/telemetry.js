@@ -0,0 +1,226 @@
+/**
+ * Telemetry API for the demo server
+ *
+ *   POST /api/telemetry            <- NDJSON (or a JSON array) of events from telemetry.js,
+ *                                     appended to telemetry.ndjson
+ *   GET  /api/telemetry/summary    -> install conversion, sessions by display mode, event counts
+ *
+ * telemetry.html shows the summary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { sendJson, sendError, readBody } = require('./http-helpers');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '.data');
+const MAX_BATCH_BYTES = 256 * 1024;
+const MAX_BATCH_EVENTS = 200;
+const EVENT_TYPE_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const STANDALONE_MODES = ['standalone', 'fullscreen', 'minimal-ui'];
+
+/**
+ * Parse a batch body: one JSON event per line, or a single JSON array
+ */
+function parseBatch(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') {
+        return [];
+    }
+    try {
+        if (trimmed.startsWith('[')) {
+            return JSON.parse(trimmed);
+        }
+        return trimmed.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+    } catch (error) {
+        throw Object.assign(new Error('Invalid NDJSON body'), { statusCode: 400 });
+    }
+}
+
+/**
+ * Check the fields every event needs. Returns the cleaned-up record, or null.
+ */
+function normalizeEvent(event, receivedAt) {
+    if (!event || typeof event !== 'object'
+        || typeof event.id !== 'string' || event.id.length > 64
+        || typeof event.sessionId !== 'string' || event.sessionId.length > 64
+        || typeof event.type !== 'string' || !EVENT_TYPE_PATTERN.test(event.type)
+        || !Number.isFinite(event.timestamp)) {
+        return null;
+    }
+
+    return {
+        id: event.id,
+        type: event.type,
+        sessionId: event.sessionId,
+        timestamp: event.timestamp,
+        displayMode: typeof event.displayMode === 'string' ? event.displayMode : null,
+        online: typeof event.online === 'boolean' ? event.online : null,
+        detail: event.detail && typeof event.detail === 'object' ? event.detail : {},
+        receivedAt
+    };
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? part / whole : null;
+}
+
+/**
+ * Summarize events. Events sent twice (a retried batch) are counted once.
+ */
+function summarizeEvents(events) {
+    const seen = new Set();
+    // Keyed by client-sent names: no prototype, so "constructor" is just another type
+    const byType = Object.create(null);
+    const sessions = new Map();
+    const promptSessions = new Set();
+    const outcomes = { accepted: 0, dismissed: 0 };
+    let wentOffline = 0;
+    let first = null;
+    let last = null;
+
+    for (const event of events) {
+        if (seen.has(event.id)) {
+            continue;
+        }
+        seen.add(event.id);
+
+        byType[event.type] = (byType[event.type] || 0) + 1;
+        first = first === null ? event.timestamp : Math.min(first, event.timestamp);
+        last = last === null ? event.timestamp : Math.max(last, event.timestamp);
+
+        if (event.type === 'session_start') {
+            sessions.set(event.sessionId, event.displayMode || 'browser');
+        } else if (event.type === 'install_prompt_available') {
+            promptSessions.add(event.sessionId);
+        } else if (event.type === 'install_prompt_outcome' && Object.hasOwn(outcomes, event.detail.outcome)) {
+            outcomes[event.detail.outcome] += 1;
+        } else if (event.type === 'connectivity' && event.detail.online === false) {
+            wentOffline += 1;
+        }
+    }
+
+    const byDisplayMode = Object.create(null);
+    sessions.forEach((mode) => {
+        byDisplayMode[mode] = (byDisplayMode[mode] || 0) + 1;
+    });
+    const standalone = [...sessions.values()].filter((mode) => STANDALONE_MODES.includes(mode)).length;
+    const shown = byType.install_prompt_shown || 0;
+
+    return {
+        events: seen.size,
+        first,
+        last,
+        byType,
+        sessions: {
+            total: sessions.size,
+            standalone,
+            browser: sessions.size - standalone,
+            standaloneRate: ratio(standalone, sessions.size),
+            byDisplayMode
+        },
+        install: {
+            promptAvailableSessions: promptSessions.size,
+            promptShown: shown,
+            accepted: outcomes.accepted,
+            dismissed: outcomes.dismissed,
+            installed: byType.app_installed || 0,
+            // Of the prompts the user saw, how many ended in an install
+            conversionRate: ratio(outcomes.accepted, shown)
+        },
+        connectivity: {
+            wentOffline
+        }
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - where telemetry.ndjson is kept
+ */
+function createTelemetryService(options = {}) {
+    const dataDir = options.dataDir || process.env.TELEMETRY_DATA_DIR || DEFAULT_DATA_DIR;
+    const filePath = path.join(dataDir, 'telemetry.ndjson');
+
+    async function append(records) {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        await fs.promises.appendFile(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    }
+
+    /**
+     * Read the log line by line; lines that don't parse (a torn write) are skipped
+     */
+    async function readEvents() {
+        const events = [];
+        try {
+            const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+            for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                try {
+                    events.push(JSON.parse(line));
+                } catch (error) {
+                    continue;
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return events;
+    }
+
+    async function summarize() {
+        return summarizeEvents(await readEvents());
+    }
+
+    /**
+     * Handle a request under /api/telemetry. Returns false when the path is not ours.
+     */
+    async function handleRequest(req, res, pathname) {
+        if (pathname !== '/api/telemetry' && !pathname.startsWith('/api/telemetry/')) {
+            return false;
+        }
+
+        const route = `${req.method} ${pathname}`;
+        try {
+            switch (route) {
+                case 'POST /api/telemetry': {
+                    const body = await readBody(req, MAX_BATCH_BYTES);
+                    const batch = parseBatch(body.toString('utf8'));
+                    if (!Array.isArray(batch) || batch.length > MAX_BATCH_EVENTS) {
+                        sendJson(res, 400, { error: `Expected up to ${MAX_BATCH_EVENTS} events` });
+                        break;
+                    }
+                    const receivedAt = Date.now();
+                    const records = batch.map((event) => normalizeEvent(event, receivedAt)).filter(Boolean);
+                    if (records.length > 0) {
+                        await append(records);
+                    }
+                    sendJson(res, 202, { accepted: records.length, rejected: batch.length - records.length });
+                    break;
+                }
+
+                case 'GET /api/telemetry/summary':
+                    sendJson(res, 200, await summarize());
+                    break;
+
+                default:
+                    sendJson(res, 404, { error: 'Not Found' });
+            }
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        filePath,
+        summarize,
+        handleRequest
+    };
+}
+
+module.exports = {
+    createTelemetryService,
+    summarizeEvents
+};
@@ -0,0 +1,254 @@
+/**
+ * Minimal Web Push sender for the PWA Get Started demo
+ * No dependencies - uses Node's built-in crypto, http and https modules
+ *
+ * - VAPID (RFC 8292): ES256-signed JWT identifying this application server
+ * - Message encryption (RFC 8291): aes128gcm content coding (RFC 8188)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const DEFAULT_TTL = 60 * 60 * 24; // 24 hours
+const RECORD_SIZE = 4096;
+// Push services accept 4096 byte bodies: 86 byte header, 16 byte GCM tag, 1 delimiter byte
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - 16 - 1 - 86;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+// ============================================
+// Base64url helpers
+// ============================================
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(value, 'base64url');
+}
+
+// ============================================
+// VAPID Keys
+// ============================================
+
+/**
+ * Generate a new P-256 key pair in the format browsers expect:
+ * the public key is the 65 byte uncompressed point, the private key the 32 byte scalar.
+ */
+function generateVapidKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const publicJwk = publicKey.export({ format: 'jwk' });
+    const privateJwk = privateKey.export({ format: 'jwk' });
+
+    return {
+        publicKey: toBase64Url(Buffer.concat([
+            Buffer.from([0x04]),
+            fromBase64Url(publicJwk.x),
+            fromBase64Url(publicJwk.y)
+        ])),
+        privateKey: privateJwk.d
+    };
+}
+
+/**
+ * Load the VAPID key pair from `filePath`, generating and saving one on first use
+ */
+function loadOrCreateVapidKeys(filePath) {
+    try {
+        const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (keys.publicKey && keys.privateKey) {
+            return keys;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const keys = generateVapidKeys();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    console.log('[Push] Generated new VAPID keys:', filePath);
+    return keys;
+}
+
+/**
+ * Convert a raw uncompressed P-256 public key into a JWK
+ */
+function publicKeyToJwk(rawPublicKey) {
+    const raw = fromBase64Url(rawPublicKey);
+    if (raw.length !== 65 || raw[0] !== 0x04) {
+        throw new Error('Expected a 65 byte uncompressed P-256 public key');
+    }
+
+    return {
+        kty: 'EC',
+        crv: 'P-256',
+        x: toBase64Url(raw.subarray(1, 33)),
+        y: toBase64Url(raw.subarray(33, 65))
+    };
+}
+
+/**
+ * Build the value of the Authorization header for a push service origin
+ */
+function createVapidAuthorization(audience, vapid) {
+    const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = toBase64Url(JSON.stringify({
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+        sub: vapid.subject
+    }));
+    const unsigned = `${header}.${claims}`;
+
+    const privateKey = crypto.createPrivateKey({
+        key: { ...publicKeyToJwk(vapid.publicKey), d: vapid.privateKey },
+        format: 'jwk'
+    });
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${unsigned}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+}
+
+// ============================================
+// Payload Encryption (aes128gcm)
+// ============================================
+function hkdf(salt, ikm, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Derive the content encryption key and nonce shared by sender and receiver.
+ * Exported so the local stand-in push service can decrypt what we send.
+ */
+function deriveContentKeys({ sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt }) {
+    const keyInfo = Buffer.concat([
+        Buffer.from('WebPush: info\0'),
+        userAgentPublicKey,
+        serverPublicKey
+    ]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+    return {
+        key: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+    };
+}
+
+/**
+ * Encrypt `payload` for a subscription's `p256dh` and `auth` keys.
+ * Returns the complete aes128gcm body: header, ciphertext and tag in a single record.
+ */
+function encryptPayload(payload, keys) {
+    const plaintext = Buffer.from(payload);
+    if (plaintext.length > MAX_PAYLOAD_BYTES) {
+        throw new Error(`Push payload is ${plaintext.length} bytes, the limit is ${MAX_PAYLOAD_BYTES}`);
+    }
+
+    const userAgentPublicKey = fromBase64Url(keys.p256dh);
+    const authSecret = fromBase64Url(keys.auth);
+
+    const serverKeys = crypto.createECDH('prime256v1');
+    const serverPublicKey = serverKeys.generateKeys();
+    const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const { key, nonce } = deriveContentKeys({
+        sharedSecret,
+        authSecret,
+        userAgentPublicKey,
+        serverPublicKey,
+        salt
+    });
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    // 0x02 marks the last (and only) record
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(16 + 4 + 1);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// ============================================
+// Sending
+// ============================================
+function postRequest(endpoint, headers, body) {
+    return new Promise((resolve, reject) => {
+        const transport = endpoint.protocol === 'http:' ? http : https;
+        const req = transport.request(endpoint, { method: 'POST', headers }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({
+                statusCode: res.statusCode,
+                body: Buffer.concat(chunks).toString('utf8')
+            }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Send one push message.
+ *
+ * @param {PushSubscriptionJSON} subscription - as produced by `PushSubscription.toJSON()`
+ * @param {string|object|null} payload - objects are sent as JSON, null sends a push without data
+ * @param {object} options
+ * @param {object} options.vapid - `{ publicKey, privateKey, subject }`
+ * @param {number} [options.ttl] - seconds the push service should keep the message
+ * @param {string} [options.urgency] - very-low | low | normal | high
+ * @param {string} [options.topic] - replaces a pending message with the same topic
+ * @param {string} [options.endpointOverride] - origin of a local push service to send to instead
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+async function sendNotification(subscription, payload, options) {
+    let endpoint = new URL(subscription.endpoint);
+    if (options.endpointOverride) {
+        endpoint = new URL(endpoint.pathname + endpoint.search, options.endpointOverride);
+    }
+
+    const headers = {
+        TTL: String(options.ttl ?? DEFAULT_TTL),
+        Authorization: createVapidAuthorization(endpoint.origin, options.vapid)
+    };
+    if (options.urgency) headers.Urgency = options.urgency;
+    if (options.topic) headers.Topic = options.topic;
+
+    let body = null;
+    if (payload !== null && payload !== undefined) {
+        if (!subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+            throw new Error('Subscription has no encryption keys, cannot send a payload');
+        }
+        const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        body = encryptPayload(text, subscription.keys);
+        headers['Content-Type'] = 'application/octet-stream';
+        headers['Content-Encoding'] = 'aes128gcm';
+    }
+    headers['Content-Length'] = body ? body.length : 0;
+
+    return postRequest(endpoint, headers, body);
+}
+
+module.exports = {
+    MAX_PAYLOAD_BYTES,
+    generateVapidKeys,
+    loadOrCreateVapidKeys,
+    publicKeyToJwk,
+    createVapidAuthorization,
+    deriveContentKeys,
+    encryptPayload,
+    sendNotification
+};
@@ -0,0 +1,81 @@
+/**
+ * "What's new" feed for the demo server, fetched by the workers' periodic sync (sw/whats-new.js)
+ *
+ *   GET /api/whats-new?limit=n   -> { items: [{ id, title, summary, url, publishedAt }], updatedAt }
+ *
+ * Items come from whats-new.json, re-read on every request so edits show up without a restart,
+ * and are sent newest first. The feed is kept small: at most MAX_ITEMS items.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { sendJson, sendError } = require('./http-helpers');
+
+const FEED_PATH = '/api/whats-new';
+const DEFAULT_FEED_FILE = path.join(__dirname, '..', 'whats-new.json');
+const MAX_ITEMS = 20;
+const DEFAULT_LIMIT = 10;
+
+function isValidItem(item) {
+    return item && typeof item.id === 'string' && typeof item.title === 'string'
+        && !Number.isNaN(Date.parse(item.publishedAt));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.feedFile] - JSON file with an `items` array
+ */
+function createWhatsNewService(options = {}) {
+    const feedFile = options.feedFile || process.env.WHATS_NEW_FILE || DEFAULT_FEED_FILE;
+
+    function readItems() {
+        try {
+            const { items = [] } = JSON.parse(fs.readFileSync(feedFile, 'utf8'));
+            const valid = items.filter(isValidItem);
+            if (valid.length < items.length) {
+                console.warn(`[What's New] Skipped ${items.length - valid.length} items without an id, title or publishedAt`);
+            }
+            return valid.sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[What's New] Could not read the feed:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Handle GET /api/whats-new. Returns false when the path is not ours.
+     */
+    function handleRequest(req, res, url) {
+        if (url.pathname !== FEED_PATH) {
+            return false;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'GET' });
+            return true;
+        }
+
+        try {
+            const limit = Math.min(Number.parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, MAX_ITEMS);
+            const items = readItems().slice(0, Math.max(limit, 1));
+            sendJson(res, 200, {
+                items,
+                updatedAt: items.length ? items[0].publishedAt : null
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+        return true;
+    }
+
+    return {
+        readItems,
+        handleRequest
+    };
+}
+
+module.exports = {
+    FEED_PATH,
+    createWhatsNewService
+};
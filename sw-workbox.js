@@ -5,21 +5,63 @@
  * Compare with sw.js (vanilla implementation) to see the difference
  */
 
-// Import Workbox from CDN
-importScripts('https://storage.googleapis.com/workbox-cdn/releases/7.0.0/workbox-sw.js');
-
-// Check if Workbox loaded successfully
-if (workbox) {
-    console.log('[Workbox] Workbox is loaded 🎉');
-} else {
-    console.log('[Workbox] Workbox failed to load 😬');
+// Diagnostics log first, so a Workbox that fails to load is recorded too (sw/logger.js)
+importScripts('./sw/idb.js', './sw/logger.js', './sw/messages.js');
+configureLogger({ worker: 'workbox', prefix: '[Workbox SW]' });
+
+// ============================================
+// Loading Workbox
+// From this origin by default (`npm run build:workbox` puts a copy in workbox-v<version>/),
+// from the Google CDN when registered as sw-workbox.js?workbox=cdn. If the preferred source
+// fails the other one is tried; if both fail the worker throws, and app.js falls back to sw.js.
+// ============================================
+const WORKBOX_VERSION = '7.0.0';
+const WORKBOX_SOURCES = {
+    local: `./workbox-v${WORKBOX_VERSION}/`,
+    cdn: `https://storage.googleapis.com/workbox-cdn/releases/${WORKBOX_VERSION}/`
+};
+
+function loadWorkbox(preferred) {
+    const order = preferred === 'cdn' ? ['cdn', 'local'] : ['local', 'cdn'];
+    for (const source of order) {
+        try {
+            importScripts(`${WORKBOX_SOURCES[source]}workbox-sw.js`);
+            return source;
+        } catch (error) {
+            logEvent('warn', 'workbox-load', {
+                message: `Could not load Workbox from ${WORKBOX_SOURCES[source]}: ${error.message}`,
+                outcome: source
+            });
+        }
+    }
+    throw new Error('Workbox could not be loaded from this origin or the CDN');
 }
 
+const WORKBOX_SOURCE = loadWorkbox(new URL(self.location).searchParams.get('workbox'));
+
+// Helpers shared with sw.js
+importScripts('./sw/push.js', './sw/offline-probe.js', './sw/offline-fallbacks.js', './sw/cache-inspector.js');
+importScripts('./sw/share-target.js', './sw/navigation.js', './sw/worker-info.js');
+importScripts('./sw/delta-update.js', './sw/whats-new.js', './i18n.js', './sw/locale.js');
+
+// Offline-first notes, shared with the page (app.js)
+importScripts('./notes-sync.js');
+
+// Generated by `npm run build` - lists every precached file with its content hash
+importScripts('./precache-manifest.js');
+
+logEvent('info', 'workbox-load', {
+    message: `Workbox ${WORKBOX_VERSION} is loaded from ${WORKBOX_SOURCE === 'cdn' ? 'the CDN' : 'this origin'} 🎉`,
+    outcome: WORKBOX_SOURCE
+});
+
 // ============================================
 // Workbox Configuration
 // ============================================
 workbox.setConfig({
-    debug: true // Set to false in production
+    debug: true, // Set to false in production
+    // Load the modules from wherever workbox-sw.js came from
+    modulePathPrefix: WORKBOX_SOURCES[WORKBOX_SOURCE]
 });
 
 // Set custom cache names
@@ -31,32 +73,129 @@ workbox.core.setCacheNameDetails({
 });
 
 // ============================================
-// Precaching - Similar to CACHE_URLS in sw.js
+// Precaching - Same list as CACHE_URLS in sw.js
 // ============================================
-// Workbox precaches these files during install and manages versioning automatically
-workbox.precaching.precacheAndRoute([
-    { url: './', revision: '1' },
-    { url: './index.html', revision: '1' },
-    { url: './styles.css', revision: '1' },
-    { url: './app.js', revision: '1' },
-    { url: './manifest.json', revision: '1' },
-    { url: './icons/icon-72.png', revision: '1' },
-    { url: './icons/icon-96.png', revision: '1' },
-    { url: './icons/icon-128.png', revision: '1' },
-    { url: './icons/icon-144.png', revision: '1' },
-    { url: './icons/icon-152.png', revision: '1' },
-    { url: './icons/icon-192.png', revision: '1' },
-    { url: './icons/icon-384.png', revision: '1' },
-    { url: './icons/icon-512.png', revision: '1' }
-]);
+// Workbox precaches these files during install and only re-downloads
+// entries whose revision (content hash) changed since the last build.
+// The route that serves them is added after the navigation route below.
+workbox.precaching.precache(self.__PRECACHE_MANIFEST.entries);
+
+// Describes the precache for the offline readiness probe (sw/offline-probe.js)
+const PRECACHE = {
+    cacheName: workbox.core.cacheNames.precache,
+    urls: self.__PRECACHE_MANIFEST.entries.map((entry) => new URL(entry.url, self.location).href),
+    match: (url) => workbox.precaching.matchPrecache(url),
+    repair: async (url) => {
+        // Workbox stores entries under a cache key that includes the revision
+        const cacheKey = workbox.precaching.getCacheKeyForURL(url);
+        const response = await fetchForPrecache(url);
+        const cache = await caches.open(workbox.core.cacheNames.precache);
+        await cache.put(cacheKey, response);
+    },
+    fallbackUrl: OFFLINE_PAGE_URL
+};
 
 // ============================================
-// Skip Waiting & Clients Claim
-// Equivalent to self.skipWaiting() and self.clients.claim() in sw.js
+// Clients Claim
+// Equivalent to self.clients.claim() in sw.js
+// Skip waiting is opt-in: an updated worker waits until the page sends
+// SKIP_WAITING (see the message handler below)
 // ============================================
-workbox.core.skipWaiting();
 workbox.core.clientsClaim();
 
+// ============================================
+// Navigations - Navigation Preload & Streaming (same as vanilla sw.js)
+// Registered before the precache route, so pages go to the network first
+// ============================================
+self.addEventListener('install', (event) => {
+    // Workbox precaches on its own; this only records it
+    event.waitUntil(logEvent('info', 'install', {
+        message: 'Install',
+        outcome: `${self.__PRECACHE_MANIFEST.entries.length} files to precache`
+    }));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(logEvent('info', 'activate', { message: 'Activate' }));
+    // Start page requests while the worker boots (sw/navigation.js)
+    event.waitUntil(enableNavigationPreload());
+    // Refresh files that changed on the server (sw/delta-update.js); not waited for,
+    // fetches are held back until activation finishes
+    checkForAssetUpdates('activate');
+});
+
+/**
+ * Records cache hits and network failures in the diagnostics log,
+ * the same entries sw/router.js writes for sw.js
+ */
+function createLogPlugin(strategy) {
+    return {
+        cachedResponseWillBeUsed: async ({ request, cachedResponse, event }) => {
+            if (cachedResponse) {
+                const logged = logEvent('debug', 'cache-hit', { message: 'Serving from cache', url: request.url, strategy, outcome: 'cache' });
+                if (event) {
+                    event.waitUntil(logged);
+                }
+            }
+            return cachedResponse;
+        },
+        fetchDidFail: async ({ originalRequest, error }) => {
+            await logEvent('warn', 'fetch-failed', {
+                message: `Network failed: ${error.message}`,
+                url: originalRequest.url,
+                strategy,
+                outcome: 'network-failed'
+            });
+        },
+    };
+}
+
+// Network-First for HTML pages (ensures fresh content when online).
+// Workbox strategies use the navigation preload response on their own.
+const pageStrategy = new workbox.strategies.NetworkFirst({
+    cacheName: 'pwa-getstarted-pages',
+    networkTimeoutSeconds: 3,
+    plugins: [
+        createLogPlugin('network-first'),
+        new workbox.cacheableResponse.CacheableResponsePlugin({
+            statuses: [0, 200],
+        }),
+        {
+            // Offline and not in the pages cache: the precached copy, if the page has one
+            handlerDidError: ({ request }) => matchPrecachedPage(request, PRECACHE.match),
+        },
+    ],
+});
+
+workbox.routing.registerRoute(
+    ({ request }) => request.mode === 'navigate',
+    async (options) => {
+        // Refresh changed files in the background once in a while (sw/delta-update.js)
+        scheduleAssetCheck(options.event);
+
+        const streamed = await handleStreamingNavigation(options.event, PRECACHE.match);
+        if (streamed) {
+            return streamed;
+        }
+        if (isAppShellNavigation(options.request) && await getNavigationMode() === 'stream') {
+            // No precached shell yet, and the preload only holds the content part: load the whole page
+            return fetch(options.request);
+        }
+
+        const response = await pageStrategy.handle(options);
+        return withNavigationTiming(response, await describeNavigationResponse(options.event, response, 'network-first'));
+    }
+);
+
+// A locale's catalog and localized manifest, from that locale's own cache (sw/locale.js)
+workbox.routing.registerRoute(
+    ({ request }) => Boolean(getLocaleShellRequest(request)),
+    ({ request, event }) => handleLocaleShellRequest(event, getLocaleShellRequest(request))
+);
+
+// Everything else that was precached comes from the precache
+workbox.precaching.addRoute();
+
 // ============================================
 // Runtime Caching Strategies
 // ============================================
@@ -67,6 +206,7 @@ workbox.routing.registerRoute(
     new workbox.strategies.CacheFirst({
         cacheName: 'pwa-getstarted-images',
         plugins: [
+            createLogPlugin('cache-first'),
             new workbox.expiration.ExpirationPlugin({
                 maxEntries: 50,
                 maxAgeSeconds: 30 * 24 * 60 * 60, // 30 days
@@ -86,6 +226,7 @@ workbox.routing.registerRoute(
     new workbox.strategies.StaleWhileRevalidate({
         cacheName: 'pwa-getstarted-assets',
         plugins: [
+            createLogPlugin('stale-while-revalidate'),
             new workbox.cacheableResponse.CacheableResponsePlugin({
                 statuses: [0, 200],
             }),
@@ -93,31 +234,38 @@ workbox.routing.registerRoute(
     })
 );
 
-// Network-First for HTML pages (ensures fresh content when online)
+// API responses must be fresh (routed so failures reach the catch handler below)
 workbox.routing.registerRoute(
-    ({ request }) => request.mode === 'navigate',
-    new workbox.strategies.NetworkFirst({
-        cacheName: 'pwa-getstarted-pages',
-        networkTimeoutSeconds: 3,
-        plugins: [
-            new workbox.cacheableResponse.CacheableResponsePlugin({
-                statuses: [0, 200],
-            }),
-        ],
+    ({ request }) => isApiRequest(request) && request.method === 'GET',
+    new workbox.strategies.NetworkOnly({
+        plugins: [createLogPlugin('network-only')],
     })
 );
 
 // ============================================
 // Offline Fallback
-// Similar to returning index.html in sw.js when navigation fails offline
+// Same responses as the fetch handler's catch in sw.js (sw/offline-fallbacks.js)
 // ============================================
-workbox.routing.setCatchHandler(async ({ event }) => {
-    if (event.request.mode === 'navigate') {
-        return workbox.precaching.matchPrecache('./index.html');
-    }
-    return Response.error();
+workbox.routing.setCatchHandler(({ request, event }) => {
+    event.waitUntil(logEvent('error', 'fetch-failed', {
+        message: 'Fetch failed',
+        url: request.url,
+        strategy: 'catch-handler',
+        outcome: 'offline-fallback'
+    }));
+    return getOfflineFallback(request, (url) => workbox.precaching.matchPrecache(url));
 });
 
+// ============================================
+// Web Share Target
+// Registered before the background sync route, so share POSTs are never queued
+// ============================================
+workbox.routing.registerRoute(
+    ({ request }) => isShareTargetRequest(request),
+    ({ request }) => handleShareTarget(request),
+    'POST'
+);
+
 // ============================================
 // Background Sync (if supported)
 // Workbox makes background sync much easier!
@@ -128,14 +276,19 @@ if ('BackgroundSyncPlugin' in workbox) {
     const bgSyncPlugin = new workbox.backgroundSync.BackgroundSyncPlugin('syncQueue', {
         maxRetentionTime: 24 * 60, // Retry for up to 24 hours (in minutes)
         onSync: async ({ queue }) => {
-            console.log('[Workbox] Background sync triggered');
+            await logEvent('info', 'sync', { message: 'Background sync triggered', outcome: 'syncQueue' });
             let entry;
             while ((entry = await queue.shiftRequest())) {
                 try {
                     await fetch(entry.request);
-                    console.log('[Workbox] Replay successful for:', entry.request.url);
+                    logEvent('info', 'outbox-replay', { message: 'Replay successful', url: entry.request.url, strategy: 'background-sync', outcome: 'replayed' });
                 } catch (error) {
-                    console.error('[Workbox] Replay failed:', error);
+                    await logEvent('warn', 'outbox-replay', {
+                        message: `Replay failed: ${error.message}`,
+                        url: entry.request.url,
+                        strategy: 'background-sync',
+                        outcome: 'retry'
+                    });
                     await queue.unshiftRequest(entry);
                     throw error;
                 }
@@ -143,9 +296,13 @@ if ('BackgroundSyncPlugin' in workbox) {
         },
     });
 
+    // Telemetry and notes keep their own IndexedDB queues, so they aren't queued twice
+    const selfSyncingPaths = [`${API_PATH_PREFIX}telemetry`, `${API_PATH_PREFIX}notes`];
+
     // Example: Queue failed POST requests for retry when online
     workbox.routing.registerRoute(
-        ({ request }) => request.method === 'POST',
+        ({ url, request }) => request.method === 'POST' && !isShareTargetRequest(request)
+            && !selfSyncingPaths.some((path) => url.pathname === path || url.pathname.startsWith(`${path}/`)),
         new workbox.strategies.NetworkOnly({
             plugins: [bgSyncPlugin],
         }),
@@ -153,35 +310,51 @@ if ('BackgroundSyncPlugin' in workbox) {
     );
 }
 
+// ============================================
+// Notes Sync (same as vanilla sw.js)
+// Notes resolve version conflicts, which a replayed request can't, so they sync themselves
+// ============================================
+self.addEventListener('sync', (event) => {
+    event.waitUntil(logEvent('info', 'sync', { message: `Sync event: ${event.tag}`, outcome: event.tag }));
+    if (event.tag === NotesSync.SYNC_TAG) {
+        event.waitUntil(NotesSync.syncFromWorker(event));
+    }
+});
+
+// ============================================
+// Periodic Background Sync (same as vanilla sw.js)
+// Workbox has no periodic sync module; the feed and badge live in sw/whats-new.js
+// ============================================
+self.addEventListener('periodicsync', (event) => {
+    event.waitUntil(logEvent('info', 'periodic-sync', { message: `Periodic sync event: ${event.tag}`, outcome: event.tag }));
+    handleWhatsNewSync(event);
+});
+
 // ============================================
 // Push Notifications (same as vanilla sw.js)
-// Workbox doesn't handle push notifications, so we use the same approach
+// Workbox doesn't handle push notifications, so both workers share sw/push.js
 // ============================================
 self.addEventListener('push', (event) => {
-    console.log('[Workbox SW] Push received:', event);
-    
-    const options = {
-        body: event.data ? event.data.text() : 'New notification from PWA Demo',
-        icon: './icons/icon-192.png',
-        badge: './icons/icon-96.png',
-        vibrate: [100, 50, 100],
-        data: {
-            dateOfArrival: Date.now(),
-            primaryKey: 1
-        }
-    };
+    event.waitUntil(logEvent('info', 'push', { message: 'Push received', outcome: event.data ? 'payload' : 'empty' }));
     
     event.waitUntil(
-        self.registration.showNotification('PWA Get Started (Workbox)', options)
+        showPushNotification(event, { title: 'PWA Get Started (Workbox)', titleKey: 'notification.title_workbox' })
     );
 });
 
 self.addEventListener('notificationclick', (event) => {
-    console.log('[Workbox SW] Notification click:', event);
-    event.notification.close();
+    event.waitUntil(logEvent('info', 'notification-click', { message: 'Notification click', outcome: event.action || 'body' }));
     
     event.waitUntil(
-        clients.openWindow('./')
+        handleNotificationClick(event)
+    );
+});
+
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(logEvent('warn', 'push-subscription-change', { message: 'Push subscription changed' }));
+    
+    event.waitUntil(
+        handlePushSubscriptionChange(event)
     );
 });
 
@@ -189,11 +362,53 @@ self.addEventListener('notificationclick', (event) => {
 // Message Event - Handle Messages from Client
 // ============================================
 self.addEventListener('message', (event) => {
-    console.log('[Workbox SW] Message received:', event.data);
+    // Diagnostics panel: the structured event log (handled first, so reading it isn't logged)
+    if (handleLogMessage(event)) {
+        return;
+    }
+
+    logEvent('debug', 'message', { message: `Message received: ${event.data && event.data.type}` });
     
     if (event.data && event.data.type === 'SKIP_WAITING') {
+        logEvent('info', 'skip-waiting', { message: 'Skip waiting' });
         self.skipWaiting();
     }
+
+    // Offline readiness probe and repair for the checklist
+    handleOfflineProbeMessage(event, PRECACHE);
+
+    // Cache Storage inspector panel
+    handleCacheInspectorMessage(event);
+
+    // Shared-content view
+    handleShareTargetMessage(event);
+
+    // Navigation mode toggle and timing readout
+    handleNavigationMessage(event);
+
+    // Delta cache updates on demand, and the last result
+    handleDeltaUpdateMessage(event);
+
+    // "What's new" feed and its unread badge
+    handleWhatsNewMessage(event);
+
+    // The page's locale, for its cached shell and notification text
+    handleLocaleMessage(event);
+
+    // Implementation switcher: which worker this is and which caches it uses
+    handleWorkerInfoMessage(event, {
+        implementation: 'workbox',
+        cacheNames: [
+            workbox.core.cacheNames.precache,
+            workbox.core.cacheNames.runtime,
+            'pwa-getstarted-pages',
+            'pwa-getstarted-images',
+            'pwa-getstarted-assets',
+            WHATS_NEW_CACHE,
+            ...LOCALE_CACHE_NAMES
+        ],
+        workbox: { version: WORKBOX_VERSION, source: WORKBOX_SOURCE }
+    });
 });
 
-console.log('[Workbox SW] Script loaded');
+logEvent('debug', 'startup', { message: 'Script loaded' });
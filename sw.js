@@ -3,42 +3,103 @@
  * Handles caching and offline functionality
  */
 
-const CACHE_NAME = 'pwa-getstarted-v1';
-const CACHE_URLS = [
-    './',
-    './index.html',
-    './styles.css',
-    './app.js',
-    './manifest.json',
-    './icons/icon-72.png',
-    './icons/icon-96.png',
-    './icons/icon-128.png',
-    './icons/icon-144.png',
-    './icons/icon-152.png',
-    './icons/icon-192.png',
-    './icons/icon-384.png',
-    './icons/icon-512.png'
+// Helpers shared with sw-workbox.js
+importScripts('./sw/messages.js', './sw/push.js', './sw/offline-probe.js', './sw/offline-fallbacks.js', './sw/cache-inspector.js');
+importScripts('./sw/idb.js', './sw/outbox.js', './sw/share-target.js', './sw/delta-update.js', './sw/whats-new.js');
+importScripts('./sw/cache-expiration.js', './sw/navigation.js', './sw/router.js', './sw/worker-info.js');
+importScripts('./sw/logger.js', './i18n.js', './sw/locale.js');
+
+// Entries in the diagnostics log (sw/logger.js) say which worker wrote them
+configureLogger({ worker: 'vanilla', prefix: '[ServiceWorker]' });
+
+// Offline-first notes, shared with the page (app.js)
+importScripts('./notes-sync.js');
+
+// Generated by `npm run build` - lists every precached file with its content hash
+importScripts('./precache-manifest.js');
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+// The version is a hash of all precached files, so any change gets a fresh cache
+const CACHE_NAME = `pwa-getstarted-${PRECACHE_MANIFEST.version}`;
+const CACHE_URLS = PRECACHE_MANIFEST.entries.map((entry) => entry.url);
+
+// ============================================
+// Runtime Routes - Same strategies as sw-workbox.js
+// Checked in order after the precache; see sw/router.js for the format
+// ============================================
+const ROUTES = [
+    // Cache-First for images
+    {
+        match: { destination: 'image' },
+        strategy: 'cache-first',
+        cacheName: 'pwa-getstarted-images',
+        cacheableStatuses: [0, 200],
+        expiration: {
+            maxEntries: 50,
+            maxAgeSeconds: 30 * 24 * 60 * 60 // 30 days
+        }
+    },
+    // Stale-While-Revalidate for CSS, JS and the manifest
+    {
+        match: { destination: ['style', 'script', 'manifest'] },
+        strategy: 'stale-while-revalidate',
+        cacheName: 'pwa-getstarted-assets',
+        cacheableStatuses: [0, 200],
+        expiration: {
+            maxEntries: 60,
+            maxAgeSeconds: 7 * 24 * 60 * 60 // 7 days
+        }
+    },
+    // Network-First for HTML pages
+    {
+        match: { destination: 'document' },
+        strategy: 'network-first',
+        networkTimeoutSeconds: 3,
+        cacheName: 'pwa-getstarted-pages',
+        expiration: {
+            maxEntries: 20
+        }
+    },
+    // API responses must be fresh
+    {
+        match: { urlPattern: API_PATH_PREFIX },
+        strategy: 'network-only'
+    }
 ];
 
+// Plus the "what's new" feed (sw/whats-new.js), which periodic sync refreshes outside the routes,
+// and each locale's catalog and manifest (sw/locale.js)
+const RUNTIME_CACHE_NAMES = ROUTES.map((route) => route.cacheName).filter(Boolean).concat(WHATS_NEW_CACHE, LOCALE_CACHE_NAMES);
+
+// Describes the precache for the offline readiness probe (sw/offline-probe.js)
+const PRECACHE = {
+    cacheName: CACHE_NAME,
+    urls: CACHE_URLS.map((url) => new URL(url, self.location).href),
+    match: (url) => caches.match(url, { cacheName: CACHE_NAME }),
+    repair: async (url) => {
+        const response = await fetchForPrecache(url);
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(url, response);
+    },
+    fallbackUrl: OFFLINE_PAGE_URL
+};
+
 // ============================================
 // Install Event - Cache Resources
 // ============================================
 self.addEventListener('install', (event) => {
-    console.log('[ServiceWorker] Install');
+    logEvent('info', 'install', { message: 'Install', outcome: CACHE_NAME });
     
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
-                console.log('[ServiceWorker] Caching app shell');
-                return cache.addAll(CACHE_URLS);
-            })
-            .then(() => {
-                console.log('[ServiceWorker] Skip waiting');
-                return self.skipWaiting();
-            })
-            .catch((error) => {
-                console.error('[ServiceWorker] Cache failed:', error);
+                logEvent('info', 'precache', { message: 'Caching app shell', outcome: `${CACHE_URLS.length} files` });
+                // Bypass the HTTP cache so a new version never precaches stale files
+                return cache.addAll(CACHE_URLS.map((url) => new Request(url, { cache: 'reload' })));
             })
+            // No skipWaiting() here: an updated worker waits until the page
+            // sends SKIP_WAITING (the "Reload to update" banner in app.js)
+            .catch((error) => logEvent('error', 'precache', { message: `Cache failed: ${error.message}`, outcome: 'failed' }))
     );
 });
 
@@ -46,135 +107,295 @@ self.addEventListener('install', (event) => {
 // Activate Event - Clean Old Caches
 // ============================================
 self.addEventListener('activate', (event) => {
-    console.log('[ServiceWorker] Activate');
+    logEvent('info', 'activate', { message: 'Activate' });
     
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((cacheName) => cacheName !== CACHE_NAME)
+                        .filter((cacheName) => cacheName !== CACHE_NAME && !RUNTIME_CACHE_NAMES.includes(cacheName))
                         .map((cacheName) => {
-                            console.log('[ServiceWorker] Removing old cache:', cacheName);
+                            logEvent('info', 'cache-cleanup', { message: `Removing old cache ${cacheName}` });
                             return caches.delete(cacheName);
                         })
                 );
             })
+            // Start page requests while the worker boots (sw/navigation.js)
+            .then(() => enableNavigationPreload())
             .then(() => {
-                console.log('[ServiceWorker] Claiming clients');
+                logEvent('debug', 'activate', { message: 'Claiming clients' });
                 return self.clients.claim();
             })
+            .then(() => {
+                // Not waited for: fetches are held back until activation finishes
+                checkForAssetUpdates('activate');
+            })
     );
 });
 
 // ============================================
-// Fetch Event - Serve from Cache, Fallback to Network
+// Fetch Event - Pages Network-First, then Precache First, then the Route Table
 // ============================================
 self.addEventListener('fetch', (event) => {
-    // Skip non-GET requests
+    // Skip cross-origin requests
+    if (!event.request.url.startsWith(self.location.origin)) {
+        return;
+    }
+
+    // Content shared from the OS share sheet (manifest.json share_target), never queued
+    if (isShareTargetRequest(event.request)) {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
+    // Queue failed writes in the outbox so they can be replayed later
+    if (isOutboxRequest(event.request)) {
+        // Keep a copy with an unread body, fetch() consumes the original
+        const requestToQueue = event.request.clone();
+
+        event.respondWith(
+            fetch(event.request)
+                .catch(async (error) => {
+                    logEvent('warn', 'fetch-failed', {
+                        message: 'Write failed, queueing',
+                        url: event.request.url,
+                        strategy: 'outbox',
+                        outcome: 'queued'
+                    });
+                    await queueRequest(requestToQueue);
+                    // Like Workbox's BackgroundSyncPlugin, the page still sees the network error
+                    throw error;
+                })
+        );
+        return;
+    }
+
+    // Skip other non-GET requests
     if (event.request.method !== 'GET') {
         return;
     }
 
-    // Skip cross-origin requests
-    if (!event.request.url.startsWith(self.location.origin)) {
+    // A locale's catalog and localized manifest, from that locale's own cache (sw/locale.js)
+    const shellLocale = getLocaleShellRequest(event.request);
+    if (shellLocale) {
+        event.respondWith(handleLocaleShellRequest(event, shellLocale));
         return;
     }
 
+    // Pages: the streamed app shell, or network-first through the navigation preload
+    if (event.request.mode === 'navigate') {
+        // Refresh changed files in the background once in a while (sw/delta-update.js)
+        scheduleAssetCheck(event);
+        event.respondWith(
+            handleNavigation(event).catch((error) => {
+                event.waitUntil(logEvent('error', 'fetch-failed', {
+                    message: `Navigation failed: ${error.message}`,
+                    url: event.request.url,
+                    strategy: 'navigation',
+                    outcome: 'offline-fallback'
+                }));
+                return getOfflineFallback(event.request, PRECACHE.match);
+            })
+        );
+        return;
+    }
+
+    const route = matchRoute(ROUTES, event.request);
+
     event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    console.log('[ServiceWorker] Serving from cache:', event.request.url);
-                    return cachedResponse;
+        // Precached files always come from the precache
+        caches.match(event.request, { cacheName: CACHE_NAME })
+            .then((precachedResponse) => {
+                if (precachedResponse) {
+                    logEvent('debug', 'cache-hit', {
+                        message: 'Serving from precache',
+                        url: event.request.url,
+                        strategy: 'precache',
+                        outcome: 'cache'
+                    });
+                    return precachedResponse;
                 }
 
-                console.log('[ServiceWorker] Fetching:', event.request.url);
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Don't cache non-successful responses
-                        if (!networkResponse || networkResponse.status !== 200) {
-                            return networkResponse;
-                        }
-
-                        // Clone the response since it can only be consumed once
-                        const responseToCache = networkResponse.clone();
-
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseToCache);
-                            });
-
-                        return networkResponse;
-                    })
-                    .catch((error) => {
-                        console.error('[ServiceWorker] Fetch failed:', error);
-                        
-                        // Return a custom offline page for navigation requests
-                        if (event.request.mode === 'navigate') {
-                            return caches.match('./index.html');
-                        }
-                        
-                        throw error;
-                    });
+                if (route) {
+                    return handleRoute(route, event);
+                }
+
+                // No route: plain network, nothing is cached
+                return fetch(event.request);
+            })
+            .catch((error) => {
+                event.waitUntil(logEvent('error', 'fetch-failed', {
+                    message: `Fetch failed: ${error.message}`,
+                    url: event.request.url,
+                    strategy: route ? route.strategy : 'network',
+                    outcome: 'offline-fallback'
+                }));
+                
+                // Offline page, placeholder image, stylesheet or API error (sw/offline-fallbacks.js)
+                return getOfflineFallback(event.request, (url) => caches.match(url, { cacheName: CACHE_NAME }));
             })
     );
 });
 
+// ============================================
+// Navigations - Navigation Preload & Streaming
+// ============================================
+const PAGE_ROUTE = ROUTES.find((route) => route.match.destination === 'document');
+
+async function handleNavigation(event) {
+    const streamed = await handleStreamingNavigation(event, PRECACHE.match);
+    if (streamed) {
+        return streamed;
+    }
+
+    try {
+        const response = await handleRoute(PAGE_ROUTE, event);
+        return withNavigationTiming(response, await describeNavigationResponse(event, response, 'network-first'));
+    } catch (error) {
+        // Offline and not in the pages cache: the precached copy, if the page has one
+        const precached = await matchPrecachedPage(event.request, PRECACHE.match);
+        if (precached) {
+            return withNavigationTiming(precached, 'precache');
+        }
+        throw error;
+    }
+}
+
 // ============================================
 // Message Event - Handle Messages from Client
 // ============================================
 self.addEventListener('message', (event) => {
-    console.log('[ServiceWorker] Message received:', event.data);
+    // Diagnostics panel: the structured event log (handled first, so reading it isn't logged)
+    if (handleLogMessage(event)) {
+        return;
+    }
+
+    logEvent('debug', 'message', { message: `Message received: ${event.data && event.data.type}` });
     
     if (event.data && event.data.type === 'SKIP_WAITING') {
+        logEvent('info', 'skip-waiting', { message: 'Skip waiting' });
         self.skipWaiting();
     }
+
+    // Fallback for browsers without Background Sync: the page tells us it's back online
+    if (event.data && event.data.type === 'REPLAY_OUTBOX') {
+        event.waitUntil(replayOutbox({ ignoreBackoff: true }));
+    }
+
+    // Offline readiness probe and repair for the checklist
+    if (handleOfflineProbeMessage(event, PRECACHE)) {
+        return;
+    }
+
+    // Cache Storage inspector panel. Entries show when they were stored, from their expiration
+    // timestamps, and what it deletes loses those too, so they don't count against maxEntries.
+    if (handleCacheInspectorMessage(event, {
+        getTimestamps: (cacheName) => new CacheExpiration(cacheName).getTimestamps(),
+        onEntryDeleted: (cacheName, url) => new CacheExpiration(cacheName).deleteTimestamp(url),
+        onCacheCleared: (cacheName) => new CacheExpiration(cacheName).clear()
+    })) {
+        return;
+    }
+
+    // Shared-content view
+    if (handleShareTargetMessage(event)) {
+        return;
+    }
+
+    // Navigation mode toggle and timing readout
+    if (handleNavigationMessage(event)) {
+        return;
+    }
+
+    // Delta cache updates on demand, and the last result
+    if (handleDeltaUpdateMessage(event)) {
+        return;
+    }
+
+    // "What's new" feed and its unread badge
+    if (handleWhatsNewMessage(event)) {
+        return;
+    }
+
+    // The page's locale, for its cached shell and notification text
+    if (handleLocaleMessage(event)) {
+        return;
+    }
+
+    // Implementation switcher: which worker this is and which caches it uses
+    if (handleWorkerInfoMessage(event, { implementation: 'vanilla', cacheNames: [CACHE_NAME, ...RUNTIME_CACHE_NAMES] })) {
+        return;
+    }
+
+    if (event.data && event.data.type === 'GET_OUTBOX_STATUS') {
+        replyToMessage(event, 'OUTBOX_STATUS', listOutbox().then((entries) => ({
+            pending: entries.length,
+            entries: entries.map(describeEntry)
+        })));
+    }
 });
 
 // ============================================
 // Background Sync (if supported)
 // ============================================
 self.addEventListener('sync', (event) => {
-    console.log('[ServiceWorker] Sync event:', event.tag);
+    event.waitUntil(logEvent('info', 'sync', { message: `Sync event: ${event.tag}`, outcome: event.tag }));
     
-    if (event.tag === 'sync-data') {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(
+            // Replay requests queued in the IndexedDB outbox
+            syncOutbox(event)
+        );
+    }
+
+    if (event.tag === NotesSync.SYNC_TAG) {
         event.waitUntil(
-            // Perform background sync tasks here
-            Promise.resolve()
+            // Push note changes made offline and pull the server's
+            NotesSync.syncFromWorker(event)
         );
     }
 });
 
+// Without Background Sync, also try whenever the worker starts up
+if (!('sync' in self.registration)) {
+    replayOutbox().catch((error) => logEvent('error', 'sync', { message: `Outbox replay failed: ${error.message}`, outcome: 'failed' }));
+}
+
+// ============================================
+// Periodic Background Sync - "What's New" Feed & App Badge
+// Registered by the installed app; see sw/whats-new.js
+// ============================================
+self.addEventListener('periodicsync', (event) => {
+    event.waitUntil(logEvent('info', 'periodic-sync', { message: `Periodic sync event: ${event.tag}`, outcome: event.tag }));
+    handleWhatsNewSync(event);
+});
+
 // ============================================
 // Push Notifications (if supported)
 // ============================================
 self.addEventListener('push', (event) => {
-    console.log('[ServiceWorker] Push received:', event);
-    
-    const options = {
-        body: event.data ? event.data.text() : 'New notification from PWA Demo',
-        icon: './icons/icon-192.png',
-        badge: './icons/icon-96.png',
-        vibrate: [100, 50, 100],
-        data: {
-            dateOfArrival: Date.now(),
-            primaryKey: 1
-        }
-    };
+    event.waitUntil(logEvent('info', 'push', { message: 'Push received', outcome: event.data ? 'payload' : 'empty' }));
     
     event.waitUntil(
-        self.registration.showNotification('PWA Get Started', options)
+        showPushNotification(event)
     );
 });
 
 self.addEventListener('notificationclick', (event) => {
-    console.log('[ServiceWorker] Notification click:', event);
-    event.notification.close();
+    event.waitUntil(logEvent('info', 'notification-click', { message: 'Notification click', outcome: event.action || 'body' }));
+    
+    event.waitUntil(
+        handleNotificationClick(event)
+    );
+});
+
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(logEvent('warn', 'push-subscription-change', { message: 'Push subscription changed' }));
     
     event.waitUntil(
-        clients.openWindow('./')
+        handlePushSubscriptionChange(event)
     );
 });
 
-console.log('[ServiceWorker] Script loaded');
+logEvent('debug', 'startup', { message: 'Script loaded' });
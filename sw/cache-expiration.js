@@ -0,0 +1,156 @@
+/**
+ * maxEntries / maxAgeSeconds eviction for runtime caches (sw.js)
+ * The hand-written equivalent of Workbox's ExpirationPlugin: Cache Storage
+ * doesn't record when an entry was added, so timestamps live in IndexedDB.
+ *
+ * Requires sw/idb.js and sw/logger.js.
+ */
+
+const EXPIRATION_DB_NAME = 'pwa-getstarted-expiration';
+const EXPIRATION_STORE = 'timestamps';
+
+function openExpirationDb() {
+    return openDatabase(EXPIRATION_DB_NAME, 1, (db) => {
+        const store = db.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+        store.createIndex('cacheName', 'cacheName');
+        store.createIndex('cacheName_timestamp', ['cacheName', 'timestamp']);
+    });
+}
+
+class CacheExpiration {
+    /**
+     * @param {string} cacheName
+     * @param {object} config
+     * @param {number} [config.maxEntries] - keep at most this many entries, evicting the oldest
+     * @param {number} [config.maxAgeSeconds] - entries older than this are treated as missing
+     */
+    constructor(cacheName, config = {}) {
+        this.cacheName = cacheName;
+        this.maxEntries = config.maxEntries;
+        this.maxAgeSeconds = config.maxAgeSeconds;
+        this.running = null;
+        this.rerun = false;
+    }
+
+    id(url) {
+        return `${this.cacheName}|${url}`;
+    }
+
+    /**
+     * Record that `url` was just written to the cache
+     */
+    async updateTimestamp(url) {
+        const db = await openExpirationDb();
+        await withStore(db, EXPIRATION_STORE, 'readwrite', (store) => idbRequest(store.put({
+            id: this.id(url),
+            cacheName: this.cacheName,
+            url,
+            timestamp: Date.now()
+        })));
+    }
+
+    /**
+     * Check whether a cached entry is past maxAgeSeconds. Entries we have no timestamp for
+     * (cached before expiration was configured) count as fresh.
+     */
+    async isExpired(url) {
+        if (!this.maxAgeSeconds) {
+            return false;
+        }
+        const db = await openExpirationDb();
+        const record = await withStore(db, EXPIRATION_STORE, 'readonly', (store) => idbRequest(store.get(this.id(url))));
+        return Boolean(record) && Date.now() - record.timestamp > this.maxAgeSeconds * 1000;
+    }
+
+    /**
+     * Delete entries past maxAgeSeconds, then the oldest ones beyond maxEntries.
+     * Calls made while a pass is running schedule one more pass instead of overlapping;
+     * the pass they get back settles once that one has run too.
+     */
+    expireEntries() {
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        this.running = this.findExpiredUrls()
+            .then((urls) => this.deleteEntries(urls))
+            .finally(() => {
+                this.running = null;
+                if (this.rerun) {
+                    this.rerun = false;
+                    return this.expireEntries();
+                }
+                return undefined;
+            });
+        return this.running;
+    }
+
+    async findExpiredUrls() {
+        const db = await openExpirationDb();
+        // Oldest first, thanks to the [cacheName, timestamp] index
+        const records = await withStore(db, EXPIRATION_STORE, 'readonly', (store) => idbRequest(
+            store.index('cacheName_timestamp').getAll(IDBKeyRange.bound([this.cacheName, 0], [this.cacheName, Infinity]))
+        ));
+
+        const minTimestamp = this.maxAgeSeconds ? Date.now() - this.maxAgeSeconds * 1000 : -Infinity;
+        const expired = records.filter((record) => record.timestamp < minTimestamp);
+        const fresh = records.filter((record) => record.timestamp >= minTimestamp);
+
+        if (this.maxEntries && fresh.length > this.maxEntries) {
+            expired.push(...fresh.slice(0, fresh.length - this.maxEntries));
+        }
+        return expired.map((record) => record.url);
+    }
+
+    /**
+     * When each entry was last written to the cache: url -> timestamp
+     */
+    async getTimestamps() {
+        const db = await openExpirationDb();
+        const records = await withStore(db, EXPIRATION_STORE, 'readonly', (store) => idbRequest(
+            store.index('cacheName').getAll(IDBKeyRange.only(this.cacheName))
+        ));
+        return new Map(records.map((record) => [record.url, record.timestamp]));
+    }
+
+    /**
+     * Forget the timestamp of one entry, e.g. after it was deleted from the cache
+     */
+    async deleteTimestamp(url) {
+        const db = await openExpirationDb();
+        await withStore(db, EXPIRATION_STORE, 'readwrite', (store) => idbRequest(store.delete(this.id(url))));
+    }
+
+    async deleteEntries(urls) {
+        if (urls.length === 0) {
+            return;
+        }
+
+        const cache = await caches.open(this.cacheName);
+        await Promise.all(urls.map((url) => cache.delete(url)));
+
+        const db = await openExpirationDb();
+        await withStore(db, EXPIRATION_STORE, 'readwrite', (store) => {
+            urls.forEach((url) => store.delete(this.id(url)));
+        });
+        logEvent('debug', 'cache-expired', { outcome: this.cacheName, message: `Expired ${urls.length} entries from ${this.cacheName}` });
+    }
+
+    /**
+     * Forget every timestamp for this cache, e.g. after the cache itself was deleted
+     */
+    async clear() {
+        const db = await openExpirationDb();
+        await withStore(db, EXPIRATION_STORE, 'readwrite', (store) => {
+            const request = store.index('cacheName').openKeyCursor(IDBKeyRange.only(this.cacheName));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Cache Storage inspector shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/messages.js.
+ *
+ * Answers messages from the inspector panel in app.js over a MessageChannel:
+ *   LIST_CACHES                          -> caches, entries, totals and storage estimate
+ *   DELETE_CACHE_ENTRY { cacheName, url }
+ *   CLEAR_CACHE { cacheName }
+ *
+ * A worker that keeps its own bookkeeping about cache entries passes hooks to clean it up:
+ *
+ *   {
+ *       getTimestamps: (cacheName) => Promise<Map<url, time stored>>,
+ *       onEntryDeleted: (cacheName, url) => Promise<void>,
+ *       onCacheCleared: (cacheName) => Promise<void>
+ *   }
+ *
+ * An entry's `cachedAt` is the time getTimestamps() has for it (`cachedAtSource: 'stored'`).
+ * Without one it falls back to the response's Date header (`'date-header'`): when the server
+ * made the response, which for precached or revalidated entries can be long before it was stored.
+ */
+
+const INSPECTOR_CACHE_PREFIX = 'pwa-getstarted-';
+
+/**
+ * Guess what a cache is for from its name
+ */
+function getCacheKind(cacheName) {
+    const kinds = ['precache', 'runtime', 'images', 'assets', 'pages'];
+    return kinds.find((kind) => cacheName.includes(kind)) || (/-[0-9a-f]{8}$/.test(cacheName) ? 'precache' : 'other');
+}
+
+async function describeCacheEntry(request, response, storedAt) {
+    const contentLength = Number(response.headers.get('content-length'));
+    // Opaque responses have no readable body; fall back to the header (or 0)
+    const size = response.type === 'opaque'
+        ? contentLength || 0
+        : (await response.clone().blob()).size;
+
+    const date = response.headers.get('date');
+    let cachedAt = null;
+    let cachedAtSource = null;
+    if (storedAt) {
+        cachedAt = storedAt;
+        cachedAtSource = 'stored';
+    } else if (date) {
+        cachedAt = new Date(date).getTime();
+        cachedAtSource = 'date-header';
+    }
+
+    return {
+        url: request.url,
+        size,
+        contentType: response.headers.get('content-type') || (response.type === 'opaque' ? 'opaque' : 'unknown'),
+        cachedAt,
+        cachedAtSource,
+        status: response.status
+    };
+}
+
+async function describeCache(cacheName, hooks = {}) {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    const timestamps = hooks.getTimestamps ? await hooks.getTimestamps(cacheName) : new Map();
+    const entries = await Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        return response ? describeCacheEntry(request, response, timestamps.get(request.url)) : null;
+    }));
+    const present = entries.filter(Boolean);
+
+    return {
+        name: cacheName,
+        kind: getCacheKind(cacheName),
+        entries: present,
+        count: present.length,
+        size: present.reduce((total, entry) => total + entry.size, 0)
+    };
+}
+
+async function inspectCaches(hooks) {
+    const cacheNames = (await caches.keys()).filter((name) => name.startsWith(INSPECTOR_CACHE_PREFIX));
+    const cacheList = await Promise.all(cacheNames.map((cacheName) => describeCache(cacheName, hooks)));
+
+    let storage = null;
+    if (self.navigator.storage && self.navigator.storage.estimate) {
+        const { usage, quota } = await self.navigator.storage.estimate();
+        const persisted = self.navigator.storage.persisted ? await self.navigator.storage.persisted() : null;
+        storage = { usage, quota, persisted };
+    }
+
+    return {
+        caches: cacheList,
+        totals: {
+            caches: cacheList.length,
+            entries: cacheList.reduce((total, cache) => total + cache.count, 0),
+            size: cacheList.reduce((total, cache) => total + cache.size, 0)
+        },
+        storage
+    };
+}
+
+async function deleteCacheEntry(cacheName, url, hooks = {}) {
+    if (!cacheName.startsWith(INSPECTOR_CACHE_PREFIX)) {
+        throw new Error(`Not one of our caches: ${cacheName}`);
+    }
+    const cache = await caches.open(cacheName);
+    const deleted = await cache.delete(url);
+    if (deleted && hooks.onEntryDeleted) {
+        await hooks.onEntryDeleted(cacheName, url);
+    }
+    return deleted;
+}
+
+async function clearCache(cacheName, hooks = {}) {
+    if (!cacheName.startsWith(INSPECTOR_CACHE_PREFIX)) {
+        throw new Error(`Not one of our caches: ${cacheName}`);
+    }
+    const deleted = await caches.delete(cacheName);
+    if (deleted && hooks.onCacheCleared) {
+        await hooks.onCacheCleared(cacheName);
+    }
+    return deleted;
+}
+
+/**
+ * Answer inspector messages. Returns true when the message was one of ours.
+ */
+function handleCacheInspectorMessage(event, hooks) {
+    const message = event.data || {};
+
+    let work;
+    switch (message.type) {
+        case 'LIST_CACHES':
+            work = inspectCaches(hooks);
+            break;
+        case 'DELETE_CACHE_ENTRY':
+            work = deleteCacheEntry(message.cacheName, message.url, hooks).then((deleted) => ({ deleted }));
+            break;
+        case 'CLEAR_CACHE':
+            work = clearCache(message.cacheName, hooks).then((deleted) => ({ deleted }));
+            break;
+        default:
+            return false;
+    }
+
+    replyToMessage(event, 'CACHE_INSPECTOR_RESULT', work);
+    return true;
+}
@@ -0,0 +1,228 @@
+/**
+ * Delta cache updates, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/idb.js, sw/logger.js, sw/messages.js and sw/offline-fallbacks.js.
+ *
+ * GET /api/version (server/asset-versions.js) lists every file on the server with the ETag
+ * it is served with. Comparing those with the ETags of the cached responses tells which
+ * entries changed: only those are downloaded again, and entries whose file is gone are
+ * dropped. This covers every pwa-getstarted-* cache, precache and runtime alike, without
+ * installing a new worker.
+ *
+ * Checks run on activation, on navigations once ASSET_CHECK_INTERVAL has passed since the
+ * last one, and when the page asks over a MessageChannel:
+ *   CHECK_ASSET_UPDATES   -> ASSET_UPDATES { version, checked, updated, deleted, failed, bytes, at }
+ *   GET_ASSET_UPDATES     -> ASSET_UPDATES with the last result, or { never: true }
+ * Every check's result is also posted to all open pages as ASSET_UPDATES.
+ */
+
+const ASSET_VERSION_URL = './api/version';
+const ASSET_CACHE_PREFIX = 'pwa-getstarted-';
+const ASSET_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const ASSET_DB_NAME = 'pwa-getstarted-asset-updates';
+const ASSET_STORE = 'state';
+
+// The check in progress, so overlapping triggers share one run
+let assetCheck = null;
+
+// ============================================
+// Last Result
+// Kept in IndexedDB: the worker is stopped between events, the interval has to outlive it
+// ============================================
+function openAssetDatabase() {
+    return openDatabase(ASSET_DB_NAME, 1, (db) => {
+        db.createObjectStore(ASSET_STORE);
+    });
+}
+
+async function getLastAssetUpdate() {
+    const db = await openAssetDatabase();
+    const last = await withStore(db, ASSET_STORE, 'readonly', (store) => idbRequest(store.get('last')));
+    return last || null;
+}
+
+async function saveLastAssetUpdate(result) {
+    const db = await openAssetDatabase();
+    await withStore(db, ASSET_STORE, 'readwrite', (store) => idbRequest(store.put(result, 'last')));
+}
+
+// ============================================
+// Comparing & Refreshing
+// ============================================
+
+// server/compression.js marks each encoding's copy of a file as "<hash>-br" / "<hash>-gzip"
+const ENCODING_ETAG_SUFFIX = /-(?:br|gzip)"$/;
+
+/**
+ * Whether a cached response is the listed asset: the file itself, a compressed copy of it,
+ * or one of its `variants` (each locale's manifest.json)
+ */
+function isSameAsset(cachedEtag, asset) {
+    if (!cachedEtag) {
+        return false;
+    }
+    const strong = cachedEtag.replace(/^W\//, '');
+    if (strong === asset.etag || strong.replace(ENCODING_ETAG_SUFFIX, '"') === asset.etag) {
+        return true;
+    }
+    return Object.values(asset.variants || {}).includes(strong);
+}
+
+/**
+ * The server path a cached entry came from, with directories mapped to their index.html.
+ * Null for entries that aren't static files: other origins and the API.
+ */
+function getAssetPath(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || url.pathname.startsWith(API_PATH_PREFIX)) {
+        return null;
+    }
+    return url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+}
+
+/**
+ * The listed asset for a cached entry. Pages the server answers with its SPA fallback count as that file.
+ */
+function findAsset(versions, assetPath, cached) {
+    if (versions.assets[assetPath]) {
+        return versions.assets[assetPath];
+    }
+    const isPage = (cached.headers.get('Content-Type') || '').startsWith('text/html');
+    return versions.fallback && isPage ? versions.assets[versions.fallback] : null;
+}
+
+async function downloadAsset(url) {
+    // Straight from the server: the HTTP cache may still hold the old copy
+    const response = await fetch(url, { cache: 'no-store', credentials: 'same-origin' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const size = (await response.clone().blob()).size;
+    return { response, size };
+}
+
+async function applyAssetUpdates() {
+    const versionResponse = await fetch(ASSET_VERSION_URL, { cache: 'no-store' });
+    if (!versionResponse.ok) {
+        throw new Error(`Version check failed: HTTP ${versionResponse.status}`);
+    }
+    const versions = await versionResponse.json();
+
+    const result = { version: versions.version, checked: 0, updated: [], deleted: [], failed: [], bytes: 0 };
+    // The same file can sit in several caches (precache and runtime); download it once
+    const downloads = new Map();
+
+    const cacheNames = (await caches.keys()).filter((name) => name.startsWith(ASSET_CACHE_PREFIX));
+    for (const cacheName of cacheNames) {
+        const cache = await caches.open(cacheName);
+        for (const request of await cache.keys()) {
+            const assetPath = getAssetPath(request);
+            const cached = assetPath && await cache.match(request);
+            if (!cached) {
+                continue;
+            }
+            result.checked += 1;
+
+            const asset = findAsset(versions, assetPath, cached);
+            if (!asset) {
+                await cache.delete(request);
+                result.deleted.push(request.url);
+                continue;
+            }
+            if (isSameAsset(cached.headers.get('ETag'), asset)) {
+                continue;
+            }
+
+            if (!downloads.has(assetPath)) {
+                const download = downloadAsset(request.url);
+                download.then(({ size }) => {
+                    result.bytes += size;
+                }, () => {});
+                downloads.set(assetPath, download);
+            }
+            try {
+                const { response } = await downloads.get(assetPath);
+                await cache.put(request, response.clone());
+                result.updated.push(request.url);
+            } catch (error) {
+                logEvent('warn', 'asset-update-failed', { url: request.url, message: `Could not refresh: ${error.message}` });
+                result.failed.push(request.url);
+            }
+        }
+    }
+
+    return result;
+}
+
+async function notifyAssetUpdates(result) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage({ type: 'ASSET_UPDATES', ...result }));
+}
+
+/**
+ * Bring every cache up to date with the server. `reason` is 'activate', 'interval' or 'page'.
+ * Resolves with the result, which is also saved and sent to every open page.
+ */
+function checkForAssetUpdates(reason) {
+    if (!assetCheck) {
+        assetCheck = applyAssetUpdates()
+            .then((result) => ({ ...result, reason, at: Date.now() }))
+            .catch((error) => ({ reason, error: error.message, at: Date.now() }))
+            .then(async (result) => {
+                if (result.error) {
+                    logEvent('warn', 'asset-check', { outcome: 'failed', message: `Delta update check failed: ${result.error}` });
+                } else {
+                    logEvent('info', 'asset-check', {
+                        outcome: reason,
+                        message: `Delta update: ${result.updated.length} updated, ${result.deleted.length} deleted, ${result.bytes} bytes`
+                    });
+                }
+                await saveLastAssetUpdate(result).catch(() => {});
+                await notifyAssetUpdates(result);
+                return result;
+            })
+            .finally(() => {
+                assetCheck = null;
+            });
+    }
+    return assetCheck;
+}
+
+/**
+ * Call from navigations: checks again once ASSET_CHECK_INTERVAL has passed since the last check
+ */
+function scheduleAssetCheck(event) {
+    event.waitUntil(
+        getLastAssetUpdate()
+            .catch(() => null)
+            .then((last) => {
+                if (!assetCheck && (!last || Date.now() - last.at >= ASSET_CHECK_INTERVAL)) {
+                    return checkForAssetUpdates('interval');
+                }
+                return null;
+            })
+    );
+}
+
+// ============================================
+// Messages
+// ============================================
+
+/**
+ * Answer CHECK_ASSET_UPDATES and GET_ASSET_UPDATES. Returns true when the message was one of ours.
+ */
+function handleDeltaUpdateMessage(event) {
+    const message = event.data || {};
+
+    let work;
+    if (message.type === 'CHECK_ASSET_UPDATES') {
+        work = checkForAssetUpdates('page');
+    } else if (message.type === 'GET_ASSET_UPDATES') {
+        work = getLastAssetUpdate().then((last) => last || { never: true });
+    } else {
+        return false;
+    }
+
+    replyToMessage(event, 'ASSET_UPDATES', work);
+    return true;
+}
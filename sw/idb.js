@@ -0,0 +1,62 @@
+/**
+ * Tiny promise wrappers around IndexedDB, for the service workers and the page
+ * Loaded with importScripts() in the workers and a <script> tag in the page (for telemetry.js
+ * and notes-sync.js), so everything here lives on the global scope.
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+const idbConnections = new Map();
+
+/**
+ * Open (and cache) a database connection.
+ * `upgrade(db, oldVersion, transaction)` runs when the version increases.
+ */
+function openDatabase(name, version, upgrade) {
+    if (!idbConnections.has(name)) {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+
+        const connection = idbRequest(request).then((db) => {
+            // Another worker version wants to upgrade: let it, and reopen next time
+            db.onversionchange = () => {
+                db.close();
+                idbConnections.delete(name);
+            };
+            return db;
+        });
+        connection.catch(() => idbConnections.delete(name));
+        idbConnections.set(name, connection);
+    }
+    return idbConnections.get(name);
+}
+
+/**
+ * Run `callback(store)` in a transaction and resolve with its result once committed
+ */
+async function withStore(db, storeName, mode, callback) {
+    const transaction = db.transaction(storeName, mode);
+    const done = idbTransactionDone(transaction);
+    const result = await callback(transaction.objectStore(storeName));
+    await done;
+    return result;
+}
@@ -0,0 +1,157 @@
+/**
+ * Per-locale app shell and notification text, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires i18n.js, sw/idb.js, sw/logger.js and sw/messages.js.
+ *
+ * The page is the same in every language; what changes is its catalog (locales/<locale>.json)
+ * and the manifest server/i18n.js localizes (manifest.json?lang=<locale>). Each locale keeps
+ * those two in a cache of its own, LOCALE_CACHE_PREFIX + locale: switching languages never
+ * evicts another locale's files, and every locale used before still works offline.
+ *
+ * The page tells the worker which locale it runs in over a MessageChannel:
+ *   SET_LOCALE { locale }   -> LOCALE { locale, cacheName }, once that locale's shell is cached
+ * The worker keeps it in IndexedDB, so notifications shown with no page open use it too.
+ */
+
+const LOCALE_CACHE_PREFIX = 'pwa-getstarted-locale-';
+const LOCALE_CACHE_NAMES = Object.keys(I18n.LOCALES).map(getLocaleCacheName);
+const LOCALE_DB_NAME = 'pwa-getstarted-locale';
+const LOCALE_STORE = 'state';
+
+function getLocaleCacheName(locale) {
+    return `${LOCALE_CACHE_PREFIX}${locale}`;
+}
+
+/**
+ * The catalog and manifest URLs that make up a locale's shell
+ */
+function getLocaleShellUrls(locale) {
+    return [I18n.getCatalogPath(locale), I18n.getManifestPath(locale)]
+        .map((path) => new URL(path, self.registration.scope).href);
+}
+
+/**
+ * The locale whose shell a request is for, or null for every other request
+ */
+function getLocaleShellRequest(request) {
+    if (request.method !== 'GET') {
+        return null;
+    }
+    return Object.keys(I18n.LOCALES).find((locale) => getLocaleShellUrls(locale).includes(request.url)) || null;
+}
+
+/**
+ * Stale-while-revalidate from the locale's own cache
+ */
+async function handleLocaleShellRequest(event, locale) {
+    const cache = await caches.open(getLocaleCacheName(locale));
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (!cached) {
+        return network;
+    }
+    event.waitUntil(network.catch(() => {}));
+    event.waitUntil(logEvent('debug', 'cache-hit', {
+        message: 'Serving from the locale cache',
+        url: event.request.url,
+        strategy: 'locale-shell',
+        outcome: locale
+    }));
+    return cached;
+}
+
+async function cacheLocaleShell(locale) {
+    const cache = await caches.open(getLocaleCacheName(locale));
+    // Past the HTTP cache, so a catalog edited on the server is picked up
+    await cache.addAll(getLocaleShellUrls(locale).map((url) => new Request(url, { cache: 'no-cache' })));
+}
+
+// ============================================
+// The Page's Locale
+// ============================================
+function openLocaleDatabase() {
+    return openDatabase(LOCALE_DB_NAME, 1, (db) => {
+        db.createObjectStore(LOCALE_STORE);
+    });
+}
+
+/**
+ * The locale the page last ran in, or the browser's languages before any page said
+ */
+async function getWorkerLocale() {
+    try {
+        const db = await openLocaleDatabase();
+        const locale = await withStore(db, LOCALE_STORE, 'readonly', (store) => idbRequest(store.get('locale')));
+        if (I18n.matchLocale(locale)) {
+            return locale;
+        }
+    } catch (error) {
+        logEvent('warn', 'locale', { message: `Could not read the locale: ${error.message}` });
+    }
+    return I18n.negotiateLocale(self.navigator.languages || [self.navigator.language]);
+}
+
+async function setWorkerLocale(locale) {
+    const db = await openLocaleDatabase();
+    await withStore(db, LOCALE_STORE, 'readwrite', (store) => idbRequest(store.put(locale, 'locale')));
+}
+
+async function readLocaleCatalog(locale) {
+    const url = new URL(I18n.getCatalogPath(locale), self.registration.scope).href;
+    const response = (await caches.match(url, { cacheName: getLocaleCacheName(locale) })) || await fetch(url);
+    return response.ok ? response.json() : null;
+}
+
+/**
+ * t(key, params) in the page's locale, falling back to English. Offline with nothing cached
+ * it still returns a translator; callers pass their own text for keys it doesn't have.
+ */
+async function getWorkerTranslator() {
+    const locale = await getWorkerLocale();
+    const locales = locale === I18n.DEFAULT_LOCALE ? [locale] : [locale, I18n.DEFAULT_LOCALE];
+    const catalogs = await Promise.all(locales.map((item) => readLocaleCatalog(item).catch(() => null)));
+    return I18n.createTranslator(locale, catalogs);
+}
+
+// ============================================
+// Messages
+// ============================================
+
+/**
+ * Answer SET_LOCALE. Returns true when the message was ours.
+ */
+function handleLocaleMessage(event) {
+    const message = event.data || {};
+
+    if (message.type !== 'SET_LOCALE') {
+        return false;
+    }
+    const locale = I18n.matchLocale(message.locale);
+    if (!locale) {
+        replyToMessage(event, 'LOCALE', Promise.reject(new Error(`Unsupported locale: ${message.locale}`)));
+        return true;
+    }
+
+    const work = Promise.all([
+        setWorkerLocale(locale),
+        cacheLocaleShell(locale),
+        // Every locale falls back on the English catalog for keys it hasn't translated
+        locale === I18n.DEFAULT_LOCALE ? null : cacheLocaleShell(I18n.DEFAULT_LOCALE)
+    ])
+        .then(() => {
+            logEvent('info', 'locale', { message: `Locale set to ${locale}`, outcome: locale });
+            return { locale, cacheName: getLocaleCacheName(locale) };
+        })
+        .catch((error) => {
+            logEvent('warn', 'locale', { message: `Could not cache the ${locale} shell: ${error.message}`, outcome: 'failed' });
+            return { locale, error: error.message };
+        });
+    replyToMessage(event, 'LOCALE', work);
+    return true;
+}
@@ -0,0 +1,150 @@
+/**
+ * Structured event log, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/idb.js and sw/messages.js.
+ *
+ *   logEvent('warn', 'fetch-failed', { url, strategy: 'cache-first', outcome: 'offline-fallback', message })
+ *
+ * Each entry is { time, level, type, worker, url?, strategy?, outcome?, message?, ... }. It is
+ * printed to the console, kept in IndexedDB (the oldest entries go once there are
+ * MAX_LOG_ENTRIES, so the log survives the worker stopping), and posted on the LOG_CHANNEL
+ * BroadcastChannel for pages that are watching live.
+ *
+ * The diagnostics panel in app.js asks over a MessageChannel:
+ *   GET_LOG     -> SW_LOG { entries }        (oldest first)
+ *   CLEAR_LOG   -> SW_LOG { entries: [] }
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_DB_NAME = 'pwa-getstarted-sw-log';
+const LOG_STORE = 'entries';
+const MAX_LOG_ENTRIES = 1000;
+const LOG_CHANNEL = 'pwa-getstarted-sw-log';
+
+const logSettings = { worker: 'worker', prefix: '[ServiceWorker]' };
+const logChannel = 'BroadcastChannel' in self ? new BroadcastChannel(LOG_CHANNEL) : null;
+let pendingLogEntries = [];
+let logWrite = null;
+
+/**
+ * Name the worker in entries and console lines, e.g. { worker: 'workbox', prefix: '[Workbox SW]' }
+ */
+function configureLogger(settings) {
+    Object.assign(logSettings, settings);
+}
+
+// ============================================
+// Storage
+// ============================================
+function openLogDatabase() {
+    return openDatabase(LOG_DB_NAME, 1, (db) => {
+        db.createObjectStore(LOG_STORE, { keyPath: 'id', autoIncrement: true });
+    });
+}
+
+/**
+ * Write everything logged so far in one transaction, then drop what's over the cap
+ */
+async function writeLogEntries() {
+    const db = await openLogDatabase();
+    while (pendingLogEntries.length > 0) {
+        const batch = pendingLogEntries;
+        pendingLogEntries = [];
+        await withStore(db, LOG_STORE, 'readwrite', async (store) => {
+            batch.forEach((entry) => store.add(entry));
+            const excess = await idbRequest(store.count()) - MAX_LOG_ENTRIES;
+            if (excess > 0) {
+                const oldest = await idbRequest(store.getAllKeys(null, excess));
+                store.delete(IDBKeyRange.upperBound(oldest[oldest.length - 1]));
+            }
+        });
+    }
+}
+
+function scheduleLogWrite() {
+    if (!logWrite) {
+        logWrite = writeLogEntries()
+            .catch((error) => console.warn(`${logSettings.prefix} Could not write the log:`, error))
+            .finally(() => {
+                logWrite = null;
+                // Logged while the last batch was being written
+                if (pendingLogEntries.length > 0) {
+                    scheduleLogWrite();
+                }
+            });
+    }
+    return logWrite;
+}
+
+async function readLogEntries() {
+    const db = await openLogDatabase();
+    return withStore(db, LOG_STORE, 'readonly', (store) => idbRequest(store.getAll()));
+}
+
+async function clearLogEntries() {
+    const db = await openLogDatabase();
+    await withStore(db, LOG_STORE, 'readwrite', (store) => idbRequest(store.clear()));
+}
+
+// ============================================
+// Logging
+// ============================================
+
+/**
+ * Record an event. Resolves once it is stored; pass that to event.waitUntil() where the
+ * worker might otherwise stop first.
+ */
+function logEvent(level, type, fields = {}) {
+    const entry = {
+        time: Date.now(),
+        level: LOG_LEVELS.includes(level) ? level : 'info',
+        type,
+        worker: logSettings.worker,
+        ...fields
+    };
+
+    const print = entry.level === 'debug' ? console.log : console[entry.level];
+    print(`${logSettings.prefix} ${fields.message || type}`, ...(fields.url ? [fields.url] : []));
+
+    if (logChannel) {
+        logChannel.postMessage({ type: 'SW_LOG_ENTRY', entry });
+    }
+    pendingLogEntries.push(entry);
+    return scheduleLogWrite();
+}
+
+/**
+ * Errors nothing else caught end up in the log too
+ */
+self.addEventListener('error', (event) => {
+    logEvent('error', 'uncaught-error', { message: event.message, outcome: `${event.filename}:${event.lineno}` });
+});
+
+self.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    logEvent('error', 'unhandled-rejection', { message: reason && reason.message ? reason.message : String(reason) });
+});
+
+// ============================================
+// Messages
+// ============================================
+
+/**
+ * Answer GET_LOG and CLEAR_LOG. Returns true when the message was one of ours.
+ */
+function handleLogMessage(event) {
+    const message = event.data || {};
+
+    let work;
+    if (message.type === 'GET_LOG') {
+        // Include what's still waiting to be written
+        work = scheduleLogWrite().then(readLogEntries);
+    } else if (message.type === 'CLEAR_LOG') {
+        work = scheduleLogWrite().then(clearLogEntries).then(() => []);
+    } else {
+        return false;
+    }
+
+    replyToMessage(event, 'SW_LOG', work.then((entries) => ({ entries })));
+    return true;
+}
@@ -0,0 +1,26 @@
+/**
+ * Replies to the page's messages, shared by every handler in sw/*.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ *
+ * The page asks over a MessageChannel (askServiceWorker() in app.js); a handler that
+ * recognises the message starts the work and leaves the answer to replyToMessage():
+ *
+ *   replyToMessage(event, 'SHARES', listShares().then((shares) => ({ shares })));
+ *
+ * The reply is { type, ...result } once `work` resolves, or { type, error } when it rejects.
+ */
+
+/**
+ * Answer on the port the page sent, or the client itself without one.
+ * Keeps the worker alive until the reply has been posted.
+ */
+function replyToMessage(event, type, work) {
+    const port = event.ports && event.ports[0];
+    const reply = (body) => (port ? port.postMessage(body) : event.source.postMessage(body));
+
+    event.waitUntil(
+        Promise.resolve(work)
+            .then((result) => reply({ type, ...result }))
+            .catch((error) => reply({ type, error: error.message }))
+    );
+}
@@ -0,0 +1,274 @@
+/**
+ * Navigation preload and streamed app-shell navigations, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/logger.js and sw/messages.js.
+ *
+ * Navigation preload starts a page's network request while the worker is still booting,
+ * instead of after it. The Service-Worker-Navigation-Preload header it sends carries the
+ * navigation mode, which lives on the registration and so survives restarts and updates:
+ *
+ *   full     the preload fetches the whole page for the network-first page handling
+ *   stream   the top of the precached index.html is sent at once, and the content after it
+ *            streams in from the network (server/app-shell.js answers with just that part)
+ *
+ * Every navigation answered here carries `Server-Timing: sw-navigation;desc="<how>"`,
+ * which the page reads from its navigation timing entry (app.js).
+ *
+ * Pages and workers talk over a MessageChannel:
+ *   GET_NAVIGATION_MODE                  -> { supported, enabled, mode }
+ *   SET_NAVIGATION_MODE { mode }
+ */
+
+const NAVIGATION_MODES = ['full', 'stream'];
+const NAVIGATION_PRELOAD_HEADER = 'Service-Worker-Navigation-Preload';
+const APP_SHELL_URL = './';
+const APP_SHELL_CONTENT_START = /<!-- app-shell:content\b[^>]*-->/;
+const APP_SHELL_CONTENT_END = '<!-- /app-shell:content -->';
+
+let navigationMode = null;
+
+// ============================================
+// Preload & Mode
+// ============================================
+
+/**
+ * Turn navigation preload on; call from `activate`. A mode chosen earlier is kept.
+ */
+async function enableNavigationPreload() {
+    const { navigationPreload } = self.registration;
+    if (!navigationPreload) {
+        return;
+    }
+    const { headerValue } = await navigationPreload.getState();
+    await navigationPreload.enable();
+    if (!NAVIGATION_MODES.includes(headerValue)) {
+        await navigationPreload.setHeaderValue('full');
+    }
+    navigationMode = null;
+}
+
+function getNavigationMode() {
+    const { navigationPreload } = self.registration;
+    if (!navigationPreload) {
+        return Promise.resolve('full');
+    }
+    if (!navigationMode) {
+        navigationMode = navigationPreload.getState()
+            .then(({ headerValue }) => (headerValue === 'stream' ? 'stream' : 'full'));
+    }
+    return navigationMode;
+}
+
+async function setNavigationMode(mode) {
+    const { navigationPreload } = self.registration;
+    if (!NAVIGATION_MODES.includes(mode)) {
+        throw new Error(`Unknown navigation mode: ${mode}`);
+    }
+    if (!navigationPreload) {
+        throw new Error('Navigation preload is not supported in this browser');
+    }
+    await navigationPreload.setHeaderValue(mode);
+    navigationMode = Promise.resolve(mode);
+}
+
+/**
+ * The preloaded page for a navigation, if there is one.
+ * A streaming-mode preload only holds the content part, which is no use as a page.
+ */
+async function getPreloadResponse(event) {
+    if (!event || event.request.mode !== 'navigate' || !event.preloadResponse) {
+        return undefined;
+    }
+    const response = await event.preloadResponse;
+    if (response && response.headers.get('X-App-Shell') === 'content') {
+        return undefined;
+    }
+    return response;
+}
+
+/**
+ * Copy of a navigation response with a Server-Timing entry saying how it was answered
+ */
+function withNavigationTiming(response, how) {
+    // Redirects and opaque responses can't be rebuilt; pass them on as they are
+    if (response.type !== 'basic' && response.type !== 'default') {
+        return response;
+    }
+    if (response.redirected) {
+        return response;
+    }
+    const headers = new Headers(response.headers);
+    headers.append('Server-Timing', `sw-navigation;desc="${how}"`);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Did the page come from the preload? Strategies hand back the very response object they fetched.
+ */
+async function describeNavigationResponse(event, response, otherwise) {
+    const preloaded = event.preloadResponse ? await event.preloadResponse.catch(() => undefined) : undefined;
+    return preloaded && preloaded === response ? 'preload' : otherwise;
+}
+
+/**
+ * The precached copy of a page, ignoring the query string (./?launch=file is still index.html)
+ */
+async function matchPrecachedPage(request, matchPrecache) {
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    return matchPrecache(url.href);
+}
+
+// ============================================
+// Streamed App Shell
+// ============================================
+
+/**
+ * Split a page at its content markers into { head, content, tail }, or null when it has none
+ */
+function splitAppShell(html) {
+    const start = APP_SHELL_CONTENT_START.exec(html);
+    const end = html.indexOf(APP_SHELL_CONTENT_END);
+    if (!start || end < start.index) {
+        return null;
+    }
+    const contentStart = start.index + start[0].length;
+    return {
+        head: html.slice(0, contentStart),
+        content: html.slice(contentStart, end),
+        tail: html.slice(end)
+    };
+}
+
+/**
+ * The precached index.html, split up. Null until the precache has it.
+ */
+async function getAppShell(matchPrecache) {
+    const response = await matchPrecache(new URL(APP_SHELL_URL, self.location).href);
+    return response ? splitAppShell(await response.text()) : null;
+}
+
+/**
+ * Is this a navigation to the page the app shell comes from?
+ */
+function isAppShellNavigation(request) {
+    const { pathname } = new URL(request.url);
+    const scope = new URL(self.registration.scope).pathname;
+    return request.mode === 'navigate' && (pathname === scope || pathname === `${scope}index.html`);
+}
+
+/**
+ * The content part from the network: the preload when there is one, otherwise a fetch
+ * with the same header. Resolves to a ReadableStream or a string.
+ */
+async function fetchAppShellContent(event) {
+    const preloaded = event.preloadResponse ? await event.preloadResponse : undefined;
+    const response = preloaded || await fetch(event.request.url, {
+        headers: { [NAVIGATION_PRELOAD_HEADER]: 'stream' },
+        credentials: 'same-origin'
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    if (response.headers.get('X-App-Shell') === 'content') {
+        return response.body;
+    }
+
+    // A whole page, from a server that doesn't know the header: cut the content out
+    const page = splitAppShell(await response.text());
+    if (!page) {
+        throw new Error('The page has no app-shell content');
+    }
+    return page.content;
+}
+
+/**
+ * Answer a navigation with the cached head right away, then the network content
+ * (the cached content when the network fails before sending any), then the cached tail.
+ * The cached head and tail belong to the precached version, the content to the live one.
+ */
+function streamAppShell(event, shell) {
+    const encoder = new TextEncoder();
+    const content = fetchAppShellContent(event);
+    event.waitUntil(content.catch(() => null));
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            controller.enqueue(encoder.encode(shell.head));
+
+            let streamed = false;
+            try {
+                const body = await content;
+                if (typeof body === 'string') {
+                    controller.enqueue(encoder.encode(body));
+                } else {
+                    const reader = body.getReader();
+                    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                        controller.enqueue(chunk.value);
+                        streamed = true;
+                    }
+                }
+            } catch (error) {
+                logEvent('warn', 'navigation-stream', { outcome: 'failed', message: `Streaming the content failed: ${error.message}` });
+                // Half a page of live content beats repeating it; otherwise show the cached copy
+                if (!streamed) {
+                    controller.enqueue(encoder.encode(shell.content));
+                }
+            }
+
+            controller.enqueue(encoder.encode(shell.tail));
+            controller.close();
+        }
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Server-Timing': 'sw-navigation;desc="stream"'
+        }
+    });
+}
+
+/**
+ * Stream the app shell when streaming mode is on and the shell is precached.
+ * Resolves to null when the navigation should be handled the normal way.
+ */
+async function handleStreamingNavigation(event, matchPrecache) {
+    if (!isAppShellNavigation(event.request) || await getNavigationMode() !== 'stream') {
+        return null;
+    }
+    const shell = await getAppShell(matchPrecache);
+    return shell ? streamAppShell(event, shell) : null;
+}
+
+// ============================================
+// Messages
+// ============================================
+
+/**
+ * Answer GET_NAVIGATION_MODE and SET_NAVIGATION_MODE. Returns true when the message was one of ours.
+ */
+function handleNavigationMessage(event) {
+    const message = event.data || {};
+
+    let work;
+    if (message.type === 'GET_NAVIGATION_MODE') {
+        work = Promise.resolve();
+    } else if (message.type === 'SET_NAVIGATION_MODE') {
+        work = setNavigationMode(message.mode);
+    } else {
+        return false;
+    }
+
+    const { navigationPreload } = self.registration;
+    replyToMessage(event, 'NAVIGATION_MODE', work.then(async () => {
+        const state = navigationPreload ? await navigationPreload.getState() : { enabled: false };
+        return {
+            supported: Boolean(navigationPreload),
+            enabled: state.enabled,
+            mode: await getNavigationMode()
+        };
+    }));
+    return true;
+}
@@ -0,0 +1,77 @@
+/**
+ * Offline fallbacks shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ *
+ * When a request fails and nothing is cached, both workers answer with the same thing:
+ *
+ *   page navigations   the precached offline page (offline.html)
+ *   images             an SVG placeholder
+ *   stylesheets        a minimal stylesheet
+ *   GET ./api/…        a 503 JSON error body
+ *   anything else      a network error, as without a worker
+ *
+ * Generated responses carry an `X-Offline-Fallback` header and are never written to a cache.
+ */
+
+const OFFLINE_PAGE_URL = './offline.html';
+// The app fetches ./api/… relative to the worker's scope, so the API moves with it
+const API_PATH_PREFIX = new URL('./api/', self.registration.scope).pathname;
+
+const OFFLINE_IMAGE_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">
+<rect width="400" height="300" fill="#f8f9ff"/>
+<path d="M150 110h100v80H150z" fill="none" stroke="#8888a0" stroke-width="6" stroke-linejoin="round"/>
+<circle cx="178" cy="135" r="9" fill="#8888a0"/>
+<path d="M156 184l32-32 22 20 14-12 22 24" fill="none" stroke="#8888a0" stroke-width="6" stroke-linejoin="round"/>
+<text x="200" y="230" font-family="sans-serif" font-size="16" fill="#4a4a68" text-anchor="middle">Image unavailable offline</text>
+</svg>`;
+
+// Just enough to keep pages readable when a stylesheet can't be loaded
+const OFFLINE_STYLESHEET = `/* Offline fallback stylesheet */
+body { font-family: system-ui, sans-serif; line-height: 1.6; color: #1a1a2e; max-width: 60rem; margin: 0 auto; padding: 1rem; }
+img { max-width: 100%; height: auto; }
+`;
+
+function offlineResponse(body, contentType, status = 200) {
+    return new Response(body, {
+        status,
+        statusText: status === 200 ? 'OK' : 'Service Unavailable',
+        headers: {
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store',
+            'X-Offline-Fallback': '1'
+        }
+    });
+}
+
+function isApiRequest(request) {
+    return new URL(request.url).pathname.startsWith(API_PATH_PREFIX);
+}
+
+/**
+ * The response for a request that failed while offline.
+ * `matchPrecache(url)` looks a URL up in the calling worker's precache.
+ */
+async function getOfflineFallback(request, matchPrecache) {
+    if (request.mode === 'navigate' || request.destination === 'document') {
+        const page = await matchPrecache(OFFLINE_PAGE_URL);
+        return page || offlineResponse('<h1>You are offline</h1>', 'text/html; charset=utf-8', 503);
+    }
+
+    if (request.destination === 'image') {
+        return offlineResponse(OFFLINE_IMAGE_SVG, 'image/svg+xml');
+    }
+
+    if (request.destination === 'style') {
+        return offlineResponse(OFFLINE_STYLESHEET, 'text/css; charset=utf-8');
+    }
+
+    if (request.method === 'GET' && isApiRequest(request)) {
+        return offlineResponse(JSON.stringify({
+            error: 'offline',
+            message: 'You are offline. Try again when the connection is back.',
+            url: request.url
+        }), 'application/json; charset=utf-8', 503);
+    }
+
+    return Response.error();
+}
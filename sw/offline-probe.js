@@ -0,0 +1,97 @@
+/**
+ * Offline readiness probe shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/messages.js.
+ *
+ * The page asks (over a MessageChannel) which precache URLs are really in
+ * Cache Storage and whether the manifest's start_url can be served offline.
+ * Each worker describes its own precache with an adapter:
+ *
+ *   {
+ *       cacheName: 'pwa-getstarted-…',
+ *       urls: ['https://…/index.html', …],      // absolute URLs
+ *       match: (url) => Promise<Response|undefined>,
+ *       repair: (url) => Promise<void>,          // re-fetch one URL into the precache
+ *       fallbackUrl: './offline.html'            // what failed navigations are answered with
+ *   }
+ */
+
+/**
+ * Check every precache URL and the start_url
+ */
+async function probeOfflineReadiness(precache, startUrl) {
+    const results = await Promise.all(precache.urls.map(async (url) => ({
+        url,
+        cached: Boolean(await precache.match(url))
+    })));
+
+    let startUrlServedBy = null;
+    if (startUrl) {
+        if (await precache.match(startUrl)) {
+            startUrlServedBy = 'precache';
+        } else if (await caches.match(startUrl)) {
+            startUrlServedBy = 'runtime-cache';
+        } else if (precache.fallbackUrl && await precache.match(new URL(precache.fallbackUrl, self.location).href)) {
+            startUrlServedBy = 'offline-fallback';
+        }
+    }
+
+    return {
+        cacheName: precache.cacheName,
+        total: results.length,
+        cached: results.filter((result) => result.cached).map((result) => result.url),
+        missing: results.filter((result) => !result.cached).map((result) => result.url),
+        startUrl,
+        startUrlServedBy
+    };
+}
+
+/**
+ * Re-fetch every missing precache URL, then probe again
+ */
+async function repairPrecache(precache, startUrl) {
+    const before = await probeOfflineReadiness(precache, startUrl);
+    const failed = [];
+
+    await Promise.all(before.missing.map(async (url) => {
+        try {
+            await precache.repair(url);
+        } catch (error) {
+            failed.push({ url, error: error.message });
+        }
+    }));
+
+    const after = await probeOfflineReadiness(precache, startUrl);
+    return { ...after, repaired: before.missing.length - after.missing.length, failed };
+}
+
+/**
+ * Fetch a URL bypassing the HTTP cache, for use in an adapter's repair()
+ */
+async function fetchForPrecache(url) {
+    const response = await fetch(url, { cache: 'reload' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+}
+
+/**
+ * Answer GET_OFFLINE_STATUS and REPAIR_PRECACHE messages.
+ * Returns true when the message was one of ours.
+ */
+function handleOfflineProbeMessage(event, precache) {
+    const message = event.data || {};
+
+    let work;
+    if (message.type === 'GET_OFFLINE_STATUS') {
+        work = probeOfflineReadiness(precache, message.startUrl);
+    } else if (message.type === 'REPAIR_PRECACHE') {
+        work = repairPrecache(precache, message.startUrl);
+    } else {
+        return false;
+    }
+
+    replyToMessage(event, 'OFFLINE_STATUS', work);
+    return true;
+}
@@ -0,0 +1,226 @@
+/**
+ * IndexedDB outbox for the vanilla service worker (sw.js)
+ * The hand-written equivalent of Workbox's BackgroundSyncPlugin:
+ * failed POST/PUT/DELETE requests are stored and replayed in order when
+ * the connection comes back.
+ *
+ * Requires sw/idb.js, sw/logger.js and sw/offline-fallbacks.js.
+ */
+
+const OUTBOX_DB_NAME = 'pwa-getstarted-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_SYNC_TAG = 'sync-data';
+const OUTBOX_METHODS = ['POST', 'PUT', 'DELETE'];
+// Writes that retry on their own: telemetry.js and notes-sync.js keep their own IndexedDB queues
+const OUTBOX_EXCLUDED_PATHS = [`${API_PATH_PREFIX}telemetry`, `${API_PATH_PREFIX}notes`];
+const OUTBOX_MAX_RETENTION_MS = 24 * 60 * 60 * 1000; // Same as maxRetentionTime in sw-workbox.js
+const OUTBOX_BASE_BACKOFF_MS = 30 * 1000;
+const OUTBOX_MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+function openOutbox() {
+    return openDatabase(OUTBOX_DB_NAME, 1, (db) => {
+        // autoIncrement keys keep entries in the order they were queued
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    });
+}
+
+/**
+ * Tell every open page about an outbox change
+ */
+async function notifyOutboxClients(type, detail) {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const pending = await countOutbox();
+    windowClients.forEach((client) => client.postMessage({ type, pending, ...detail }));
+}
+
+function describeEntry(entry) {
+    return { id: entry.id, method: entry.method, url: entry.url, timestamp: entry.timestamp, attempts: entry.attempts };
+}
+
+async function countOutbox() {
+    const db = await openOutbox();
+    return withStore(db, OUTBOX_STORE, 'readonly', (store) => idbRequest(store.count()));
+}
+
+async function listOutbox() {
+    const db = await openOutbox();
+    return withStore(db, OUTBOX_STORE, 'readonly', (store) => idbRequest(store.getAll()));
+}
+
+/**
+ * Should a failed request be queued and replayed?
+ */
+function isOutboxRequest(request) {
+    const { pathname } = new URL(request.url);
+    return OUTBOX_METHODS.includes(request.method)
+        && !OUTBOX_EXCLUDED_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+/**
+ * Ask for a `sync-data` event, or note that we'll rely on the page's `online` event instead
+ */
+async function requestOutboxSync() {
+    if ('sync' in self.registration) {
+        try {
+            await self.registration.sync.register(OUTBOX_SYNC_TAG);
+            return true;
+        } catch (error) {
+            // Permission can be denied even when the API exists
+            logEvent('warn', 'outbox-queued', { outcome: 'no-sync', message: `Could not register sync: ${error.message}` });
+        }
+    }
+    return false;
+}
+
+/**
+ * Store a request that failed to reach the network.
+ * Takes a clone that still has its body; the original was used for the failed fetch.
+ */
+async function queueRequest(request) {
+    const entry = {
+        method: request.method,
+        url: request.url,
+        headers: Array.from(request.headers.entries()),
+        body: request.method === 'GET' || request.method === 'HEAD' ? null : await request.arrayBuffer(),
+        mode: request.mode === 'navigate' ? 'same-origin' : request.mode,
+        credentials: request.credentials,
+        timestamp: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0
+    };
+
+    const db = await openOutbox();
+    entry.id = await withStore(db, OUTBOX_STORE, 'readwrite', (store) => idbRequest(store.add(entry)));
+    logEvent('info', 'outbox-queued', { message: `Queued ${entry.method}`, url: entry.url, strategy: 'outbox', outcome: 'queued' });
+
+    const syncRegistered = await requestOutboxSync();
+    await notifyOutboxClients('OUTBOX_QUEUED', { entry: describeEntry(entry), syncRegistered });
+    return entry;
+}
+
+function outboxBackoff(attempts) {
+    return Math.min(OUTBOX_BASE_BACKOFF_MS * 2 ** (attempts - 1), OUTBOX_MAX_BACKOFF_MS);
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+async function deleteOutboxEntry(id) {
+    const db = await openOutbox();
+    await withStore(db, OUTBOX_STORE, 'readwrite', (store) => idbRequest(store.delete(id)));
+}
+
+async function updateOutboxEntry(entry) {
+    const db = await openOutbox();
+    await withStore(db, OUTBOX_STORE, 'readwrite', (store) => idbRequest(store.put(entry)));
+}
+
+/**
+ * Replay one entry. Resolves to 'replayed', 'dropped' or 'retry'.
+ */
+async function replayEntry(entry) {
+    const request = new Request(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body,
+        mode: entry.mode,
+        credentials: entry.credentials
+    });
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        logEvent('warn', 'outbox-replay', { message: 'Replay failed, still offline?', url: entry.url, strategy: 'outbox', outcome: 'retry' });
+        return 'retry';
+    }
+
+    if (isRetryableStatus(response.status)) {
+        logEvent('warn', 'outbox-replay', {
+            message: `Server error on replay: ${response.status}`,
+            url: entry.url,
+            strategy: 'outbox',
+            outcome: 'retry'
+        });
+        return 'retry';
+    }
+
+    if (!response.ok) {
+        // 4xx: the request itself is wrong, retrying won't help
+        await deleteOutboxEntry(entry.id);
+        logEvent('error', 'outbox-replay', {
+            message: `Server rejected request (${response.status})`,
+            url: entry.url,
+            strategy: 'outbox',
+            outcome: 'dropped'
+        });
+        await notifyOutboxClients('OUTBOX_DROPPED', {
+            entry: describeEntry(entry),
+            reason: `Server rejected request (${response.status})`
+        });
+        return 'dropped';
+    }
+
+    await deleteOutboxEntry(entry.id);
+    logEvent('info', 'outbox-replay', { message: `Replayed ${entry.method}`, url: entry.url, strategy: 'outbox', outcome: 'replayed' });
+    await notifyOutboxClients('OUTBOX_REPLAYED', { entry: describeEntry(entry), status: response.status });
+    return 'replayed';
+}
+
+let outboxReplay = null;
+
+/**
+ * Replay queued requests oldest first, stopping at the first one that
+ * needs a retry so later requests never overtake earlier ones.
+ * Resolves to the number of entries still waiting.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreBackoff] - retry now, e.g. because the page just came back online
+ */
+function replayOutbox(options = {}) {
+    // Sync events, page messages and startup can all ask at once; run one replay at a time
+    if (!outboxReplay) {
+        outboxReplay = (async () => {
+            const entries = await listOutbox();
+
+            for (const entry of entries) {
+                if (Date.now() - entry.timestamp > OUTBOX_MAX_RETENTION_MS) {
+                    await deleteOutboxEntry(entry.id);
+                    await notifyOutboxClients('OUTBOX_DROPPED', {
+                        entry: describeEntry(entry),
+                        reason: 'Older than the maximum retention time'
+                    });
+                    continue;
+                }
+
+                if (!options.ignoreBackoff && entry.nextAttemptAt > Date.now()) {
+                    break;
+                }
+
+                const result = await replayEntry(entry);
+                if (result === 'retry') {
+                    entry.attempts += 1;
+                    entry.nextAttemptAt = Date.now() + outboxBackoff(entry.attempts);
+                    await updateOutboxEntry(entry);
+                    break;
+                }
+            }
+
+            return countOutbox();
+        })().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    return outboxReplay;
+}
+
+/**
+ * Handler for the `sync-data` sync event. Rejecting asks the browser to retry later.
+ */
+async function syncOutbox(event) {
+    const remaining = await replayOutbox();
+    if (remaining > 0 && !event.lastChance) {
+        throw new Error(`${remaining} request(s) still waiting to sync`);
+    }
+}
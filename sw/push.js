@@ -0,0 +1,185 @@
+/**
+ * Push notification helpers shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/locale.js.
+ *
+ * Push payloads are JSON (plain text is used as the body):
+ * {
+ *   "title": "New lesson",
+ *   "body": "Learn about the Web Manifest",
+ *   "icon": "icons/icon-192.png",
+ *   "image": "screenshots/screenshot-wide.png",
+ *   "tag": "lessons",
+ *   "url": "./#features",
+ *   "actions": [{ "action": "open", "title": "Read now", "url": "./#features" },
+ *               { "action": "dismiss", "title": "Later" }]
+ * }
+ *
+ * A push reaches every subscriber, whatever language each one reads, so the text can also be
+ * given as catalog keys (locales/<locale>.json), translated in the locale the page last used:
+ *   { "titleKey": "push.test.title", "bodyKey": "push.test.body", "params": { ... },
+ *     "actions": [{ "action": "dismiss", "titleKey": "push.test.dismiss", "title": "Dismiss" }] }
+ * The plain title/body are used where the catalog has no such key.
+ */
+
+const PUSH_DEFAULTS = {
+    title: 'PWA Get Started',
+    titleKey: 'notification.title',
+    body: 'New notification from PWA Demo',
+    bodyKey: 'notification.body',
+    icon: './icons/icon-192.png',
+    badge: './icons/icon-96.png',
+    url: './'
+};
+
+/**
+ * Parse a PushEvent's data into a payload object
+ */
+function parsePushPayload(data) {
+    if (!data) {
+        return {};
+    }
+
+    try {
+        const payload = data.json();
+        return payload && typeof payload === 'object' ? payload : { body: String(payload) };
+    } catch (error) {
+        return { body: data.text() };
+    }
+}
+
+/**
+ * Build the title and NotificationOptions for a payload.
+ * `defaults` lets each worker set its own fallback title; `t` translates the keys (sw/locale.js).
+ */
+function buildNotification(payload, defaults = {}, t = I18n.createTranslator(I18n.DEFAULT_LOCALE, [])) {
+    const settings = { ...PUSH_DEFAULTS, ...defaults };
+    const actions = Array.isArray(payload.actions) ? payload.actions.slice(0, 2) : [];
+    const translate = (key, text) => (key && t.has(key) ? t(key, payload.params) : text);
+
+    const options = {
+        body: translate(payload.bodyKey, payload.body) || translate(settings.bodyKey, settings.body),
+        icon: payload.icon || settings.icon,
+        badge: payload.badge || settings.badge,
+        vibrate: [100, 50, 100],
+        lang: t.locale,
+        dir: t.dir,
+        actions: actions.map(({ action, title, titleKey, icon }) => ({ action, title: translate(titleKey, title), icon })),
+        data: {
+            ...payload.data,
+            dateOfArrival: Date.now(),
+            url: payload.url || settings.url,
+            actions: actions.map(({ action, url }) => ({ action, url }))
+        }
+    };
+
+    if (payload.image) options.image = payload.image;
+    if (payload.tag) {
+        options.tag = payload.tag;
+        options.renotify = payload.renotify !== false;
+    }
+    if (payload.requireInteraction) options.requireInteraction = true;
+    if (payload.silent) options.silent = true;
+
+    return { title: translate(payload.titleKey, payload.title) || translate(settings.titleKey, settings.title), options };
+}
+
+/**
+ * Show the notification for a PushEvent, in the locale the page last used
+ */
+async function showPushNotification(event, defaults) {
+    const t = await getWorkerTranslator().catch(() => undefined);
+    const { title, options } = buildNotification(parsePushPayload(event.data), defaults, t);
+    return self.registration.showNotification(title, options);
+}
+
+/**
+ * Resolve where a notification click should go.
+ * An action button with its own url wins over the notification's url.
+ */
+function getNotificationTarget(notification, action) {
+    const data = notification.data || {};
+    const actionConfig = (data.actions || []).find((item) => item.action === action);
+    const url = (actionConfig && actionConfig.url) || data.url || PUSH_DEFAULTS.url;
+    return new URL(url, self.registration.scope).href;
+}
+
+function stripHash(url) {
+    return url.split('#')[0];
+}
+
+/**
+ * Focus an open window of the app (navigating it if needed) or open a new one.
+ * The page also gets a NOTIFICATION_CLICK message so it can react to the action.
+ */
+async function handleNotificationClick(event) {
+    event.notification.close();
+
+    if (event.action === 'dismiss') {
+        return;
+    }
+
+    const targetUrl = getNotificationTarget(event.notification, event.action);
+    const message = {
+        type: 'NOTIFICATION_CLICK',
+        action: event.action || null,
+        url: targetUrl,
+        data: event.notification.data || {}
+    };
+
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const inScope = windowClients.filter((client) => client.url.startsWith(self.registration.scope));
+
+    // Best match: a window already showing the target page
+    const samePage = inScope.find((client) => stripHash(client.url) === stripHash(targetUrl));
+    if (samePage) {
+        const focused = await samePage.focus();
+        focused.postMessage(message);
+        return;
+    }
+
+    // Otherwise reuse any window of the app
+    const sameOrigin = new URL(targetUrl).origin === self.location.origin;
+    if (inScope.length > 0 && sameOrigin) {
+        const client = inScope.find((c) => c.focused) || inScope[0];
+        const focused = await client.focus();
+        const navigated = await focused.navigate(targetUrl).catch(() => null);
+        if (navigated) {
+            return;
+        }
+    }
+
+    await self.clients.openWindow(targetUrl);
+}
+
+/**
+ * Re-subscribe when the browser rotates or expires a subscription,
+ * and keep the server's subscription store in step.
+ */
+async function handlePushSubscriptionChange(event) {
+    const oldSubscription = event.oldSubscription;
+    let newSubscription = event.newSubscription;
+
+    if (!newSubscription) {
+        const response = await fetch('./api/push/public-key');
+        const { publicKey } = await response.json();
+        newSubscription = await self.registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: publicKey
+        });
+    }
+
+    if (oldSubscription) {
+        await fetch('./api/push/subscribe', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: oldSubscription.endpoint })
+        });
+    }
+
+    await fetch('./api/push/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newSubscription)
+    });
+}
@@ -0,0 +1,226 @@
+/**
+ * Dependency-free router and caching strategies for the vanilla service worker (sw.js)
+ * The hand-written equivalent of workbox.routing + workbox.strategies.
+ *
+ * Routes are plain objects, checked in order; the first match handles the request:
+ *
+ *   {
+ *       match: { destination: 'image', urlPattern: /\/icons\//, method: 'GET' },
+ *       strategy: 'cache-first',          // or network-first, stale-while-revalidate, network-only, cache-only
+ *       cacheName: 'pwa-getstarted-images',
+ *       networkTimeoutSeconds: 3,         // network-first only
+ *       cacheableStatuses: [0, 200],      // default [200]
+ *       expiration: { maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 }
+ *   }
+ *
+ * Every `match` field is optional and accepts a single value or an array.
+ * `urlPattern` is a RegExp tested against the full URL, or a string the pathname starts with.
+ * `method` defaults to GET.
+ *
+ * Navigations use the navigation preload response when there is one, like Workbox's strategies.
+ *
+ * Each cache hit and fallback is recorded in the diagnostics log.
+ *
+ * Requires sw/cache-expiration.js (and the sw/idb.js it uses), sw/navigation.js and sw/logger.js.
+ */
+
+const expirations = new Map();
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function matchesPattern(pattern, url) {
+    return pattern instanceof RegExp ? pattern.test(url.href) : url.pathname.startsWith(pattern);
+}
+
+/**
+ * Find the first route whose `match` fits the request
+ */
+function matchRoute(routes, request) {
+    const url = new URL(request.url);
+
+    return routes.find(({ match = {} }) => {
+        if (!toList(match.method || 'GET').includes(request.method)) {
+            return false;
+        }
+        if (match.destination !== undefined && !toList(match.destination).includes(request.destination)) {
+            return false;
+        }
+        if (match.urlPattern !== undefined && !toList(match.urlPattern).some((pattern) => matchesPattern(pattern, url))) {
+            return false;
+        }
+        return true;
+    }) || null;
+}
+
+function getExpiration(route) {
+    if (!route.expiration || !route.cacheName) {
+        return null;
+    }
+    if (!expirations.has(route.cacheName)) {
+        expirations.set(route.cacheName, new CacheExpiration(route.cacheName, route.expiration));
+    }
+    return expirations.get(route.cacheName);
+}
+
+// ============================================
+// Cache Read / Write
+// ============================================
+async function readFromCache(route, request, event) {
+    const cache = await caches.open(route.cacheName);
+    const response = await cache.match(request);
+    if (!response) {
+        return null;
+    }
+
+    const expiration = getExpiration(route);
+    if (expiration && await expiration.isExpired(request.url)) {
+        event.waitUntil(expiration.expireEntries());
+        return null;
+    }
+    return response;
+}
+
+async function writeToCache(route, request, response) {
+    const statuses = route.cacheableStatuses || [200];
+    if (!statuses.includes(response.status)) {
+        return;
+    }
+
+    const cache = await caches.open(route.cacheName);
+    await cache.put(request, response);
+
+    const expiration = getExpiration(route);
+    if (expiration) {
+        await expiration.updateTimestamp(request.url);
+        await expiration.expireEntries();
+    }
+}
+
+/**
+ * The network response: the navigation preload if it has one, a fetch otherwise
+ */
+async function fetchFromNetwork(request, event) {
+    return (await getPreloadResponse(event)) || fetch(request);
+}
+
+/**
+ * Fetch from the network and store a copy in the route's cache in the background
+ */
+async function fetchAndCache(route, request, event) {
+    const response = await fetchFromNetwork(request, event);
+    event.waitUntil(
+        writeToCache(route, request, response.clone())
+            .catch((error) => logEvent('warn', 'cache-write-failed', {
+                message: `Could not cache: ${error.message}`,
+                url: request.url,
+                strategy: route.strategy,
+                outcome: route.cacheName
+            }))
+    );
+    return response;
+}
+
+/**
+ * Log that a strategy answered from the cache; `outcome` says why
+ */
+function logCacheResponse(route, request, event, outcome, message) {
+    event.waitUntil(logEvent(outcome === 'cache' ? 'debug' : 'warn', 'cache-hit', {
+        message,
+        url: request.url,
+        strategy: route.strategy,
+        outcome
+    }));
+}
+
+// ============================================
+// Strategies
+// ============================================
+const strategies = {
+    'cache-first': async (route, request, event) => {
+        const cached = await readFromCache(route, request, event);
+        if (cached) {
+            logCacheResponse(route, request, event, 'cache', 'Serving from cache');
+            return cached;
+        }
+        return fetchAndCache(route, request, event);
+    },
+
+    'network-first': async (route, request, event) => {
+        const network = fetchAndCache(route, request, event);
+
+        if (!route.networkTimeoutSeconds) {
+            try {
+                return await network;
+            } catch (error) {
+                const cached = await readFromCache(route, request, event);
+                if (cached) {
+                    logCacheResponse(route, request, event, 'network-failed', 'Network failed, serving from cache');
+                    return cached;
+                }
+                throw error;
+            }
+        }
+
+        // Whichever settles first: the network response, or the cache once the timeout passes
+        let timeoutId;
+        const timeout = new Promise((resolve) => {
+            timeoutId = setTimeout(resolve, route.networkTimeoutSeconds * 1000);
+        });
+        // Keep the worker alive so a late network response still updates the cache
+        event.waitUntil(network.catch(() => null));
+
+        const first = await Promise.race([
+            network.then((response) => ({ response }), (error) => ({ error })),
+            timeout.then(() => ({ timedOut: true }))
+        ]);
+        clearTimeout(timeoutId);
+
+        if (first.response) {
+            return first.response;
+        }
+
+        const cached = await readFromCache(route, request, event);
+        if (cached) {
+            logCacheResponse(route, request, event, first.timedOut ? 'network-slow' : 'network-failed',
+                `${first.timedOut ? 'Network slow' : 'Network failed'}, serving from cache`);
+            return cached;
+        }
+        // Nothing cached: keep waiting for the network (or rethrow its error)
+        return network;
+    },
+
+    'stale-while-revalidate': async (route, request, event) => {
+        const network = fetchAndCache(route, request, event);
+        const revalidated = network.catch(() => null);
+        const cached = await readFromCache(route, request, event);
+        if (cached) {
+            logCacheResponse(route, request, event, 'cache', 'Serving from cache, revalidating');
+            event.waitUntil(revalidated);
+            return cached;
+        }
+        return network;
+    },
+
+    'network-only': (route, request, event) => fetchFromNetwork(request, event),
+
+    'cache-only': async (route, request, event) => {
+        const cached = await readFromCache(route, request, event);
+        if (!cached) {
+            throw new Error(`Not in ${route.cacheName}: ${request.url}`);
+        }
+        return cached;
+    }
+};
+
+/**
+ * Run the route's strategy for a FetchEvent
+ */
+function handleRoute(route, event) {
+    const strategy = strategies[route.strategy];
+    if (!strategy) {
+        throw new Error(`Unknown caching strategy: ${route.strategy}`);
+    }
+    return strategy(route, event.request, event);
+}
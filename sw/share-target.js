@@ -0,0 +1,123 @@
+/**
+ * Web Share Target shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ *
+ * manifest.json's share_target POSTs multipart form data to ./share-target. The worker
+ * stores the shared title/text/url and files in IndexedDB, then answers with a
+ * 303 redirect to ./?share-target=<id>, where app.js asks for the items over a MessageChannel:
+ *
+ *   GET_SHARES                  -> { type: 'SHARES', shares: [...] } newest first, files as Blobs
+ *   DELETE_SHARE { id }
+ *   CLEAR_SHARES
+ *
+ * Requires sw/idb.js, sw/logger.js and sw/messages.js.
+ */
+
+const SHARE_TARGET_ACTION = './share-target';
+const SHARE_DB_NAME = 'pwa-getstarted-shares';
+const SHARE_STORE = 'shares';
+const SHARE_MAX_ENTRIES = 20;
+// Field names from share_target.params in manifest.json
+const SHARE_FIELDS = { title: 'title', text: 'text', url: 'url', files: 'media' };
+
+function openShares() {
+    return openDatabase(SHARE_DB_NAME, 1, (db) => {
+        db.createObjectStore(SHARE_STORE, { keyPath: 'id', autoIncrement: true });
+    });
+}
+
+/**
+ * Is this the share sheet's POST to our share_target action?
+ */
+function isShareTargetRequest(request) {
+    return request.method === 'POST'
+        && new URL(request.url).pathname === new URL(SHARE_TARGET_ACTION, self.registration.scope).pathname;
+}
+
+function readShareField(formData, name) {
+    const value = formData.get(name);
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+async function saveShare(share) {
+    const db = await openShares();
+    return withStore(db, SHARE_STORE, 'readwrite', async (store) => {
+        const id = await idbRequest(store.add(share));
+
+        // Keep only the newest SHARE_MAX_ENTRIES shares
+        const keys = await idbRequest(store.getAllKeys());
+        keys.slice(0, Math.max(keys.length - SHARE_MAX_ENTRIES, 0)).forEach((key) => store.delete(key));
+        return id;
+    });
+}
+
+function redirectToShareView(query) {
+    return Response.redirect(new URL(`./?share-target=${query}#shared`, self.registration.scope).href, 303);
+}
+
+/**
+ * Store a share POST and redirect to the shared-content view
+ */
+async function handleShareTarget(request) {
+    try {
+        const formData = await request.formData();
+        const files = formData.getAll(SHARE_FIELDS.files)
+            .filter((file) => typeof file !== 'string' && file.size > 0)
+            .map((file) => ({ name: file.name, type: file.type, size: file.size, blob: file }));
+
+        const id = await saveShare({
+            title: readShareField(formData, SHARE_FIELDS.title),
+            text: readShareField(formData, SHARE_FIELDS.text),
+            url: readShareField(formData, SHARE_FIELDS.url),
+            files,
+            receivedAt: Date.now()
+        });
+
+        logEvent('info', 'share-target', { outcome: 'stored', message: `Stored share ${id} with ${files.length} file(s)` });
+        return redirectToShareView(id);
+    } catch (error) {
+        logEvent('error', 'share-target', { outcome: 'failed', message: `Could not store share: ${error.message}` });
+        return redirectToShareView('error');
+    }
+}
+
+async function listShares() {
+    const db = await openShares();
+    const shares = await withStore(db, SHARE_STORE, 'readonly', (store) => idbRequest(store.getAll()));
+    return shares.reverse();
+}
+
+async function deleteShare(id) {
+    const db = await openShares();
+    return withStore(db, SHARE_STORE, 'readwrite', (store) => idbRequest(store.delete(id)));
+}
+
+async function clearShares() {
+    const db = await openShares();
+    return withStore(db, SHARE_STORE, 'readwrite', (store) => idbRequest(store.clear()));
+}
+
+/**
+ * Answer shared-content messages. Returns true when the message was one of ours.
+ */
+function handleShareTargetMessage(event) {
+    const message = event.data || {};
+
+    let work;
+    switch (message.type) {
+        case 'GET_SHARES':
+            work = listShares();
+            break;
+        case 'DELETE_SHARE':
+            work = deleteShare(message.id).then(listShares);
+            break;
+        case 'CLEAR_SHARES':
+            work = clearShares().then(listShares);
+            break;
+        default:
+            return false;
+    }
+
+    replyToMessage(event, 'SHARES', work.then((shares) => ({ shares })));
+    return true;
+}
@@ -0,0 +1,155 @@
+/**
+ * "What's new" feed and app badge, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/idb.js, sw/logger.js and sw/messages.js.
+ *
+ * The installed app registers the WHATS_NEW_SYNC_TAG periodic sync (app.js). Each run fetches
+ * GET /api/whats-new (server/whats-new.js) into WHATS_NEW_CACHE, so the page can show it offline,
+ * and sets the app badge to the number of items published since the user last read the feed.
+ * Browsers without periodic sync get the same refresh from the page when it becomes visible.
+ *
+ * Pages talk to the worker over a MessageChannel:
+ *   GET_WHATS_NEW            -> WHATS_NEW { items, unread, checkedAt, readAt }
+ *   REFRESH_WHATS_NEW        -> WHATS_NEW, after fetching the feed
+ *   MARK_WHATS_NEW_READ      -> WHATS_NEW, with the badge cleared
+ * Refreshes are also posted to every open page as WHATS_NEW.
+ */
+
+const WHATS_NEW_URL = './api/whats-new';
+const WHATS_NEW_SYNC_TAG = 'whats-new';
+const WHATS_NEW_CACHE = 'pwa-getstarted-whats-new';
+const WHATS_NEW_DB_NAME = 'pwa-getstarted-whats-new';
+const WHATS_NEW_STORE = 'state';
+
+// ============================================
+// State
+// When the feed was last fetched and read, kept in IndexedDB across worker restarts
+// ============================================
+function openWhatsNewDatabase() {
+    return openDatabase(WHATS_NEW_DB_NAME, 1, (db) => {
+        db.createObjectStore(WHATS_NEW_STORE);
+    });
+}
+
+async function getWhatsNewState() {
+    const db = await openWhatsNewDatabase();
+    const state = await withStore(db, WHATS_NEW_STORE, 'readonly', (store) => idbRequest(store.get('state')));
+    return state || { checkedAt: null, readAt: null };
+}
+
+async function updateWhatsNewState(changes) {
+    const db = await openWhatsNewDatabase();
+    return withStore(db, WHATS_NEW_STORE, 'readwrite', async (store) => {
+        const state = { checkedAt: null, readAt: null, ...await idbRequest(store.get('state')), ...changes };
+        await idbRequest(store.put(state, 'state'));
+        return state;
+    });
+}
+
+// ============================================
+// Feed & Badge
+// ============================================
+async function getCachedWhatsNew() {
+    const cache = await caches.open(WHATS_NEW_CACHE);
+    const response = await cache.match(WHATS_NEW_URL);
+    return response ? (await response.json()).items : [];
+}
+
+function countUnread(items, readAt) {
+    return items.filter((item) => !readAt || Date.parse(item.publishedAt) > readAt).length;
+}
+
+/**
+ * The app badge shows the unread count; zero clears it
+ */
+async function updateAppBadge(unread) {
+    if (!('setAppBadge' in self.navigator)) {
+        return;
+    }
+    try {
+        await (unread > 0 ? self.navigator.setAppBadge(unread) : self.navigator.clearAppBadge());
+    } catch (error) {
+        // Not installed, or the platform has no badges
+        logEvent('debug', 'app-badge', { outcome: 'failed', message: `Could not update the app badge: ${error.message}` });
+    }
+}
+
+async function describeWhatsNew() {
+    const [items, state] = await Promise.all([getCachedWhatsNew(), getWhatsNewState()]);
+    return { items, unread: countUnread(items, state.readAt), checkedAt: state.checkedAt, readAt: state.readAt };
+}
+
+async function notifyWhatsNew(result) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage({ type: 'WHATS_NEW', ...result }));
+}
+
+/**
+ * Fetch the feed into the cache and update the badge. `reason` is 'periodic-sync' or 'page'.
+ */
+async function refreshWhatsNew(reason) {
+    const response = await fetch(WHATS_NEW_URL, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const cache = await caches.open(WHATS_NEW_CACHE);
+    await cache.put(WHATS_NEW_URL, response);
+    await updateWhatsNewState({ checkedAt: Date.now() });
+
+    const result = { ...await describeWhatsNew(), reason };
+    logEvent('info', 'whats-new', { outcome: reason, message: `News feed refreshed: ${result.unread} unread` });
+    await updateAppBadge(result.unread);
+    await notifyWhatsNew(result);
+    return result;
+}
+
+async function markWhatsNewRead() {
+    await updateWhatsNewState({ readAt: Date.now() });
+    await updateAppBadge(0);
+    return describeWhatsNew();
+}
+
+// ============================================
+// Events
+// ============================================
+
+/**
+ * Handle a periodicsync event. Returns true when the tag was ours.
+ */
+function handleWhatsNewSync(event) {
+    if (event.tag !== WHATS_NEW_SYNC_TAG) {
+        return false;
+    }
+    event.waitUntil(
+        refreshWhatsNew('periodic-sync').catch((error) => {
+            // Offline when the browser woke us: the next run will try again
+            logEvent('warn', 'whats-new', { outcome: 'failed', message: `Periodic news feed refresh failed: ${error.message}` });
+        })
+    );
+    return true;
+}
+
+/**
+ * Answer GET_WHATS_NEW, REFRESH_WHATS_NEW and MARK_WHATS_NEW_READ. Returns true when the message was one of ours.
+ */
+function handleWhatsNewMessage(event) {
+    const message = event.data || {};
+
+    let work;
+    switch (message.type) {
+        case 'GET_WHATS_NEW':
+            work = describeWhatsNew();
+            break;
+        case 'REFRESH_WHATS_NEW':
+            work = refreshWhatsNew('page');
+            break;
+        case 'MARK_WHATS_NEW_READ':
+            work = markWhatsNewRead();
+            break;
+        default:
+            return false;
+    }
+
+    replyToMessage(event, 'WHATS_NEW', work);
+    return true;
+}
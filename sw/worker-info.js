@@ -0,0 +1,36 @@
+/**
+ * Tells the page which service worker implementation is running, shared by sw.js and sw-workbox.js
+ * Loaded with importScripts(), so everything here lives on the worker's global scope.
+ * Requires sw/messages.js.
+ *
+ * The implementation switcher in app.js asks over a MessageChannel:
+ *   GET_WORKER_INFO   -> { implementation, scriptURL, caches: [{ name, exists, count }], workbox? }
+ */
+
+/**
+ * Answer GET_WORKER_INFO. `info` is { implementation, cacheNames, workbox? }, where cacheNames
+ * are the caches this worker writes to. Returns true when the message was ours.
+ */
+function handleWorkerInfoMessage(event, info) {
+    const message = event.data || {};
+
+    if (message.type !== 'GET_WORKER_INFO') {
+        return false;
+    }
+
+    const describe = async (cacheName) => {
+        if (!await caches.has(cacheName)) {
+            return { name: cacheName, exists: false, count: 0 };
+        }
+        const cache = await caches.open(cacheName);
+        return { name: cacheName, exists: true, count: (await cache.keys()).length };
+    };
+
+    replyToMessage(event, 'WORKER_INFO', Promise.all(info.cacheNames.map(describe)).then((cacheList) => ({
+        implementation: info.implementation,
+        scriptURL: self.location.href,
+        caches: cacheList,
+        workbox: info.workbox || null
+    })));
+    return true;
+}
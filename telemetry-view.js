@@ -0,0 +1,89 @@
+/**
+ * Telemetry summary page (telemetry.html)
+ * Renders GET /api/telemetry/summary from server/telemetry.js.
+ */
+
+const SUMMARY_URL = './api/telemetry/summary';
+
+const telemetryStatus = document.getElementById('telemetryStatus');
+const telemetryStats = document.getElementById('telemetryStats');
+const telemetryModes = document.getElementById('telemetryModes');
+const telemetryTypes = document.getElementById('telemetryTypes');
+const telemetryRefreshBtn = document.getElementById('telemetryRefreshBtn');
+
+function formatPercent(rate) {
+    return rate === null ? '–' : `${Math.round(rate * 1000) / 10}%`;
+}
+
+function createStat(label, value, hint) {
+    const stat = document.createElement('div');
+    stat.className = 'telemetry-stat';
+
+    const valueEl = document.createElement('strong');
+    valueEl.textContent = value;
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    stat.append(valueEl, labelEl);
+
+    if (hint) {
+        const hintEl = document.createElement('small');
+        hintEl.textContent = hint;
+        stat.append(hintEl);
+    }
+    return stat;
+}
+
+function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.append(cell);
+    });
+    return row;
+}
+
+function renderSummary(summary) {
+    const { sessions, install } = summary;
+
+    telemetryStats.replaceChildren(
+        createStat('Install conversion', formatPercent(install.conversionRate),
+            `${install.accepted} accepted of ${install.promptShown} prompts shown`),
+        createStat('Installs', String(install.installed),
+            `Prompt offered in ${install.promptAvailableSessions} session(s)`),
+        createStat('Standalone sessions', formatPercent(sessions.standaloneRate),
+            `${sessions.standalone} standalone, ${sessions.browser} in the browser`),
+        createStat('Went offline', String(summary.connectivity.wentOffline), 'Times a page lost its connection')
+    );
+
+    telemetryModes.replaceChildren(...Object.entries(sessions.byDisplayMode)
+        .sort(([, a], [, b]) => b - a)
+        .map(([mode, count]) => createRow([mode, String(count), formatPercent(count / sessions.total)])));
+
+    telemetryTypes.replaceChildren(...Object.entries(summary.byType)
+        .sort(([, a], [, b]) => b - a)
+        .map(([type, count]) => createRow([type, String(count)])));
+
+    telemetryStatus.textContent = summary.events === 0
+        ? 'No events yet. Open the demo and they\'ll show up here.'
+        : `${summary.events} events across ${sessions.total} sessions, `
+            + `${new Date(summary.first).toLocaleString()} – ${new Date(summary.last).toLocaleString()}`;
+}
+
+async function refreshSummary() {
+    telemetryRefreshBtn.disabled = true;
+    try {
+        const response = await fetch(SUMMARY_URL, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        renderSummary(await response.json());
+    } catch (error) {
+        telemetryStatus.textContent = `Could not load the summary: ${error.message}`;
+    } finally {
+        telemetryRefreshBtn.disabled = false;
+    }
+}
+
+telemetryRefreshBtn.addEventListener('click', refreshSummary);
+refreshSummary();
@@ -0,0 +1,238 @@
+/**
+ * Telemetry
+ * Records install, display-mode, connectivity and service worker lifecycle events
+ * and sends them in batches to POST /api/telemetry (server/telemetry.js).
+ *
+ *   - every event goes into IndexedDB first, so events recorded offline survive reloads
+ *     and are sent once the connection is back
+ *   - the local queue is capped; when it's full the oldest events are dropped
+ *   - a batch is only deleted after the server accepted it
+ *
+ * Browser only: window.Telemetry.record(type, detail), used by app.js.
+ * Requires sw/idb.js, loaded before it.
+ */
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'pwa-getstarted-telemetry';
+    const STORE = 'events';
+    const ENDPOINT = './api/telemetry';
+    const MAX_STORED_EVENTS = 500;
+    const BATCH_SIZE = 50;
+    const FLUSH_DELAY_MS = 5000;
+    const SESSION_KEY = 'pwa-getstarted-telemetry-session';
+    const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+
+    let flushTimer = null;
+    let flushing = null;
+
+    // ============================================
+    // IndexedDB Queue (openDatabase, withStore and idbRequest come from sw/idb.js)
+    // ============================================
+    function openQueue() {
+        // autoIncrement keys keep events in the order they were recorded
+        return openDatabase(DB_NAME, 1, (db) => db.createObjectStore(STORE, { autoIncrement: true }));
+    }
+
+    async function withQueue(mode, callback) {
+        return withStore(await openQueue(), STORE, mode, callback);
+    }
+
+    /**
+     * Add an event, dropping the oldest ones when the queue is over its cap
+     */
+    function enqueue(event) {
+        return withQueue('readwrite', async (store) => {
+            store.add(event);
+            const excess = await idbRequest(store.count()) - MAX_STORED_EVENTS;
+            if (excess > 0) {
+                const oldest = await idbRequest(store.getAllKeys(null, excess));
+                store.delete(IDBKeyRange.bound(oldest[0], oldest[oldest.length - 1]));
+            }
+        });
+    }
+
+    function readBatch() {
+        return withQueue('readonly', async (store) => {
+            const [keys, events] = await Promise.all([
+                idbRequest(store.getAllKeys(null, BATCH_SIZE)),
+                idbRequest(store.getAll(null, BATCH_SIZE))
+            ]);
+            return { keys, events };
+        });
+    }
+
+    function removeBatch(keys) {
+        return withQueue('readwrite', (store) => {
+            store.delete(IDBKeyRange.bound(keys[0], keys[keys.length - 1]));
+        });
+    }
+
+    function countQueued() {
+        return withQueue('readonly', (store) => idbRequest(store.count()));
+    }
+
+    // ============================================
+    // Session & Context
+    // ============================================
+    function createId() {
+        return root.crypto && root.crypto.randomUUID
+            ? root.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * One session per tab: reloads (and update reloads) continue it
+     */
+    function getSessionId() {
+        try {
+            let sessionId = sessionStorage.getItem(SESSION_KEY);
+            const isNew = !sessionId;
+            if (isNew) {
+                sessionId = createId();
+                sessionStorage.setItem(SESSION_KEY, sessionId);
+            }
+            return { sessionId, isNew };
+        } catch (error) {
+            // Storage can be blocked; every page load is its own session then
+            return { sessionId: createId(), isNew: true };
+        }
+    }
+
+    function getDisplayMode() {
+        return DISPLAY_MODES.find((mode) => root.matchMedia(`(display-mode: ${mode})`).matches) || 'browser';
+    }
+
+    const session = getSessionId();
+
+    // ============================================
+    // Recording & Sending
+    // ============================================
+
+    /**
+     * Record an event. Never throws: telemetry must not break the app.
+     */
+    async function record(type, detail = {}) {
+        const event = {
+            id: createId(),
+            type,
+            detail,
+            sessionId: session.sessionId,
+            displayMode: getDisplayMode(),
+            online: navigator.onLine,
+            timestamp: Date.now()
+        };
+
+        try {
+            await enqueue(event);
+            scheduleFlush();
+        } catch (error) {
+            console.warn('[Telemetry] Could not store event:', type, error);
+        }
+        return event;
+    }
+
+    function scheduleFlush(delay = FLUSH_DELAY_MS) {
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flush, delay);
+    }
+
+    async function sendBatch(events, keepalive) {
+        const response = await fetch(ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-ndjson' },
+            body: events.map((event) => JSON.stringify(event)).join('\n'),
+            // Lets the last batch outlive the page when it's being hidden or closed
+            keepalive
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+    }
+
+    /**
+     * Send queued events, one batch at a time, until the queue is empty or a send fails.
+     * Resolves with the number of events sent.
+     */
+    function flush({ keepalive = false } = {}) {
+        clearTimeout(flushTimer);
+        if (flushing) {
+            return flushing;
+        }
+
+        flushing = (async () => {
+            let sent = 0;
+            try {
+                while (navigator.onLine) {
+                    const { keys, events } = await readBatch();
+                    if (events.length === 0) {
+                        break;
+                    }
+                    await sendBatch(events, keepalive);
+                    await removeBatch(keys);
+                    sent += events.length;
+                }
+            } catch (error) {
+                // Still queued; try again on the next event, `online` or visit
+                console.warn('[Telemetry] Send failed, keeping events for later:', error.message);
+            } finally {
+                flushing = null;
+            }
+            return sent;
+        })();
+        return flushing;
+    }
+
+    // ============================================
+    // Automatic Events
+    // ============================================
+
+    /**
+     * Record the session start, display-mode changes and connectivity changes,
+     * and send whatever an earlier (possibly offline) visit left behind
+     */
+    function start() {
+        if (!('indexedDB' in root)) {
+            return;
+        }
+
+        if (session.isNew) {
+            record('session_start', { referrer: document.referrer || null });
+        }
+
+        let displayMode = getDisplayMode();
+        DISPLAY_MODES.forEach((mode) => {
+            root.matchMedia(`(display-mode: ${mode})`).addEventListener('change', (event) => {
+                if (event.matches && mode !== displayMode) {
+                    record('display_mode_change', { from: displayMode, to: mode });
+                    displayMode = mode;
+                }
+            });
+        });
+
+        root.addEventListener('online', () => {
+            record('connectivity', { online: true });
+            flush();
+        });
+        root.addEventListener('offline', () => record('connectivity', { online: false }));
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flush({ keepalive: true });
+            }
+        });
+
+        flush();
+    }
+
+    root.Telemetry = {
+        start,
+        record,
+        flush,
+        countQueued,
+        getDisplayMode,
+        get sessionId() {
+            return session.sessionId;
+        }
+    };
+}(self));